@@ -0,0 +1,139 @@
+/**
+ * Export d'un monde ou d'une plante Bloomfall sans navigateur (Node).
+ *
+ *   npm run export -- --seed 1234                      monde entier -> bloomfall-1234.glb
+ *   npm run export -- --seed 1234 --format obj --no-vegetation --out relief.obj
+ *   npm run export -- --plant weepingWillow --format obj
+ *
+ * Options :
+ *   --seed <graine>        graine du monde (même monde que `?seed=` dans le jeu)
+ *   --format glb|obj       format de sortie (glb par défaut)
+ *   --out <fichier>        fichier de sortie
+ *   --resolution <n>       résolution de la grille du terrain
+ *   --plant <preset>       une seule plante (LSystem.createMesh) au lieu du monde
+ *   --growth <0..1>        stade de croissance de la plante (1 = adulte)
+ *   --no-terrain, --no-water, --no-vegetation, --creatures
+ *   --no-instancing        glTF : une copie par plante (sans EXT_mesh_gpu_instancing)
+ */
+import { closeSync, openSync, readFileSync, readdirSync, writeFileSync, writeSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import * as THREE from 'three';
+import { worldRandom, RandomService } from '../src/utils/random.js';
+import { TerrainGenerator } from '../src/world/biomes/terrainUtils/TerrainGenerator.js';
+import { LSystem, VegetationManager, VegetationPresets } from '../src/world/entities/systems/lsystem/lsystem.js';
+import { registerLSysFiles } from '../src/world/entities/systems/lsystem/GrammarIO.js';
+import { BoidsSystem, CreaturePresets } from '../src/world/entities/boids/boidSystem.js';
+import { CreatureSystem } from '../src/world/entities/neuralnetwork/CreatureSystem.js';
+import { Wind } from '../src/world/environment/Wind.js';
+import { WorldTerrainConfig, WorldVegetationConfig, SunPosition } from '../src/world/worldConfig.js';
+import { exportGLB, exportOBJ, exportScene } from '../src/world/export/SceneExporter.js';
+
+// GLTFExporter lit ses Blob avec FileReader, absent de Node
+globalThis.FileReader ??= class FileReader {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((buffer) => {
+      this.result = buffer;
+      this.onloadend?.();
+    });
+  }
+};
+
+const GRAMMAR_DIR = new URL('../src/world/entities/systems/lsystem/grammars/', import.meta.url);
+
+const { values: args } = parseArgs({
+  options: {
+    seed: { type: 'string' },
+    format: { type: 'string', default: 'glb' },
+    out: { type: 'string' },
+    resolution: { type: 'string' },
+    plant: { type: 'string' },
+    growth: { type: 'string', default: '1' },
+    'no-terrain': { type: 'boolean', default: false },
+    'no-water': { type: 'boolean', default: false },
+    'no-vegetation': { type: 'boolean', default: false },
+    creatures: { type: 'boolean', default: false },
+    'no-instancing': { type: 'boolean', default: false },
+  },
+});
+
+if (args.format !== 'glb' && args.format !== 'obj') {
+  console.error(`Format inconnu "${args.format}" (glb ou obj)`);
+  process.exit(1);
+}
+
+// Même lecture de la graine que BloomfallScene.readSeedFromURL
+const seed = args.seed === undefined
+  ? RandomService.randomSeed()
+  : (Number.isInteger(Number(args.seed)) ? Number(args.seed) : args.seed);
+worldRandom.setSeed(seed);
+
+// Espèces `.lsys` embarquées dans le jeu
+const grammars = {};
+for (const file of readdirSync(GRAMMAR_DIR).filter(name => name.endsWith('.lsys'))) {
+  grammars[file] = readFileSync(new URL(file, GRAMMAR_DIR), 'utf8');
+}
+registerLSysFiles(grammars);
+
+const exportOptions = {
+  instancing: !args['no-instancing'],
+  terrain: !args['no-terrain'],
+  water: !args['no-water'],
+  vegetation: !args['no-vegetation'],
+  creatures: args.creatures,
+};
+const lightDirection = new THREE.Vector3().copy(SunPosition).normalize();
+const out = args.out ?? `${args.plant ?? 'bloomfall'}-${seed}.${args.format}`;
+let data;
+
+// OBJ : écrit dans le fichier morceau par morceau (une scène peut peser plusieurs Go)
+let file = null;
+let size = 0;
+const write = (text) => {
+  file ??= openSync(out, 'w');
+  size += writeSync(file, text);
+};
+
+if (args.plant) {
+  if (!VegetationPresets[args.plant]) {
+    console.error(`Preset inconnu "${args.plant}" (${Object.keys(VegetationPresets).join(', ')})`);
+    process.exit(1);
+  }
+  const lsystem = new LSystem({ ...VegetationPresets[args.plant], seed, lightDirection });
+  const mesh = lsystem.createMesh(Number(args.growth));
+  mesh.name = args.plant;
+  data = args.format === 'obj' ? exportOBJ(mesh, {}, write) : await exportGLB(mesh, exportOptions);
+} else {
+  // Même ordre de construction que BloomfallScene.init
+  const scene = new THREE.Scene();
+  console.log(`🌍 Graine du monde : ${seed}`);
+  const terrainGenerator = new TerrainGenerator({
+    ...WorldTerrainConfig,
+    resolution: Number(args.resolution) || WorldTerrainConfig.resolution,
+    seed: worldRandom.stream('terrain').next(),
+  });
+  terrainGenerator.generateTerrainData();
+
+  const world = { terrainGenerator };
+  const wind = new Wind({ direction: worldRandom.stream('wind').range(0, 360) });
+  if (exportOptions.vegetation) {
+    world.vegetationManager = new VegetationManager(scene, terrainGenerator, worldRandom.stream('vegetation'), {
+      wind,
+      lightDirection,
+    });
+    world.vegetationManager.populate(WorldVegetationConfig);
+  }
+  if (exportOptions.creatures) {
+    world.boidsSystem = new BoidsSystem(scene, terrainGenerator, 100, { ...CreaturePresets.default, wind });
+    world.creatureSystem = new CreatureSystem(scene, terrainGenerator, { populationSize: 30, worldSize: 200 });
+  }
+
+  data = await exportScene(world, args.format, exportOptions, write);
+}
+
+if (args.format === 'obj') {
+  if (file !== null) closeSync(file);
+} else {
+  writeFileSync(out, Buffer.from(data));
+  size = data.byteLength;
+}
+console.log(`✅ ${out} (${(size / 1e6).toFixed(1)} Mo)`);
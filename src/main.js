@@ -7,10 +7,29 @@
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import { TerrainGenerator, createBloomfallTerrain } from './world/biomes/terrainUtils/TerrainGenerator.js';
+import { TerrainGenerator } from './world/biomes/terrainUtils/TerrainGenerator.js';
+import { createBloomfallTerrainAsync } from './world/biomes/terrainUtils/TerrainWorker.js';
 import { VegetationManager } from './world/entities/systems/lsystem/lsystem.js'
 import { BoidsSystem, CreaturePresets } from './world/entities/boids/boidSystem.js';
 import { CreatureSystem } from './world/entities/neuralnetwork/CreatureSystem.js';
+import { worldRandom, RandomService } from './utils/random.js';
+import { loadHeightmap, exportHeightmapPNG } from './world/biomes/terrainUtils/HeightmapIO.js';
+import { downloadFile } from './utils/loader.js';
+import { TerrainSculptor, SculptBrushes } from './world/biomes/terrainUtils/TerrainSculptor.js';
+import { NoisePresets } from './world/biomes/terrainUtils/NoiseGraph.js';
+import { BiomeDefinitions } from './world/biomes/biomeRegistry.js';
+import { NavigationGrid } from './world/navigation/NavigationGrid.js';
+import { Wind } from './world/environment/Wind.js';
+import { registerLSysFiles } from './world/entities/systems/lsystem/GrammarIO.js';
+import { WorldTerrainConfig, WorldVegetationConfig, SunPosition } from './world/worldConfig.js';
+import { exportScene } from './world/export/SceneExporter.js';
+
+// Espèces décrites en `.lsys` : déposer un fichier dans ce dossier suffit à l'ajouter
+const bundledGrammars = import.meta.glob('./world/entities/systems/lsystem/grammars/*.lsys', {
+  query: '?raw',
+  import: 'default',
+  eager: true,
+});
 
 /**
  * Configuration de la scène Bloomfall
@@ -22,12 +41,29 @@ class BloomfallScene {
     this.renderer = null;
     this.controls = null;
     this.terrain = null;
+    this.water = null;
     this.terrainGenerator = null;
+    this.terrainChunks = null;
+    this.navigation = null; // Grille de navigation (chemins A*, champs de flux)
+    this.heightData = null; // Heightmap importée (sinon terrain procédural)
+    this.progressDiv = null; // Avancement de la génération du terrain
+
+    // Graine du monde : `?seed=1234` dans l'URL pour rejouer un monde précis
+    this.seed = this.readSeedFromURL();
+    worldRandom.setSeed(this.seed);
+    console.log(`🌍 Graine du monde : ${this.seed}`);
     
     // Managers
     this.vegetationManager = null;
+    this.wind = null; // Vent partagé par la végétation et les lucioles
     this.boidsSystem = null;
     this.creatureSystem = null; // Notre système Algogen
+    this.sculptor = null;
+
+    // Sculpture : mode actif et pointeur (coordonnées écran normalisées) pendant un trait
+    this.sculptActive = false;
+    this.sculptPointer = null;
+    this.sculptInfoDiv = null;
     
     // Time
     this.clock = new THREE.Clock();
@@ -46,11 +82,33 @@ class BloomfallScene {
     this.daySkyColor = new THREE.Color(0x87CEEB);   // ciel bleu clair
     this.nightSkyColor = new THREE.Color(0x020518); // nuit profonde
 
-    this.init();
-    this.animate();
+    // Un échec (Worker du terrain, végétation...) s'affiche à la place de l'avancement
+    this.start().catch(error => this.showLoadingError(error));
+  }
+
+  /**
+   * Charge les ressources optionnelles (heightmap `?heightmap=url`) puis
+   * construit la scène
+   */
+  async start() {
+    const heightmapURL = new URLSearchParams(window.location.search).get('heightmap');
+    if (heightmapURL) {
+      try {
+        this.heightData = await loadHeightmap(heightmapURL);
+        console.log(`🗺️ Heightmap importée : ${this.heightData.width}x${this.heightData.height}`);
+      } catch (error) {
+        console.error('Heightmap illisible, terrain procédural utilisé à la place :', error);
+      }
+    }
+
+    // La boucle de rendu démarre dès que la scène de base existe (partie
+    // synchrone d'init) ; le terrain arrive ensuite depuis le Worker.
+    const ready = this.init();
+    if (this.renderer) this.animate();
+    await ready;
   }
 
-  init() {
+  async init() {
     // 1. Initialisation Scène de base
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x87CEEB);
@@ -81,46 +139,145 @@ class BloomfallScene {
 
     // 6. Terrain
     const terrainConfig = {
-      size: 400,
-      resolution: 128,
-      heightScale: 100,
-      seed: Math.random(),
-      mountainOctaves: 7,
-      mountainPersistence: 0.5,
-      mountainLacunarity: 2.3,
-      mountainExponent: 2.2,
-      mountainBaseHeight: 0.5,
-      plainsOctaves: 4,
-      plainsPersistence: 0.6,
-      plainsLacunarity: 2.0,
-      plainsHeightScale: 0.25,
-      transitionWidth: 40,
+      ...WorldTerrainConfig,
+      // `?resolution=64` : aperçu plus léger du même monde (relief défini en
+      // coordonnées monde, érosion et eau réglées en unités monde)
+      resolution: Number(new URLSearchParams(window.location.search).get('resolution')) || WorldTerrainConfig.resolution,
+      seed: worldRandom.stream('terrain').next(),
+      heightData: this.heightData,
+      // `?style=ridges` ou `?style=mesas` : autre graphe de bruit (NoiseGraph.js)
+      noise: NoisePresets[new URLSearchParams(window.location.search).get('style')],
+      // Rendu en tuiles : résolution de la grille près de la caméra, moins loin
+      chunks: {
+        chunkSize: 50,
+        lodDistances: [90, 180, 320],
+      },
     };
 
-    const result = createBloomfallTerrain(this.scene, terrainConfig);
+    // Génération dans un Web Worker : la page reste fluide pendant ce temps
+    const result = await createBloomfallTerrainAsync(
+      this.scene, terrainConfig, (progress) => this.showTerrainProgress(progress)
+    );
     this.terrain = result.terrain;
+    this.water = result.water;
     this.terrainGenerator = result.generator;
+    this.terrainChunks = result.chunks;
+    if (this.terrainChunks) {
+      this.terrainChunks.update(this.camera.position, true);
+    }
 
-    // 7. Écosystème
+    // Navigation : `this.navigation.findPath(a, b)` / `getFlowField(but)`
+    // pour tout système qui doit planifier un trajet au sol
+    this.navigation = new NavigationGrid(this.terrainGenerator);
+
+    // 7. Écosystème (direction du vent tirée avec la graine du monde)
+    this.wind = new Wind({ direction: worldRandom.stream('wind').range(0, 360) });
     this.setupVegetation(); // Arbres et fleurs
     this.setupBoids();      // Lucioles (boids)
     this.setupCreatures();  // <--- NOUVEAU: Les créatures neuronales
+    this.setupSculpting();  // Pinceaux de terrain
 
     // 8. UI & Events
     window.addEventListener('resize', () => this.onWindowResize());
+    this.renderer.domElement.addEventListener('dblclick', (event) => this.focusTerrainAt(event));
     this.createControlsUI(); // Bouton pour l'évolution
   }
 
+  /**
+   * Indicateur d'avancement de la génération du terrain (retiré à la fin)
+   */
+  showTerrainProgress({ stage, step, steps }) {
+    const labels = {
+      height: 'relief',
+      erosion: 'érosion',
+      water: 'eau',
+      climate: 'climat',
+      colors: 'couleurs',
+    };
+
+    if (stage === 'done') {
+      if (this.progressDiv) this.progressDiv.remove();
+      this.progressDiv = null;
+      return;
+    }
+
+    const percent = Math.round((step / steps) * 100);
+    this.getProgressDiv().textContent = `Génération du terrain… ${percent} % (${labels[stage] || stage})`;
+  }
+
+  /**
+   * Encadré central du chargement (créé au premier message)
+   */
+  getProgressDiv() {
+    if (!this.progressDiv) {
+      this.progressDiv = document.createElement('div');
+      Object.assign(this.progressDiv.style, {
+          position: 'absolute', top: '50%', left: '50%',
+          transform: 'translate(-50%, -50%)',
+          padding: '12px 20px', fontSize: '16px', fontFamily: 'monospace',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)', color: 'white',
+          borderRadius: '6px', zIndex: '1000'
+      });
+      document.body.appendChild(this.progressDiv);
+    }
+    return this.progressDiv;
+  }
+
+  /**
+   * Le monde n'a pas pu être construit : l'erreur remplace l'indicateur
+   * d'avancement, qui resterait sinon affiché indéfiniment
+   */
+  showLoadingError(error) {
+    console.error('Échec de la construction du monde :', error);
+    const div = this.getProgressDiv();
+    div.style.backgroundColor = 'rgba(140, 20, 20, 0.85)';
+    div.style.maxWidth = '80vw';
+    div.style.whiteSpace = 'pre-wrap';
+    div.textContent = `Impossible de générer le monde\n${error?.message || error}`;
+  }
+
+  /**
+   * Un export a échoué (mémoire insuffisante sur une grosse scène...) :
+   * même encadré que les erreurs de chargement, fermé d'un clic
+   */
+  showExportError(error) {
+    console.error('Échec de l\'export :', error);
+    const div = this.getProgressDiv();
+    div.style.backgroundColor = 'rgba(140, 20, 20, 0.85)';
+    div.style.maxWidth = '80vw';
+    div.style.whiteSpace = 'pre-wrap';
+    div.style.cursor = 'pointer';
+    div.textContent = `Export impossible\n${error?.message || error}`;
+    div.onclick = () => {
+      div.remove();
+      if (this.progressDiv === div) this.progressDiv = null;
+    };
+  }
+
+  /**
+   * Lit la graine dans l'URL (`?seed=...`), sinon en tire une au hasard.
+   * Les graines numériques sont gardées telles quelles, le reste est haché.
+   */
+  readSeedFromURL() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    if (param === null || param === '') return RandomService.randomSeed();
+    const asNumber = Number(param);
+    return Number.isInteger(asNumber) ? asNumber : param;
+  }
+
   setupVegetation() {
     console.log(' Génération de la végétation...');
-    this.vegetationManager = new VegetationManager(this.scene, this.terrainGenerator);
-    this.vegetationManager.populate({
-      numTrees: 80,
-      numBushes: 120,
-      numGrass: 250,
-      numFlowers: 150,
-      minDistanceFromMountains: 10,
+    const grammars = registerLSysFiles(bundledGrammars);
+    if (grammars.length > 0) console.log(`🌿 Espèces .lsys : ${grammars.map(g => g.name).join(', ')}`);
+    // Les plantes phototropes se penchent vers le soleil
+    const lightDirection = this.sunLight.position.clone().sub(this.sunLight.target.position).normalize();
+    this.vegetationManager = new VegetationManager(this.scene, this.terrainGenerator, worldRandom.stream('vegetation'), {
+      wind: this.wind,
+      lightDirection,
+      camera: this.camera,     // Niveaux de détail selon la distance
+      renderer: this.renderer, // Capture des imposteurs
     });
+    this.vegetationManager.populate(WorldVegetationConfig);
   }
 
   setupBoids() {
@@ -129,7 +286,7 @@ class BloomfallScene {
       this.scene,
       this.terrainGenerator,
       100,
-      CreaturePresets.default
+      { ...CreaturePresets.default, wind: this.wind }
     );
   }
 
@@ -152,7 +309,7 @@ class BloomfallScene {
     this.ambientLight = ambientLight;
 
     const sunLight = new THREE.DirectionalLight(0xffffff, 0.7);
-    sunLight.position.set(50, 100, 50);
+    sunLight.position.copy(SunPosition);
     sunLight.castShadow = true;
     
     // Ombres optimisées
@@ -197,6 +354,65 @@ class BloomfallScene {
     };
     document.body.appendChild(btn);
 
+    // Export de la heightmap courante (PNG 16 bits, ré-importable via ?heightmap=)
+    const exportBtn = document.createElement('button');
+    exportBtn.innerText = 'Exporter la heightmap';
+    Object.assign(exportBtn.style, {
+        position: 'absolute', top: '55px', right: '10px',
+        padding: '6px 12px', fontSize: '13px', cursor: 'pointer',
+        backgroundColor: '#555', color: 'white', border: 'none',
+        borderRadius: '5px', zIndex: '1000'
+    });
+    exportBtn.onclick = async () => {
+        try {
+            const png = await exportHeightmapPNG(this.terrainGenerator);
+            downloadFile(png, `bloomfall-${this.seed}.png`, 'image/png');
+        } catch (error) {
+            this.showExportError(error);
+        }
+    };
+    document.body.appendChild(exportBtn);
+
+    // Export du monde (terrain, eau, végétation, créatures) : glTF, Maj+clic pour OBJ
+    const sceneBtn = document.createElement('button');
+    sceneBtn.innerText = 'Exporter la scène';
+    sceneBtn.title = 'glTF binaire (.glb) ; Maj+clic : OBJ';
+    Object.assign(sceneBtn.style, {
+        position: 'absolute', top: '55px', right: '185px',
+        padding: '6px 12px', fontSize: '13px', cursor: 'pointer',
+        backgroundColor: '#555', color: 'white', border: 'none',
+        borderRadius: '5px', zIndex: '1000'
+    });
+    sceneBtn.onclick = async (event) => {
+        const format = event.shiftKey ? 'obj' : 'glb';
+        try {
+            const data = await exportScene(this, format, { creatures: true });
+            downloadFile(data, `bloomfall-${this.seed}.${format}`, format === 'obj' ? 'text/plain' : 'model/gltf-binary');
+        } catch (error) {
+            this.showExportError(error);
+        }
+    };
+    document.body.appendChild(sceneBtn);
+
+    // Limite de la neige, réglable à chaud (uniform du shader de terrain)
+    const material = this.terrainChunks ? this.terrainChunks.material : this.terrain.material;
+    const { heightScale } = this.terrainGenerator.config;
+    const snowLabel = document.createElement('label');
+    Object.assign(snowLabel.style, {
+        position: 'absolute', top: '90px', right: '10px',
+        padding: '4px 8px', fontSize: '13px', fontFamily: 'monospace',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)', color: 'white',
+        borderRadius: '4px', zIndex: '1000'
+    });
+    const snowSlider = document.createElement('input');
+    Object.assign(snowSlider, {
+        type: 'range', min: 0, max: heightScale, step: 0.5, value: material.snowLine
+    });
+    snowSlider.style.verticalAlign = 'middle';
+    snowSlider.oninput = () => { material.snowLine = Number(snowSlider.value); };
+    snowLabel.append('Neige ', snowSlider);
+    document.body.appendChild(snowLabel);
+
     // Affichage du temps restant avant la prochaine génération
     const genInfo = document.createElement('div');
     Object.assign(genInfo.style, {
@@ -210,11 +426,135 @@ class BloomfallScene {
         borderRadius: '4px',
         zIndex: '1000'
     });
-    genInfo.textContent = `Génération ${this.currentGeneration} — prochaine dans ${this.generationDuration}s`;
+    genInfo.textContent = `Génération ${this.currentGeneration} — prochaine dans ${this.generationDuration}s — graine ${this.seed}`;
     document.body.appendChild(genInfo);
     this.generationInfoDiv = genInfo;
   }
 
+  /**
+   * Point du terrain sous le pointeur (raycast direct sur la heightmap,
+   * pas sur les meshes)
+   */
+  pickTerrain(clientX, clientY) {
+    const pointer = new THREE.Vector2(
+      (clientX / window.innerWidth) * 2 - 1,
+      -(clientY / window.innerHeight) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+    return this.terrainGenerator.raycast(raycaster.ray.origin, raycaster.ray.direction, this.camera.far);
+  }
+
+  /**
+   * Double-clic : recentre la caméra sur le point du terrain visé
+   */
+  focusTerrainAt(event) {
+    const hit = this.pickTerrain(event.clientX, event.clientY);
+    if (hit) {
+      this.controls.target.copy(hit.point);
+    }
+  }
+
+  /**
+   * Pinceaux de sculpture : touches 1-5 pour choisir (monter, creuser,
+   * aplanir, lisser, peindre un biome), 0 ou Échap pour revenir à la caméra,
+   * [ et ] pour le rayon, B pour changer le biome peint. Clic gauche maintenu
+   * pour sculpter.
+   */
+  setupSculpting() {
+    this.sculptor = new TerrainSculptor(this.terrainGenerator, {
+      chunks: this.terrainChunks,
+      mesh: this.terrainChunks ? null : this.terrain,
+    });
+
+    // Les systèmes posés sur le terrain se recalent après chaque coup de pinceau
+    this.sculptor.addListener(region => this.vegetationManager.onTerrainChanged(region));
+    this.sculptor.addListener(region => this.creatureSystem.onTerrainChanged(region));
+    this.sculptor.addListener(({ minX, minZ, maxX, maxZ }) => this.navigation.updateRegion(minX, minZ, maxX, maxZ));
+
+    const brushKeys = {
+      1: SculptBrushes.RAISE,
+      2: SculptBrushes.LOWER,
+      3: SculptBrushes.FLATTEN,
+      4: SculptBrushes.SMOOTH,
+      5: SculptBrushes.PAINT,
+    };
+    const biomeIds = Object.keys(BiomeDefinitions).filter(id => id !== 'water');
+
+    window.addEventListener('keydown', (event) => {
+      const config = this.sculptor.config;
+      if (brushKeys[event.key]) {
+        config.brush = brushKeys[event.key];
+        this.setSculptActive(true);
+      } else if (event.key === '0' || event.key === 'Escape') {
+        this.setSculptActive(false);
+      } else if (event.key === '[') {
+        config.radius = Math.max(2, config.radius - 2);
+      } else if (event.key === ']') {
+        config.radius = Math.min(60, config.radius + 2);
+      } else if (event.key === 'b' || event.key === 'B') {
+        config.paintBiome = biomeIds[(biomeIds.indexOf(config.paintBiome) + 1) % biomeIds.length];
+      } else {
+        return;
+      }
+      this.updateSculptInfo();
+    });
+
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('pointerdown', (event) => {
+      if (!this.sculptActive || event.button !== 0) return;
+      this.sculptPointer = { x: event.clientX, y: event.clientY };
+      const hit = this.pickTerrain(event.clientX, event.clientY);
+      if (hit) this.sculptor.beginStroke(hit.point.x, hit.point.z);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (this.sculptPointer) this.sculptPointer = { x: event.clientX, y: event.clientY };
+    });
+    window.addEventListener('pointerup', () => {
+      this.sculptPointer = null;
+      this.sculptor.endStroke();
+    });
+
+    // Rappel du mode courant
+    const info = document.createElement('div');
+    Object.assign(info.style, {
+        position: 'absolute', top: '10px', left: '10px',
+        padding: '6px 12px',
+        fontSize: '13px',
+        fontFamily: 'monospace',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        color: 'white',
+        borderRadius: '4px',
+        zIndex: '1000'
+    });
+    document.body.appendChild(info);
+    this.sculptInfoDiv = info;
+    this.updateSculptInfo();
+  }
+
+  /**
+   * En mode sculpture, le clic gauche sculpte au lieu de tourner la caméra
+   */
+  setSculptActive(active) {
+    this.sculptActive = active;
+    this.controls.enableRotate = !active;
+    if (!active) {
+      this.sculptPointer = null;
+      this.sculptor.endStroke();
+    }
+  }
+
+  updateSculptInfo() {
+    if (!this.sculptInfoDiv) return;
+    const { brush, radius, paintBiome } = this.sculptor.config;
+    if (!this.sculptActive) {
+      this.sculptInfoDiv.textContent = 'Sculpture : touches 1-5';
+      return;
+    }
+    const biome = brush === SculptBrushes.PAINT ? ` — ${BiomeDefinitions[paintBiome].name} (B)` : '';
+    this.sculptInfoDiv.textContent = `Pinceau ${brush} — rayon ${radius} ([ ])${biome} — Échap pour quitter`;
+  }
+
   onWindowResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
@@ -229,6 +569,26 @@ class BloomfallScene {
 
     this.controls.update();
 
+    // Coup de pinceau continu tant que le clic est maintenu
+    if (this.sculptPointer) {
+      const hit = this.pickTerrain(this.sculptPointer.x, this.sculptPointer.y);
+      if (hit) this.sculptor.apply(hit.point.x, hit.point.z, delta);
+    }
+
+    // Streaming des tuiles de terrain autour de la caméra
+    if (this.terrainChunks) {
+      this.terrainChunks.update(this.camera.position);
+    }
+
+    if (this.wind) {
+      this.wind.update(delta);
+    }
+
+    // Croissance de la végétation (un jour = une génération)
+    if (this.vegetationManager) {
+      this.vegetationManager.update(delta, this.generationDuration);
+    }
+
     // Update Boids
     if (this.boidsSystem) {
       this.boidsSystem.update(delta);
@@ -252,7 +612,7 @@ class BloomfallScene {
         if (this.generationInfoDiv) {
           const remaining = Math.max(0, Math.ceil(this.generationDuration - this.generationElapsed));
           this.generationInfoDiv.textContent =
-            `Génération ${this.currentGeneration} — prochaine dans ${remaining}s`;
+            `Génération ${this.currentGeneration} — prochaine dans ${remaining}s — graine ${this.seed}`;
         }
 
         // --- Cycle jour/nuit : 1 génération = 1 journée ---
@@ -0,0 +1,53 @@
+/**
+ * Helpers de chargement de fichiers, communs à tous les imports
+ * (heightmaps, grammaires, etc.).
+ *
+ * Une "source" peut être : une URL (string), un `File`/`Blob`, un
+ * `ArrayBuffer` ou une vue typée (`Uint8Array`...). On renvoie toujours des
+ * promesses pour pouvoir brancher indifféremment un `fetch` ou un input fichier.
+ */
+
+/**
+ * Lit une source et renvoie son contenu binaire (Uint8Array)
+ */
+export async function loadBytes(source) {
+  if (source instanceof Uint8Array) return source;
+  if (ArrayBuffer.isView(source)) {
+    return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  }
+  if (source instanceof ArrayBuffer) return new Uint8Array(source);
+
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Impossible de charger "${source}" (HTTP ${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  if (source && typeof source.arrayBuffer === 'function') {
+    return new Uint8Array(await source.arrayBuffer()); // File / Blob
+  }
+
+  throw new Error('Source de fichier non supportée');
+}
+
+/**
+ * Lit une source et renvoie son contenu texte (UTF-8)
+ */
+export async function loadText(source) {
+  return new TextDecoder().decode(await loadBytes(source));
+}
+
+/**
+ * Propose le téléchargement d'un contenu généré (navigateur uniquement)
+ */
+export function downloadFile(data, filename, mimeType = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,80 @@
+/**
+ * Petits outils mathématiques partagés (interpolations, structures de données).
+ */
+
+export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+export const lerp = (a, b, t) => a + (b - a) * t;
+
+export function smoothstep(edge0, edge1, x) {
+  const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Tas binaire minimum (file de priorité).
+ * Utilisé par le remplissage des dépressions (eau) et plus largement
+ * par tout algorithme de type Dijkstra / A*.
+ */
+export class MinHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, priority) {
+    this.items.push(item);
+    this.priorities.push(priority);
+    this.bubbleUp(this.items.length - 1);
+  }
+
+  /**
+   * Retire et renvoie l'élément de plus petite priorité
+   */
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastPriority = this.priorities.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.priorities[0] = lastPriority;
+      this.sinkDown(0);
+    }
+    return top;
+  }
+
+  bubbleUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  sinkDown(i) {
+    const n = this.items.length;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+
+      if (left < n && this.priorities[left] < this.priorities[smallest]) smallest = left;
+      if (right < n && this.priorities[right] < this.priorities[smallest]) smallest = right;
+      if (smallest === i) break;
+
+      this.swap(i, smallest);
+      i = smallest;
+    }
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
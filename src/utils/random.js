@@ -0,0 +1,135 @@
+/**
+ * Générateur pseudo-aléatoire "seedable" partagé par tout Bloomfall.
+ *
+ * Au lieu d'appeler `Math.random()` un peu partout, chaque système (terrain,
+ * végétation, lucioles, créatures, génétique...) tire ses nombres d'un
+ * sous-flux nommé dérivé d'une seule graine de monde. Avec la même graine,
+ * on reconstruit donc exactement le même monde et la même évolution, ce qui
+ * permet de reproduire un bug ou de comparer deux expériences.
+ *
+ * Chaque sous-flux est indépendant : ajouter des tirages dans la végétation
+ * ne décale pas ceux du terrain ou des créatures.
+ */
+
+/**
+ * Hash 32 bits d'une chaîne (variante de xmur3).
+ * Sert à transformer une graine + un nom de flux en état initial.
+ */
+export function hashString(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Un flux de nombres pseudo-aléatoires (algorithme mulberry32).
+ * Rapide, 32 bits d'état, largement suffisant pour de la génération procédurale.
+ */
+export class RandomGenerator {
+  constructor(seed = 0) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Réinitialise le flux. Accepte un nombre ou une chaîne.
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = typeof seed === 'number' && Number.isInteger(seed)
+      ? seed >>> 0
+      : hashString(String(seed));
+  }
+
+  /**
+   * Nombre dans [0, 1[, remplaçant direct de `Math.random()`.
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Nombre réel dans [min, max[
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Entier dans [min, max] (bornes incluses)
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  // Vrai avec une probabilité p
+  chance(p) {
+    return this.next() < p;
+  }
+
+  // Élément au hasard dans un tableau
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Crée un flux enfant indépendant (ex : un flux par plante ou par individu).
+   */
+  fork(name) {
+    return new RandomGenerator(`${this.seed}:${name}`);
+  }
+}
+
+/**
+ * Service central : une graine de monde + des sous-flux nommés.
+ *
+ * Les flux sont mis en cache et resemés "sur place" quand la graine change,
+ * donc un système qui a gardé une référence vers son flux reste synchronisé.
+ */
+export class RandomService {
+  constructor(seed = RandomService.randomSeed()) {
+    this.streams = new Map();
+    this.setSeed(seed);
+  }
+
+  /**
+   * Graine aléatoire "vraie" quand l'utilisateur n'en impose pas une.
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Change la graine du monde et réinitialise tous les sous-flux existants.
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    for (const [name, stream] of this.streams) {
+      stream.setSeed(`${seed}:${name}`);
+    }
+  }
+
+  /**
+   * Renvoie le sous-flux nommé (créé à la demande).
+   */
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new RandomGenerator(`${this.seed}:${name}`);
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+}
+
+/**
+ * Instance partagée par toute l'application.
+ * `main.js` lui donne la graine du monde avant de construire les systèmes.
+ */
+export const worldRandom = new RandomService();
+
+export default worldRandom;
@@ -0,0 +1,162 @@
+/**
+ * Registre des biomes de Bloomfall.
+ *
+ * Chaque biome est décrit une seule fois ici : ses couleurs de terrain, les
+ * presets L-system qui peuvent y pousser, la densité de nourriture pour les
+ * blobs et quelques drapeaux de comportement. Le terrain, la végétation,
+ * l'automate cellulaire et les créatures lisent tous ce registre au lieu de
+ * tester des noms de biome en dur.
+ *
+ * Pour ajouter un biome : `registerBiome({ id: 'volcanic', ... })` puis le
+ * référencer dans la table de Whittaker (`Climate.js`).
+ */
+
+/**
+ * Définitions par défaut
+ *
+ * - colors     : base / dark / light, teinte de l'herbe selon une variation de bruit
+ * - ground     : poids des textures du sol (herbe, terre, roche, sable)
+ * - vegetation : presets (clés de `VegetationPresets`) par catégorie + densité
+ * - food       : probabilité d'accepter une position de nourriture
+ * - travelCost : coût de traversée pour la navigation (1 = plaine, Infinity = infranchissable)
+ * - walkable   : les blobs peuvent-ils y apparaître
+ * - fireflies  : les lucioles acceptent-elles d'y voler
+ */
+export const BiomeDefinitions = {
+  desert: {
+    id: 'desert',
+    name: 'Désert',
+    colors: { base: 0xE2C98F, dark: 0xC9A66B, light: 0xF0DDB0 },
+    ground: { grass: 0, dirt: 0.15, rock: 0.05, sand: 0.8 },
+    vegetation: { trees: [], bushes: ['smallBush'], grass: [], flowers: [], density: 0.15 },
+    food: { density: 0.2 },
+    travelCost: 1.3,
+    walkable: true,
+    fireflies: false,
+  },
+
+  savanna: {
+    id: 'savanna',
+    name: 'Savane',
+    colors: { base: 0xC8B560, dark: 0x9E8F45, light: 0xDCCB7A },
+    ground: { grass: 0.5, dirt: 0.35, rock: 0, sand: 0.15 },
+    vegetation: { trees: ['simpleTree'], bushes: ['smallBush'], grass: ['tallGrass'], flowers: [], density: 0.5 },
+    food: { density: 0.6 },
+    travelCost: 1.1,
+    walkable: true,
+    fireflies: true,
+  },
+
+  plains: {
+    id: 'plains',
+    name: 'Plaines',
+    colors: { base: 0x7EC850, dark: 0x4A7C2F, light: 0x9FD356 },
+    ground: { grass: 0.9, dirt: 0.1, rock: 0, sand: 0 },
+    vegetation: { trees: ['simpleTree', 'bushyTree'], bushes: ['smallBush'], grass: ['tallGrass'], flowers: ['flower', 'foxglove'], density: 0.8 },
+    food: { density: 1.0 },
+    travelCost: 1,
+    walkable: true,
+    fireflies: true,
+  },
+
+  temperateForest: {
+    id: 'temperateForest',
+    name: 'Forêt tempérée',
+    colors: { base: 0x5E9E3A, dark: 0x3F6F26, light: 0x7DB24E },
+    ground: { grass: 0.65, dirt: 0.35, rock: 0, sand: 0 },
+    vegetation: { trees: ['simpleTree', 'bushyTree', 'largeTree', 'autumnTree', 'goldenTree'], bushes: ['smallBush'], grass: ['tallGrass'], flowers: ['flower', 'foxglove'], density: 1.0 },
+    food: { density: 0.9 },
+    travelCost: 1.3,
+    walkable: true,
+    fireflies: true,
+  },
+
+  taiga: {
+    id: 'taiga',
+    name: 'Taïga',
+    colors: { base: 0x4F7A52, dark: 0x355A3A, light: 0x6F9670 },
+    ground: { grass: 0.55, dirt: 0.35, rock: 0.1, sand: 0 },
+    vegetation: { trees: ['conifer'], bushes: ['smallBush'], grass: [], flowers: [], density: 0.7 },
+    food: { density: 0.5 },
+    travelCost: 1.4,
+    walkable: true,
+    fireflies: true,
+  },
+
+  tundra: {
+    id: 'tundra',
+    name: 'Toundra',
+    colors: { base: 0x9BA58C, dark: 0x7D8670, light: 0xC9CFC0 },
+    ground: { grass: 0.35, dirt: 0.3, rock: 0.35, sand: 0 },
+    vegetation: { trees: [], bushes: ['smallBush'], grass: ['tallGrass'], flowers: [], density: 0.25 },
+    food: { density: 0.3 },
+    travelCost: 1.5,
+    walkable: true,
+    fireflies: false,
+  },
+
+  swamp: {
+    id: 'swamp',
+    name: 'Marais',
+    colors: { base: 0x4E6B3A, dark: 0x3A4F2A, light: 0x6B7F4A },
+    ground: { grass: 0.45, dirt: 0.55, rock: 0, sand: 0 },
+    vegetation: { trees: ['bushyTree', 'weepingWillow'], bushes: ['smallBush'], grass: ['tallGrass'], flowers: ['flower'], density: 0.6 },
+    food: { density: 0.7 },
+    travelCost: 2.5,
+    walkable: true,
+    fireflies: true,
+  },
+
+  alpine: {
+    id: 'alpine',
+    name: 'Alpin',
+    colors: { base: 0x8B7355, dark: 0x6E5B45, light: 0xA0826D },
+    ground: { grass: 0.1, dirt: 0.2, rock: 0.7, sand: 0 },
+    vegetation: { trees: [], bushes: [], grass: [], flowers: [], density: 0 },
+    food: { density: 0 },
+    travelCost: 3,
+    walkable: false,
+    fireflies: false,
+  },
+
+  water: {
+    id: 'water',
+    name: 'Eau',
+    colors: { base: 0xA89A6A, dark: 0x8C7F55, light: 0xBFB285 },
+    ground: { grass: 0, dirt: 0.4, rock: 0, sand: 0.6 },
+    vegetation: { trees: [], bushes: [], grass: [], flowers: [], density: 0 },
+    food: { density: 0 },
+    travelCost: Infinity,
+    walkable: false,
+    fireflies: true,
+  },
+};
+
+/**
+ * Ajoute (ou remplace) un biome dans le registre
+ */
+export function registerBiome(definition) {
+  if (!definition || !definition.id) {
+    throw new Error('registerBiome : un biome doit avoir un "id"');
+  }
+  BiomeDefinitions[definition.id] = definition;
+  return definition;
+}
+
+/**
+ * Renvoie la définition d'un biome (les plaines par défaut si inconnu)
+ */
+export function getBiomeDefinition(id) {
+  return BiomeDefinitions[id] || BiomeDefinitions.plains;
+}
+
+/**
+ * Vrai si la catégorie de plante ('trees', 'bushes', 'grass', 'flowers')
+ * peut pousser dans ce biome
+ */
+export function biomeAllows(id, category) {
+  const presets = getBiomeDefinition(id).vegetation[category];
+  return Array.isArray(presets) && presets.length > 0;
+}
+
+export default BiomeDefinitions;
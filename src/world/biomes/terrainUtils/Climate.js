@@ -0,0 +1,279 @@
+/**
+ * Modèle climatique du terrain : cartes de température et d'humidité.
+ *
+ * Deux champs de bruit indépendants donnent une température et une humidité
+ * dans [0, 1] pour chaque cellule. L'altitude refroidit l'air (gradient
+ * thermique) et les vallées où l'eau s'écoule sont plus humides. Le couple
+ * (température, humidité) est ensuite lu dans une table de Whittaker pour
+ * obtenir des poids de biomes : les transitions sont douces car on interpole
+ * entre les cases voisines de la table.
+ *
+ * Le bruit est lu en coordonnées monde normalisées (0 et 1 aux bords de la
+ * grille) : `sampleWeights` donne le climat de n'importe quel point, y
+ * compris au-delà de la grille, où le monde est prolongé (TerrainChunks).
+ */
+import { BiomeDefinitions } from '../biomeRegistry.js';
+import { WaterType } from './Water.js';
+import { clamp, smoothstep } from '../../../utils/math.js';
+
+/**
+ * Paramètres par défaut (surchargeables via `config.climate`)
+ */
+export const ClimateDefaults = {
+  temperatureScale: 1.2,    // Fréquence du bruit de température
+  moistureScale: 1.6,       // Fréquence du bruit d'humidité
+  temperatureOffset: 0.1,   // Décale tout le monde vers le chaud (+) ou le froid (-)
+  moistureOffset: 0,        // Décale tout le monde vers l'humide (+) ou le sec (-)
+  contrast: 1.4,            // Étale les valeurs de bruit sur [0, 1]
+  lapseRate: 0.6,           // Perte de température par `heightScale` d'altitude
+  alpineAltitude: 0.3,      // Altitude (en fraction de heightScale) du biome alpin
+  alpineBlend: 0.06,        // Largeur de la transition vers l'alpin
+  riverMoisture: 0.35,      // Bonus d'humidité là où l'eau s'écoule
+};
+
+/**
+ * Table de Whittaker simplifiée.
+ * Lignes : température (froid -> chaud), colonnes : humidité (sec -> humide).
+ */
+export const WhittakerTable = [
+  ['tundra', 'tundra', 'taiga', 'taiga'],
+  ['plains', 'plains', 'temperateForest', 'taiga'],
+  ['savanna', 'plains', 'temperateForest', 'swamp'],
+  ['desert', 'savanna', 'temperateForest', 'swamp'],
+];
+
+// Tampon réutilisé par computeCell / sampleWeights
+const scratchClimate = { temperature: 0, moisture: 0, altitude: 0 };
+
+/**
+ * Calcule les cartes climatiques et les poids de biome d'un terrain
+ */
+export class ClimateModel {
+  constructor(perlin, config = {}) {
+    this.perlin = perlin;
+    this.config = { ...ClimateDefaults, ...config };
+
+    this.resolution = 0;
+    this.biomeIds = [];
+    this.temperatureMap = null;
+    this.moistureMap = null;
+    this.weightMap = null;    // resolution² x biomeIds.length
+    this.dominantMap = null;  // index du biome dominant par cellule
+    this.paintMap = null;     // force des biomes peints (0 = climat pur)
+    this.paintIndexMap = null;
+  }
+
+  /**
+   * Remplit toutes les cartes.
+   *
+   * @param {Float32Array} heightMap
+   * @param {number} resolution
+   * @param {number} heightScale
+   * @param {object} extras  `flowMap` (érosion) et `water` (TerrainWater), optionnels
+   */
+  generate(heightMap, resolution, heightScale, { flowMap = null, water = null } = {}) {
+    const count = resolution * resolution;
+
+    // Liste figée au moment de la génération (le registre peut grandir ensuite)
+    this.biomeIds = Object.keys(BiomeDefinitions);
+    this.resolution = resolution;
+    this.heightScale = heightScale;
+    this.extras = { flowMap, water };
+    this.temperatureMap = new Float32Array(count);
+    this.moistureMap = new Float32Array(count);
+    this.weightMap = new Float32Array(count * this.biomeIds.length);
+    this.dominantMap = new Uint8Array(count);
+
+    // Biomes peints à la main (sculpture) : force et index du biome imposé
+    this.paintMap = new Float32Array(count);
+    this.paintIndexMap = new Uint8Array(count);
+
+    this.updateRegion(heightMap, 0, 0, resolution - 1, resolution - 1);
+  }
+
+  /**
+   * Cartes calculées, sous forme clonable (envoi depuis un Web Worker)
+   */
+  exportState() {
+    const {
+      resolution, heightScale, biomeIds, temperatureMap, moistureMap,
+      weightMap, dominantMap, paintMap, paintIndexMap,
+    } = this;
+    return {
+      resolution, heightScale, biomeIds, temperatureMap, moistureMap,
+      weightMap, dominantMap, paintMap, paintIndexMap,
+    };
+  }
+
+  /**
+   * Reprend des cartes produites par exportState (sans recalcul). `extras`
+   * comme pour generate(), pour les mises à jour locales qui suivront.
+   */
+  importState(state, extras = {}) {
+    Object.assign(this, state);
+    this.extras = { flowMap: null, water: null, ...extras };
+    return this;
+  }
+
+  /**
+   * Recalcule le climat d'une zone de la grille (bornes incluses), par
+   * exemple après une édition locale de la heightmap
+   */
+  updateRegion(heightMap, x0, z0, x1, z1) {
+    const weights = new Float32Array(this.biomeIds.length);
+    for (let y = Math.max(0, z0); y <= Math.min(this.resolution - 1, z1); y++) {
+      for (let x = Math.max(0, x0); x <= Math.min(this.resolution - 1, x1); x++) {
+        this.computeCell(heightMap, x, y, weights);
+      }
+    }
+  }
+
+  /**
+   * Climat et poids de biomes d'une cellule
+   */
+  computeCell(heightMap, x, y, weights) {
+    const c = this.config;
+    const { resolution } = this;
+    const { flowMap, water } = this.extras;
+    const idx = y * resolution + x;
+    const climate = this.sampleClimate(x / (resolution - 1), y / (resolution - 1), heightMap[idx], scratchClimate);
+    const { altitude } = climate;
+
+    let moisture = climate.moisture;
+    if (flowMap) moisture += flowMap[idx] * flowMap[idx] * c.riverMoisture;
+
+    const temperature = clamp(climate.temperature, 0, 1);
+    moisture = clamp(moisture, 0, 1);
+    this.temperatureMap[idx] = temperature;
+    this.moistureMap[idx] = moisture;
+
+    const isWater = water && water.typeMap[idx] !== WaterType.NONE;
+    this.computeWeights(temperature, moisture, altitude, isWater, weights);
+
+    // Peinture : on tire les poids vers le biome imposé
+    const paint = this.paintMap[idx];
+    if (paint > 0 && !isWater) {
+      for (let b = 0; b < weights.length; b++) weights[b] *= 1 - paint;
+      weights[this.paintIndexMap[idx]] += paint;
+    }
+
+    let best = 0;
+    for (let b = 0; b < weights.length; b++) {
+      this.weightMap[idx * weights.length + b] = weights[b];
+      if (weights[b] > weights[best]) best = b;
+    }
+    this.dominantMap[idx] = best;
+  }
+
+  /**
+   * Température et humidité (non bornées) et altitude au-dessus de la mer
+   * d'un point : `nx`, `ny` en coordonnées monde normalisées, indépendantes
+   * de la résolution
+   */
+  sampleClimate(nx, ny, height, out) {
+    const c = this.config;
+    const { water } = this.extras;
+
+    // Décalages de domaine : les deux champs ne se ressemblent pas
+    const tNoise = this.perlin.fractalNoise(nx * c.temperatureScale + 37.1, ny * c.temperatureScale + 11.3, 3, 0.5, 2.0);
+    const mNoise = this.perlin.fractalNoise(nx * c.moistureScale + 91.7, ny * c.moistureScale + 53.9, 3, 0.5, 2.0);
+
+    const seaLevel = water ? water.seaLevel : 0;
+    out.altitude = Math.max(0, height - seaLevel) / this.heightScale;
+    out.temperature = 0.5 + tNoise * c.contrast + c.temperatureOffset - out.altitude * c.lapseRate;
+    out.moisture = 0.5 + mNoise * c.contrast + c.moistureOffset;
+    return out;
+  }
+
+  /**
+   * Poids de biomes d'un point hors de la grille (monde prolongé) : le
+   * climat seul, de l'eau sous le niveau de la mer, ni rivières ni peinture
+   */
+  sampleWeights(nx, ny, height, out) {
+    const { water } = this.extras;
+    const { temperature, moisture, altitude } = this.sampleClimate(nx, ny, height, scratchClimate);
+    const isWater = Boolean(water) && height < water.seaLevel;
+    return this.computeWeights(clamp(temperature, 0, 1), clamp(moisture, 0, 1), altitude, isWater, out);
+  }
+
+  /**
+   * Peint un biome sur une cellule : `amount` (0..1) s'ajoute à la force de
+   * la peinture. Peindre un autre biome efface d'abord le précédent.
+   * Il faut ensuite appeler updateRegion sur la zone.
+   */
+  paint(idx, biomeId, amount) {
+    const b = this.biomeIds.indexOf(biomeId);
+    if (b === -1) throw new Error(`Biome inconnu : "${biomeId}"`);
+
+    // Un autre biome est déjà peint : on l'efface d'abord
+    if (this.paintIndexMap[idx] !== b && this.paintMap[idx] > 0) {
+      const remaining = this.paintMap[idx] - amount;
+      if (remaining > 0) {
+        this.paintMap[idx] = remaining;
+        return;
+      }
+      amount = -remaining;
+      this.paintMap[idx] = 0;
+    }
+
+    this.paintIndexMap[idx] = b;
+    this.paintMap[idx] = Math.min(1, this.paintMap[idx] + amount);
+  }
+
+  /**
+   * Poids de chaque biome pour un climat donné (somme = 1).
+   * Interpolation bilinéaire entre les 4 cases voisines de la table,
+   * avec un smoothstep pour garder des zones "pures" au centre des cases.
+   */
+  computeWeights(temperature, moisture, altitude, isWater, out) {
+    out.fill(0);
+    const index = (id) => this.biomeIds.indexOf(id);
+
+    if (isWater) {
+      out[index('water')] = 1;
+      return out;
+    }
+
+    const rows = WhittakerTable.length;
+    const cols = WhittakerTable[0].length;
+    const ft = clamp(temperature * rows - 0.5, 0, rows - 1);
+    const fm = clamp(moisture * cols - 0.5, 0, cols - 1);
+    const r0 = Math.floor(ft);
+    const c0 = Math.floor(fm);
+    const r1 = Math.min(r0 + 1, rows - 1);
+    const c1 = Math.min(c0 + 1, cols - 1);
+    const tr = smoothstep(0.25, 0.75, ft - r0);
+    const tc = smoothstep(0.25, 0.75, fm - c0);
+
+    const { alpineAltitude, alpineBlend } = this.config;
+    const alpine = smoothstep(alpineAltitude - alpineBlend, alpineAltitude + alpineBlend, altitude);
+    const climateShare = 1 - alpine;
+
+    out[index(WhittakerTable[r0][c0])] += (1 - tr) * (1 - tc) * climateShare;
+    out[index(WhittakerTable[r0][c1])] += (1 - tr) * tc * climateShare;
+    out[index(WhittakerTable[r1][c0])] += tr * (1 - tc) * climateShare;
+    out[index(WhittakerTable[r1][c1])] += tr * tc * climateShare;
+    out[index('alpine')] += alpine;
+
+    return out;
+  }
+
+  /**
+   * Poids non nuls d'une cellule sous forme d'objet `{ biomeId: poids }`
+   */
+  getWeights(idx) {
+    const n = this.biomeIds.length;
+    const weights = {};
+    for (let b = 0; b < n; b++) {
+      const w = this.weightMap[idx * n + b];
+      if (w > 0) weights[this.biomeIds[b]] = w;
+    }
+    return weights;
+  }
+
+  getDominant(idx) {
+    return this.biomeIds[this.dominantMap[idx]];
+  }
+}
+
+export default ClimateModel;
@@ -0,0 +1,326 @@
+/**
+ * Passe d'érosion pour les heightmaps de `TerrainGenerator`.
+ *
+ * Deux phénomènes sont simulés directement sur la grille de hauteurs :
+ *  - l'érosion hydraulique : des milliers de "gouttes" tombent sur le terrain,
+ *    descendent la pente, arrachent de la matière quand elles vont vite et la
+ *    redéposent quand elles ralentissent. Ça creuse des vallées et des lits de
+ *    rivière, et ça dessine des lignes de crête nettes.
+ *  - l'érosion thermique : quand une pente dépasse l'angle de talus, la matière
+ *    "glisse" vers le voisin le plus bas (éboulis au pied des falaises).
+ *
+ * En plus de modifier la heightmap, la simulation produit deux cartes
+ * normalisées dans [0, 1] utilisées pour colorer le terrain :
+ *  - `flowMap`     : quantité d'eau passée sur chaque cellule (rivières, ravines),
+ *  - `sedimentMap` : matière déposée (fonds de vallée, cônes de déjection).
+ */
+import { RandomGenerator } from '../../../utils/random.js';
+
+/**
+ * Paramètres par défaut de la simulation (surchargeables via `config.erosion`)
+ */
+export const ErosionDefaults = {
+  enabled: false,
+
+  // Hydraulique (gouttes)
+  referenceResolution: 128, // Grille pour laquelle les nombres de gouttes, pas et itérations sont donnés
+  droplets: 30000,          // Nombre de gouttes simulées (x (resolution / référence)²)
+  maxLifetime: 30,          // Nombre de pas max d'une goutte (x resolution / référence)
+  inertia: 0.05,            // 0 = suit la pente, 1 = garde sa direction
+  sedimentCapacity: 4,      // Quantité de sédiment transportable
+  minSedimentCapacity: 0.01,
+  erodeSpeed: 0.3,
+  depositSpeed: 0.3,
+  evaporateSpeed: 0.01,
+  gravity: 4,
+  erosionRadius: 9,         // Rayon (en unités monde) du pinceau d'érosion
+  maxBrushRadius: 6,        // Plafond (en cellules) du pinceau sur les grilles fines
+  initialWater: 1,
+  initialSpeed: 1,
+
+  // Thermique (talus)
+  thermalIterations: 20,    // x resolution / référence
+  talusAngle: 35,           // Angle (degrés) au-delà duquel la matière glisse
+  thermalRate: 0.5,         // Fraction de l'excédent déplacée à chaque itération
+};
+
+/**
+ * Simulation d'érosion sur une heightmap carrée `resolution` x `resolution`
+ */
+export class TerrainErosion {
+  constructor(config = {}) {
+    this.config = { ...ErosionDefaults, ...config };
+    this.rng = config.rng || new RandomGenerator(config.seed ?? 0);
+  }
+
+  /**
+   * Pré-calcule les poids du pinceau circulaire utilisé pour éroder
+   * (la matière est arrachée autour de la goutte, pas en un seul point).
+   * `radius` est en cellules (pas forcément entier).
+   */
+  createBrush(radius) {
+    const offsets = [];
+    let total = 0;
+    const reach = Math.ceil(radius);
+
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < radius) {
+          const weight = 1 - dist / radius;
+          offsets.push({ dx, dy, weight });
+          total += weight;
+        }
+      }
+    }
+
+    for (const o of offsets) o.weight /= total;
+    return offsets;
+  }
+
+  /**
+   * Lance les deux passes. La heightmap est modifiée sur place.
+   *
+   * @param {Float32Array} heightMap  hauteurs en unités monde
+   * @param {number} resolution       nombre de vertices par côté
+   * @param {number} cellSize         distance monde entre deux vertices
+   * @returns {{ flowMap: Float32Array, sedimentMap: Float32Array }}
+   */
+  run(heightMap, resolution, cellSize) {
+    const flow = new Float32Array(resolution * resolution);
+    const sediment = new Float32Array(resolution * resolution);
+
+    this.applyHydraulic(heightMap, resolution, cellSize, flow, sediment);
+    this.applyThermal(heightMap, resolution, cellSize, sediment);
+
+    return {
+      flowMap: this.normalize(flow, true),
+      sedimentMap: this.normalize(sediment, false),
+    };
+  }
+
+  /**
+   * Érosion hydraulique par gouttes.
+   *
+   * La heightmap est ramenée dans [0, 1] le temps de la simulation : les
+   * paramètres (capacité, gravité...) restent ainsi valables quels que soient
+   * `heightScale` et la taille du terrain. Le nombre de gouttes suit le
+   * nombre de cellules et leur trajet garde la même longueur en unités
+   * monde : une grille plus fine ne creuse pas plus. Le pinceau, lui, est
+   * plafonné en cellules (`maxBrushRadius`) : sinon son coût grandirait
+   * aussi avec le carré de la résolution.
+   *
+   * À chaque pas, rien n'est creusé sous le plus bas des voisins de la
+   * cellule de la goutte : sans ce plancher, le pinceau abaisse aussi les
+   * cellules en aval, les gouttes suivantes retrouvent la même pente et
+   * creusent sans fin (surtout sur les petites grilles). Le plancher étant
+   * une hauteur existante, le point le plus bas du terrain ne peut que monter.
+   */
+  applyHydraulic(heightMap, resolution, cellSize, flow, sediment) {
+    const c = this.config;
+    const map = heightMap;
+    const scale = resolution / c.referenceResolution;
+    const droplets = Math.round(c.droplets * scale * scale);
+    const maxLifetime = Math.max(1, Math.round(c.maxLifetime * scale));
+    const brush = this.createBrush(Math.min(c.erosionRadius / cellSize, c.maxBrushRadius));
+
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+    for (let i = 0; i < map.length; i++) {
+      if (map[i] < minHeight) minHeight = map[i];
+      if (map[i] > maxHeight) maxHeight = map[i];
+    }
+    const range = maxHeight - minHeight || 1;
+    for (let i = 0; i < map.length; i++) map[i] = (map[i] - minHeight) / range;
+
+    const max = resolution - 1;
+
+    for (let d = 0; d < droplets; d++) {
+      let posX = this.rng.next() * (max - 1);
+      let posY = this.rng.next() * (max - 1);
+      let dirX = 0;
+      let dirY = 0;
+      let speed = c.initialSpeed;
+      let water = c.initialWater;
+      let carried = 0;
+
+      for (let step = 0; step < maxLifetime; step++) {
+        const cellX = Math.floor(posX);
+        const cellY = Math.floor(posY);
+        const offX = posX - cellX;
+        const offY = posY - cellY;
+        const cellIdx = cellY * resolution + cellX;
+
+        const { height, gradX, gradY } = this.sampleGradient(map, resolution, posX, posY);
+
+        // Nouvelle direction : mélange entre inertie et pente
+        dirX = dirX * c.inertia - gradX * (1 - c.inertia);
+        dirY = dirY * c.inertia - gradY * (1 - c.inertia);
+        const len = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (len === 0) break;
+        dirX /= len;
+        dirY /= len;
+
+        posX += dirX;
+        posY += dirY;
+
+        flow[cellIdx] += water;
+
+        // Sortie de la carte : la goutte est perdue
+        if (posX < 0 || posX >= max || posY < 0 || posY >= max) break;
+
+        const newHeight = this.sampleGradient(map, resolution, posX, posY).height;
+        const deltaHeight = newHeight - height;
+
+        const capacity = Math.max(
+          -deltaHeight * speed * water * c.sedimentCapacity,
+          c.minSedimentCapacity
+        );
+
+        if (carried > capacity || deltaHeight > 0) {
+          // Dépôt : en montée on comble le creux, sinon on lâche l'excédent
+          const amount = deltaHeight > 0
+            ? Math.min(deltaHeight, carried)
+            : (carried - capacity) * c.depositSpeed;
+          carried -= amount;
+
+          // Répartition bilinéaire sur les 4 coins de la cellule
+          const w00 = (1 - offX) * (1 - offY);
+          const w10 = offX * (1 - offY);
+          const w01 = (1 - offX) * offY;
+          const w11 = offX * offY;
+          map[cellIdx] += amount * w00;
+          map[cellIdx + 1] += amount * w10;
+          map[cellIdx + resolution] += amount * w01;
+          map[cellIdx + resolution + 1] += amount * w11;
+          sediment[cellIdx] += amount * w00;
+          sediment[cellIdx + 1] += amount * w10;
+          sediment[cellIdx + resolution] += amount * w01;
+          sediment[cellIdx + resolution + 1] += amount * w11;
+        } else {
+          // Érosion : jamais plus que la différence de hauteur (évite les trous)
+          const amount = Math.min((capacity - carried) * c.erodeSpeed, -deltaHeight);
+          const floor = this.lowestNeighbor(map, resolution, cellX, cellY);
+
+          for (const { dx, dy, weight } of brush) {
+            const x = cellX + dx;
+            const y = cellY + dy;
+            if (x < 0 || x > max || y < 0 || y > max) continue;
+
+            const idx = y * resolution + x;
+            const removed = Math.min(amount * weight, Math.max(0, map[idx] - floor));
+            map[idx] -= removed;
+            carried += removed;
+          }
+        }
+
+        speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * c.gravity));
+        water *= 1 - c.evaporateSpeed;
+      }
+    }
+
+    for (let i = 0; i < map.length; i++) map[i] = map[i] * range + minHeight;
+    for (let i = 0; i < sediment.length; i++) sediment[i] *= range / cellSize;
+  }
+
+  /**
+   * Hauteur du plus bas des 8 voisins d'une cellule
+   */
+  lowestNeighbor(map, resolution, x, y) {
+    let lowest = Infinity;
+    for (let ny = Math.max(0, y - 1); ny <= Math.min(resolution - 1, y + 1); ny++) {
+      for (let nx = Math.max(0, x - 1); nx <= Math.min(resolution - 1, x + 1); nx++) {
+        if ((nx !== x || ny !== y) && map[ny * resolution + nx] < lowest) lowest = map[ny * resolution + nx];
+      }
+    }
+    return lowest;
+  }
+
+  /**
+   * Hauteur + gradient interpolés bilinéairement à une position de grille
+   */
+  sampleGradient(map, resolution, posX, posY) {
+    const x = Math.floor(posX);
+    const y = Math.floor(posY);
+    const u = posX - x;
+    const v = posY - y;
+    const idx = y * resolution + x;
+
+    const h00 = map[idx];
+    const h10 = map[idx + 1];
+    const h01 = map[idx + resolution];
+    const h11 = map[idx + resolution + 1];
+
+    return {
+      height: h00 * (1 - u) * (1 - v) + h10 * u * (1 - v) + h01 * (1 - u) * v + h11 * u * v,
+      gradX: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+      gradY: (h01 - h00) * (1 - u) + (h11 - h10) * u,
+    };
+  }
+
+  /**
+   * Érosion thermique : la matière glisse tant que la pente dépasse le talus.
+   * Chaque itération ne déplace la matière que d'une cellule : leur nombre
+   * suit la résolution pour que les éboulis s'étalent sur la même distance.
+   */
+  applyThermal(heightMap, resolution, cellSize, sediment) {
+    const { talusAngle, thermalRate, referenceResolution } = this.config;
+    const thermalIterations = Math.max(1, Math.round(this.config.thermalIterations * resolution / referenceResolution));
+    const talus = Math.tan((talusAngle * Math.PI) / 180) * cellSize;
+    const neighbors = [
+      [-1, 0, 1], [1, 0, 1], [0, -1, 1], [0, 1, 1],
+      [-1, -1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, 1, Math.SQRT2],
+    ];
+
+    for (let iter = 0; iter < thermalIterations; iter++) {
+      for (let y = 0; y < resolution; y++) {
+        for (let x = 0; x < resolution; x++) {
+          const idx = y * resolution + x;
+          const h = heightMap[idx];
+
+          // Voisin le plus bas en pente relative
+          let bestIdx = -1;
+          let bestExcess = 0;
+          for (const [dx, dy, dist] of neighbors) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= resolution || ny < 0 || ny >= resolution) continue;
+
+            const nIdx = ny * resolution + nx;
+            const excess = h - heightMap[nIdx] - talus * dist;
+            if (excess > bestExcess) {
+              bestExcess = excess;
+              bestIdx = nIdx;
+            }
+          }
+
+          if (bestIdx !== -1) {
+            // On ne déplace que la moitié de l'excédent pour ne pas osciller
+            const amount = bestExcess * 0.5 * thermalRate;
+            heightMap[idx] -= amount;
+            heightMap[bestIdx] += amount;
+            sediment[bestIdx] += amount / cellSize;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Ramène une carte dans [0, 1]. L'échelle log adoucit les rivières
+   * principales qui, sinon, écrasent toutes les petites ravines.
+   */
+  normalize(map, logScale) {
+    let max = 0;
+    for (let i = 0; i < map.length; i++) {
+      if (logScale) map[i] = Math.log1p(map[i]);
+      if (map[i] > max) max = map[i];
+    }
+    if (max > 0) {
+      for (let i = 0; i < map.length; i++) map[i] /= max;
+    }
+    return map;
+  }
+}
+
+export default TerrainErosion;
@@ -0,0 +1,420 @@
+/**
+ * Import / export de heightmaps pour `TerrainGenerator`.
+ *
+ * Formats supportés :
+ *  - PNG niveaux de gris (ou RGB : on lit le canal rouge), 8 ou 16 bits.
+ *    Les valeurs sont normalisées dans [0, 1] puis étalées entre `minHeight`
+ *    et `maxHeight`. Les PNG exportés par Bloomfall embarquent ces bornes
+ *    dans un bloc texte, qui prime sur les options : un aller-retour
+ *    redonne les mêmes hauteurs.
+ *  - RAW : tableau de Float32 (little-endian), hauteurs en unités monde.
+ *    La carte doit être carrée si on ne précise pas `width`.
+ *  - JSON : `{ format: 'bloomfall-heightmap', width, height, heights, biomeMask? }`.
+ *
+ * Tous les imports renvoient la même structure "HeightData" :
+ *   `{ width, height, heights: Float32Array, biomeMask: Float32Array|null, size? }`
+ * que l'on passe à `TerrainGenerator` via `config.heightData` ou
+ * `generator.importHeightMap(data)`.
+ *
+ * Le masque de biome suit la convention de `biomeMap` : 0 = relief de
+ * montagne, 1 = plaines.
+ */
+import { loadBytes } from '../../../utils/loader.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_TEXT_KEY = 'bloomfall';
+
+// ------------------------------------------------------------
+//  Import
+// ------------------------------------------------------------
+
+/**
+ * Charge une heightmap depuis n'importe quelle source (URL, File, buffer).
+ * Le format est détecté automatiquement (signature PNG, JSON, sinon RAW).
+ *
+ * @param {*} source
+ * @param {object} options  `minHeight` / `maxHeight` (PNG sans bornes Bloomfall), `width` (RAW),
+ *                          `biomeMask` : autre source pour le masque de biome
+ */
+export async function loadHeightmap(source, options = {}) {
+  const bytes = await loadBytes(source);
+  let data;
+
+  if (isPNG(bytes)) {
+    data = await decodeHeightmapPNG(bytes, options);
+  } else if (bytes[0] === 0x7B) { // '{'
+    data = parseHeightmapJSON(new TextDecoder().decode(bytes));
+  } else {
+    data = parseHeightmapRAW(bytes, options);
+  }
+
+  if (options.biomeMask) {
+    data.biomeMask = await loadBiomeMask(options.biomeMask, data.width, data.height);
+  }
+
+  return data;
+}
+
+/**
+ * Charge un masque de biome (PNG ou RAW) et vérifie qu'il a la taille attendue
+ */
+export async function loadBiomeMask(source, width, height) {
+  const bytes = await loadBytes(source);
+  const mask = isPNG(bytes)
+    ? await decodeHeightmapPNG(bytes, { minHeight: 0, maxHeight: 1 })
+    : parseHeightmapRAW(bytes, { width });
+
+  if (mask.width !== width || mask.height !== height) {
+    throw new Error(
+      `Masque de biome ${mask.width}x${mask.height} incompatible avec la heightmap ${width}x${height}`
+    );
+  }
+  return mask.heights;
+}
+
+/**
+ * JSON : hauteurs en unités monde, masque de biome optionnel
+ */
+export function parseHeightmapJSON(text) {
+  const json = typeof text === 'string' ? JSON.parse(text) : text;
+  const heights = json.heights;
+
+  if (!Array.isArray(heights) || heights.length === 0) {
+    throw new Error('Heightmap JSON : champ "heights" manquant ou vide');
+  }
+
+  const width = json.width || Math.round(Math.sqrt(heights.length));
+  const height = json.height || heights.length / width;
+  if (!Number.isInteger(height) || width * height !== heights.length) {
+    throw new Error(`Heightmap JSON : ${heights.length} valeurs ne forment pas une grille ${width}x${height}`);
+  }
+
+  let biomeMask = null;
+  if (json.biomeMask) {
+    if (json.biomeMask.length !== heights.length) {
+      throw new Error('Heightmap JSON : "biomeMask" n\'a pas la même taille que "heights"');
+    }
+    biomeMask = Float32Array.from(json.biomeMask);
+  }
+
+  return {
+    width,
+    height,
+    heights: Float32Array.from(heights),
+    biomeMask,
+    size: json.size,
+  };
+}
+
+/**
+ * RAW : Float32 little-endian, en unités monde
+ */
+export function parseHeightmapRAW(bytes, options = {}) {
+  if (bytes.byteLength % 4 !== 0) {
+    throw new Error('Heightmap RAW : la taille du fichier doit être un multiple de 4 octets (Float32)');
+  }
+
+  const count = bytes.byteLength / 4;
+  const width = options.width || Math.round(Math.sqrt(count));
+  const height = count / width;
+  if (!Number.isInteger(height)) {
+    throw new Error(`Heightmap RAW : ${count} valeurs ne forment pas une grille de largeur ${width}`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const heights = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    heights[i] = view.getFloat32(i * 4, true);
+  }
+
+  return { width, height, heights, biomeMask: null };
+}
+
+/**
+ * PNG 8/16 bits, non entrelacé. Les hauteurs sont ramenées dans
+ * [minHeight, maxHeight] : bornes du bloc texte Bloomfall si présent (elles
+ * sont exactes), sinon celles des options.
+ */
+export async function decodeHeightmapPNG(bytes, options = {}) {
+  const png = await decodePNG(bytes);
+  const meta = png.text[PNG_TEXT_KEY] ? JSON.parse(png.text[PNG_TEXT_KEY]) : {};
+
+  const minHeight = meta.minHeight ?? options.minHeight ?? 0;
+  const maxHeight = meta.maxHeight ?? options.maxHeight ?? 50;
+  const heights = new Float32Array(png.values.length);
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = minHeight + png.values[i] * (maxHeight - minHeight);
+  }
+
+  return {
+    width: png.width,
+    height: png.height,
+    heights,
+    biomeMask: null,
+    size: meta.size,
+  };
+}
+
+function isPNG(bytes) {
+  return PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Décodeur PNG minimal : renvoie le premier canal normalisé dans [0, 1].
+ * On n'utilise pas de canvas car il tronquerait les PNG 16 bits à 8 bits.
+ */
+async function decodePNG(bytes) {
+  if (!isPNG(bytes)) throw new Error('PNG : signature invalide');
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const idat = [];
+  const text = {};
+  let header = null;
+  let offset = 8;
+
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'tEXt') {
+      const sep = data.indexOf(0);
+      const key = String.fromCharCode(...data.subarray(0, sep));
+      text[key] = new TextDecoder('latin1').decode(data.subarray(sep + 1));
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!header) throw new Error('PNG : bloc IHDR manquant');
+  const { width, height, bitDepth, colorType, interlace } = header;
+
+  const channelsByType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+  const channels = channelsByType[colorType];
+  if (!channels) throw new Error(`PNG : type de couleur ${colorType} non supporté (palette ?)`);
+  if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`PNG : profondeur ${bitDepth} bits non supportée`);
+  if (interlace !== 0) throw new Error('PNG : les images entrelacées ne sont pas supportées');
+
+  const raw = await inflate(concat(idat));
+  const bytesPerPixel = channels * (bitDepth / 8);
+  const stride = width * bytesPerPixel;
+  const pixels = unfilter(raw, height, stride, bytesPerPixel);
+
+  const values = new Float32Array(width * height);
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  for (let i = 0; i < values.length; i++) {
+    const p = i * bytesPerPixel;
+    const v = bitDepth === 16 ? (pixels[p] << 8) | pixels[p + 1] : pixels[p];
+    values[i] = v / maxValue;
+  }
+
+  return { width, height, values, text };
+}
+
+/**
+ * Annule les filtres de ligne PNG (None, Sub, Up, Average, Paeth)
+ */
+function unfilter(raw, height, stride, bpp) {
+  const out = new Uint8Array(height * stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const prev = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let value;
+
+      switch (filter) {
+        case 0: value = line[x]; break;
+        case 1: value = line[x] + a; break;
+        case 2: value = line[x] + b; break;
+        case 3: value = line[x] + ((a + b) >> 1); break;
+        case 4: {
+          const p = a + b - c;
+          const pa = Math.abs(p - a);
+          const pb = Math.abs(p - b);
+          const pc = Math.abs(p - c);
+          value = line[x] + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+          break;
+        }
+        default:
+          throw new Error(`PNG : filtre de ligne ${filter} inconnu`);
+      }
+      out[row + x] = value & 0xFF;
+    }
+  }
+
+  return out;
+}
+
+// ------------------------------------------------------------
+//  Export
+// ------------------------------------------------------------
+
+/**
+ * Exporte la heightmap (et le masque de biome) d'un générateur en JSON
+ */
+export function exportHeightmapJSON(generator) {
+  const { resolution, size } = generator.config;
+  return JSON.stringify({
+    format: 'bloomfall-heightmap',
+    version: 1,
+    width: resolution,
+    height: resolution,
+    size,
+    heights: Array.from(generator.heightMap),
+    biomeMask: generator.biomeMap ? Array.from(generator.biomeMap) : undefined,
+  });
+}
+
+/**
+ * Exporte la heightmap en RAW Float32 little-endian
+ */
+export function exportHeightmapRAW(generator) {
+  const heights = generator.heightMap;
+  const buffer = new ArrayBuffer(heights.length * 4);
+  const view = new DataView(buffer);
+  for (let i = 0; i < heights.length; i++) {
+    view.setFloat32(i * 4, heights[i], true);
+  }
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Exporte la heightmap en PNG niveaux de gris 16 bits.
+ * Les bornes min/max sont stockées dans un bloc tEXt pour le ré-import.
+ */
+export async function exportHeightmapPNG(generator) {
+  const { resolution, size } = generator.config;
+  const heights = generator.heightMap;
+
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+  for (const h of heights) {
+    if (h < minHeight) minHeight = h;
+    if (h > maxHeight) maxHeight = h;
+  }
+  const range = maxHeight - minHeight || 1;
+
+  const values = new Float32Array(heights.length);
+  for (let i = 0; i < heights.length; i++) {
+    values[i] = (heights[i] - minHeight) / range;
+  }
+
+  return encodePNG16(values, resolution, resolution, {
+    [PNG_TEXT_KEY]: JSON.stringify({ minHeight, maxHeight, size }),
+  });
+}
+
+/**
+ * Exporte le masque de biome (biomeMap) en PNG 16 bits
+ */
+export async function exportBiomeMaskPNG(generator) {
+  const { resolution } = generator.config;
+  return encodePNG16(generator.biomeMap, resolution, resolution, {});
+}
+
+/**
+ * Encode des valeurs [0, 1] en PNG gris 16 bits (filtre "None" partout)
+ */
+async function encodePNG16(values, width, height, text) {
+  const stride = width * 2;
+  const raw = new Uint8Array(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    for (let x = 0; x < width; x++) {
+      const v = Math.round(Math.min(1, Math.max(0, values[y * width + x])) * 65535);
+      const p = y * (stride + 1) + 1 + x * 2;
+      raw[p] = v >> 8;
+      raw[p + 1] = v & 0xFF;
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = 16; // profondeur
+  ihdr[9] = 0;  // niveaux de gris
+
+  const chunks = [pngChunk('IHDR', ihdr)];
+  for (const [key, value] of Object.entries(text)) {
+    chunks.push(pngChunk('tEXt', new TextEncoder().encode(`${key}\0${value}`)));
+  }
+  chunks.push(pngChunk('IDAT', await deflate(raw)));
+  chunks.push(pngChunk('IEND', new Uint8Array(0)));
+
+  return concat([new Uint8Array(PNG_SIGNATURE), ...chunks]);
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// ------------------------------------------------------------
+//  Outils binaires
+// ------------------------------------------------------------
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concat(parts) {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+// zlib via les Compression Streams natifs (navigateur et Node >= 18)
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
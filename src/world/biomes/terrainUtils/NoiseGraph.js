@@ -0,0 +1,501 @@
+/**
+ * Graphe de bruit déclaratif pour le relief.
+ *
+ * Un style de terrain est décrit par des nœuds (objets JS ou JSON) au lieu
+ * d'être codé en dur dans `generateHeightMap` :
+ *
+ *   {
+ *     nodes: {
+ *       mountains: { type: 'ridged', source: { type: 'simplex', frequency: 4 }, octaves: 6 },
+ *       plains:    { type: 'fbm', source: { type: 'perlin', frequency: 3 }, octaves: 4 },
+ *       relief:    { type: 'radial', radius: 0.5 },
+ *       height:    { type: 'blend', a: 'mountains', b: 'plains', mask: 'relief' },
+ *     },
+ *     outputs: { height: 'height', relief: 'relief' },
+ *   }
+ *
+ * Chaque entrée d'un nœud est soit un nœud en ligne, soit le nom d'un nœud
+ * de `nodes` (partagé, compilé une seule fois), soit un nombre (constante).
+ * Les coordonnées d'entrée vont de 0 à 1 sur toute la carte ; les sources
+ * renvoient à peu près [-1, 1] (worley : distance dans [0, ~1]).
+ *
+ * Sorties utilisées par TerrainGenerator :
+ *  - `height` : hauteur, multipliée ensuite par `heightScale`
+ *  - `relief` : (optionnelle) 0 = montagne, 1 = plaine, cf. `biomeMap`
+ *
+ * Pour un nouveau type de nœud : `registerNoiseNode('monType', (def, ctx) => (x, y) => ...)`.
+ */
+import { createNoise2D } from 'simplex-noise';
+import { RandomGenerator, hashString } from '../../../utils/random.js';
+import { clamp, lerp, smoothstep } from '../../../utils/math.js';
+
+/**
+ * Bruit de Perlin 2D classique, permutation mélangée avec un flux seedé
+ */
+export class PerlinNoise {
+  constructor(seed = 0) {
+    this.seed = seed;
+    this.permutation = this.generatePermutation(new RandomGenerator(seed));
+  }
+
+  generatePermutation(rng) {
+    const p = [];
+    for (let i = 0; i < 256; i++) p[i] = i;
+
+    // Mélange Fisher-Yates
+    for (let i = 255; i > 0; i--) {
+      const j = rng.int(0, i);
+      [p[i], p[j]] = [p[j], p[i]];
+    }
+
+    // Doubler pour éviter les débordements
+    return [...p, ...p];
+  }
+
+  fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  }
+
+  grad(hash, x, y) {
+    const h = hash & 3;
+    const u = h < 2 ? x : y;
+    const v = h < 2 ? y : x;
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+  }
+
+  noise(x, y) {
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+
+    const u = this.fade(x);
+    const v = this.fade(y);
+
+    const p = this.permutation;
+    const a = p[X] + Y;
+    const b = p[X + 1] + Y;
+
+    return lerp(
+      lerp(this.grad(p[a], x, y), this.grad(p[b], x - 1, y), u),
+      lerp(this.grad(p[a + 1], x, y - 1), this.grad(p[b + 1], x - 1, y - 1), u),
+      v
+    );
+  }
+
+  // Bruit fractal multi-octaves
+  fractalNoise(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
+    let total = 0;
+    let frequency = 1;
+    let amplitude = 1;
+    let maxValue = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      total += this.noise(x * frequency, y * frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+
+    return total / maxValue;
+  }
+}
+
+/**
+ * Bruit cellulaire (Worley) : distance aux points caractéristiques voisins.
+ * `distance` : 'f1' (cellules), 'f2' ou 'f2-f1' (bords de cellules).
+ */
+function createWorley(seed, jitter = 1, distance = 'f1') {
+  const base = hashString(String(seed));
+
+  // Point caractéristique d'une cellule, déterministe (hash entier)
+  const feature = (cx, cy, axis) => {
+    let h = Math.imul(cx, 374761393) ^ Math.imul(cy, 668265263) ^ Math.imul(base + axis, 1274126177);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  };
+
+  return (x, y) => {
+    const cx = Math.floor(x);
+    const cy = Math.floor(y);
+    let f1 = Infinity;
+    let f2 = Infinity;
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const px = cx + dx + 0.5 + (feature(cx + dx, cy + dy, 0) - 0.5) * jitter;
+        const py = cy + dy + 0.5 + (feature(cx + dx, cy + dy, 1) - 0.5) * jitter;
+        const d = Math.hypot(px - x, py - y);
+        if (d < f1) {
+          f2 = f1;
+          f1 = d;
+        } else if (d < f2) {
+          f2 = d;
+        }
+      }
+    }
+
+    if (distance === 'f2') return f2;
+    if (distance === 'f2-f1') return f2 - f1;
+    return f1;
+  };
+}
+
+/**
+ * Somme d'octaves générique, partagée par fbm / ridged / billow
+ */
+function octaves(def, source, shape) {
+  const { octaves: count = 4, persistence = 0.5, lacunarity = 2 } = def;
+  return (x, y) => {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxValue = 0;
+    for (let i = 0; i < count; i++) {
+      total += shape(source(x * frequency, y * frequency)) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    return total / maxValue;
+  };
+}
+
+/**
+ * Fabriques de nœuds : `(def, ctx) => (x, y) => valeur`.
+ * `ctx.input(ref)` compile une entrée, `ctx.seedFor(def)` donne une graine
+ * propre à chaque source.
+ */
+export const NoiseNodeTypes = {
+  // --- Sources ---
+  constant: (def) => () => def.value ?? 0,
+
+  simplex: (def, ctx) => {
+    const rng = new RandomGenerator(ctx.seedFor(def));
+    const noise = createNoise2D(() => rng.next());
+    const f = def.frequency ?? 1;
+    return (x, y) => noise(x * f, y * f);
+  },
+
+  perlin: (def, ctx) => {
+    const perlin = new PerlinNoise(ctx.seedFor(def));
+    const f = def.frequency ?? 1;
+    return (x, y) => perlin.noise(x * f, y * f);
+  },
+
+  worley: (def, ctx) => {
+    const worley = createWorley(ctx.seedFor(def), def.jitter ?? 1, def.distance);
+    const f = def.frequency ?? 1;
+    return (x, y) => worley(x * f, y * f);
+  },
+
+  // Distance normalisée au centre (0 au centre, 1 à `radius`)
+  radial: (def) => {
+    const [cx, cy] = def.center || [0.5, 0.5];
+    const radius = def.radius ?? 0.5;
+    return (x, y) => Math.hypot(x - cx, y - cy) / radius;
+  },
+
+  // --- Fractales ---
+  fbm: (def, ctx) => octaves(def, ctx.input(def.source), n => n),
+
+  // Crêtes : 1 - |n|, au carré pour affiner les arêtes (dans [0, 1])
+  ridged: (def, ctx) => {
+    const offset = def.offset ?? 1;
+    const sharpness = def.sharpness ?? 2;
+    return octaves(def, ctx.input(def.source), n => Math.pow(Math.max(0, offset - Math.abs(n)), sharpness));
+  },
+
+  // Bosses arrondies : |n| ramené dans [-1, 1]
+  billow: (def, ctx) => octaves(def, ctx.input(def.source), n => Math.abs(n) * 2 - 1),
+
+  // --- Déformations ---
+  // Décale les coordonnées de `source` par `warp` (évalué deux fois, décalé)
+  warp: (def, ctx) => {
+    const source = ctx.input(def.source);
+    const warp = ctx.input(def.warp);
+    const strength = def.strength ?? 0.1;
+    return (x, y) => source(
+      x + warp(x, y) * strength,
+      y + warp(x + 5.2, y + 1.3) * strength
+    );
+  },
+
+  // Paliers (rizières, mesas) ; `smoothness` adoucit les marches
+  terrace: (def, ctx) => {
+    const source = ctx.input(def.source);
+    const steps = def.steps ?? 6;
+    const smoothness = def.smoothness ?? 0.2;
+    return (x, y) => {
+      const v = source(x, y) * steps;
+      const base = Math.floor(v);
+      const t = smoothstep(0.5 - smoothness / 2, 0.5 + smoothness / 2, v - base);
+      return (base + t) / steps;
+    };
+  },
+
+  // --- Arithmétique ---
+  add: (def, ctx) => {
+    const inputs = def.inputs.map(ref => ctx.input(ref));
+    return (x, y) => inputs.reduce((sum, f) => sum + f(x, y), 0);
+  },
+
+  multiply: (def, ctx) => {
+    const inputs = def.inputs.map(ref => ctx.input(ref));
+    return (x, y) => inputs.reduce((product, f) => product * f(x, y), 1);
+  },
+
+  // source * scale + offset
+  scale: (def, ctx) => {
+    const source = ctx.input(def.source);
+    const scale = def.scale ?? 1;
+    const offset = def.offset ?? 0;
+    return (x, y) => source(x, y) * scale + offset;
+  },
+
+  // Puissance qui garde le signe (accentue les pics sans creuser les vallées)
+  power: (def, ctx) => {
+    const source = ctx.input(def.source);
+    const exponent = def.exponent ?? 2;
+    return (x, y) => {
+      const v = source(x, y);
+      return Math.pow(Math.abs(v), exponent) * Math.sign(v);
+    };
+  },
+
+  clamp: (def, ctx) => {
+    const source = ctx.input(def.source);
+    const min = def.min ?? 0;
+    const max = def.max ?? 1;
+    return (x, y) => clamp(source(x, y), min, max);
+  },
+
+  // Courbe par points [[entrée, sortie], ...], linéaire ou lissée (smooth)
+  curve: (def, ctx) => {
+    const source = ctx.input(def.source);
+    const points = [...def.points].sort((a, b) => a[0] - b[0]);
+    if (points.length < 2) throw new Error('Nœud "curve" : il faut au moins deux points');
+    const ease = def.smooth ? t => t * t * (3 - 2 * t) : t => t;
+
+    return (x, y) => {
+      const v = source(x, y);
+      if (v <= points[0][0]) return points[0][1];
+      for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (v <= x1) {
+          const [x0, y0] = points[i - 1];
+          return lerp(y0, y1, ease((v - x0) / (x1 - x0)));
+        }
+      }
+      return points[points.length - 1][1];
+    };
+  },
+
+  // Mélange a -> b selon un masque dans [0, 1] (1 = b)
+  blend: (def, ctx) => {
+    const a = ctx.input(def.a);
+    const b = ctx.input(def.b);
+    const mask = ctx.input(def.mask);
+    return (x, y) => {
+      const m = clamp(mask(x, y), 0, 1);
+      return a(x, y) * (1 - m) + b(x, y) * m;
+    };
+  },
+};
+
+/**
+ * Ajoute (ou remplace) un type de nœud
+ */
+export function registerNoiseNode(type, factory) {
+  NoiseNodeTypes[type] = factory;
+}
+
+/**
+ * Graphe compilé : chaque sortie devient une fonction `(x, y) => valeur`
+ */
+export class NoiseGraph {
+  /**
+   * @param {object} description  `{ nodes, outputs }` (voir en tête de fichier)
+   * @param {*} seed              graine du terrain
+   */
+  constructor(description, seed = 0) {
+    this.description = description;
+    this.seed = seed;
+    this.nodes = description.nodes || {};
+    this.compiled = new Map();   // nom -> fonction
+    this.compiling = new Set();  // détection des cycles
+    this.sourceCount = 0;        // graines des sources anonymes
+
+    this.outputs = {};
+    for (const [name, ref] of Object.entries(description.outputs || {})) {
+      this.outputs[name] = this.compile(ref);
+    }
+  }
+
+  has(output) {
+    return output in this.outputs;
+  }
+
+  /**
+   * Évalue une sortie en (x, y), coordonnées dans [0, 1]
+   */
+  evaluate(output, x, y) {
+    const fn = this.outputs[output];
+    if (!fn) throw new Error(`Graphe de bruit : sortie "${output}" inconnue`);
+    return fn(x, y);
+  }
+
+  compile(ref) {
+    if (typeof ref === 'number') return () => ref;
+    if (typeof ref === 'string') return this.compileNamed(ref);
+    if (!ref || typeof ref !== 'object') {
+      throw new Error(`Graphe de bruit : entrée invalide (${JSON.stringify(ref)})`);
+    }
+
+    const factory = NoiseNodeTypes[ref.type];
+    if (!factory) throw new Error(`Graphe de bruit : type de nœud "${ref.type}" inconnu`);
+
+    return factory(ref, {
+      input: (child) => this.compile(child),
+      // Graine explicite (`seed`) ou dérivée de l'ordre de compilation
+      seedFor: (def) => `${this.seed}:noise:${def.seed ?? this.sourceCount++}`,
+    });
+  }
+
+  compileNamed(name) {
+    if (this.compiled.has(name)) return this.compiled.get(name);
+    if (!(name in this.nodes)) throw new Error(`Graphe de bruit : nœud "${name}" introuvable`);
+    if (this.compiling.has(name)) throw new Error(`Graphe de bruit : cycle autour de "${name}"`);
+
+    this.compiling.add(name);
+    const fn = this.compile(this.nodes[name]);
+    this.compiling.delete(name);
+    this.compiled.set(name, fn);
+    return fn;
+  }
+}
+
+/**
+ * Style historique de Bloomfall : montagnes au centre, plaines autour,
+ * construit à partir des paramètres `mountain*` / `plains*` de la config
+ */
+export function createDefaultNoiseGraph(config) {
+  // Simplex ramené à l'amplitude du Perlin d'origine (écart-type ~0.26 contre
+  // ~0.44) : seuils et échelles du graphe gardent le même relief
+  const simplex = (frequency) => ({ type: 'scale', scale: 0.6, source: { type: 'simplex', frequency } });
+
+  return {
+    nodes: {
+      // 0 = montagnes au centre, 1 = plaines, frontière bruitée
+      relief: {
+        type: 'curve',
+        smooth: true,
+        points: [[0.4, 0], [0.7, 1]],
+        source: {
+          type: 'add',
+          inputs: [
+            { type: 'radial', radius: 0.5 },
+            {
+              type: 'scale', scale: 0.3,
+              source: { type: 'fbm', octaves: 3, persistence: 0.5, lacunarity: 2, source: simplex(3) },
+            },
+          ],
+        },
+      },
+
+      mountains: {
+        type: 'scale',
+        scale: config.mountainHeightScale || 5.5, // Boost des sommets du centre
+        source: {
+          type: 'power',
+          exponent: config.mountainExponent,
+          source: {
+            type: 'fbm',
+            octaves: config.mountainOctaves,
+            persistence: config.mountainPersistence,
+            lacunarity: config.mountainLacunarity,
+            source: simplex(4),
+          },
+        },
+      },
+
+      plains: {
+        type: 'scale',
+        scale: config.plainsHeightScale,
+        source: {
+          type: 'fbm',
+          octaves: config.plainsOctaves,
+          persistence: config.plainsPersistence,
+          lacunarity: config.plainsLacunarity,
+          source: simplex(3.2),
+        },
+      },
+
+      height: { type: 'blend', a: 'mountains', b: 'plains', mask: 'relief' },
+    },
+    outputs: { height: 'height', relief: 'relief' },
+  };
+}
+
+/**
+ * Autres styles prêts à l'emploi (à passer dans `config.noise`)
+ */
+export const NoisePresets = {
+  // Archipel de crêtes acérées, côtes déformées par un domain warp
+  ridges: {
+    nodes: {
+      island: {
+        type: 'curve',
+        smooth: true,
+        points: [[0.55, 1], [1, 0]],
+        source: {
+          type: 'warp',
+          strength: 0.15,
+          source: { type: 'radial', radius: 0.5 },
+          warp: { type: 'fbm', octaves: 3, source: { type: 'simplex', frequency: 3 } },
+        },
+      },
+      peaks: {
+        type: 'ridged',
+        octaves: 6,
+        lacunarity: 2.1,
+        source: { type: 'simplex', frequency: 3 },
+      },
+      height: {
+        type: 'add',
+        inputs: [
+          { type: 'multiply', inputs: ['island', { type: 'scale', source: 'peaks', scale: 0.7 }] },
+          { type: 'scale', source: 'island', scale: 0.3, offset: -0.1 },
+        ],
+      },
+      relief: { type: 'scale', source: 'island', scale: -1, offset: 1 },
+    },
+    outputs: { height: 'height', relief: 'relief' },
+  },
+
+  // Plateaux en paliers et collines arrondies, creusés de cuvettes cellulaires
+  mesas: {
+    nodes: {
+      hills: { type: 'billow', octaves: 4, source: { type: 'perlin', frequency: 2.5 } },
+      plateaus: {
+        type: 'terrace',
+        steps: 5,
+        smoothness: 0.15,
+        source: { type: 'clamp', min: 0, max: 1, source: { type: 'scale', source: 'hills', scale: 0.5, offset: 0.5 } },
+      },
+      basins: { type: 'worley', frequency: 6, distance: 'f1' },
+      height: {
+        type: 'add',
+        inputs: [
+          { type: 'scale', source: 'plateaus', scale: 0.9 },
+          { type: 'scale', source: 'basins', scale: 0.25, offset: -0.2 },
+        ],
+      },
+    },
+    // Pas de sortie `relief` : elle sera déduite de l'altitude
+    outputs: { height: 'height' },
+  },
+};
+
+export default NoiseGraph;
@@ -0,0 +1,379 @@
+/**
+ * Rendu du terrain en chunks, avec niveaux de détail (LOD).
+ *
+ * Au lieu d'un seul grand `PlaneGeometry`, le monde est découpé en tuiles
+ * carrées de `chunkSize` unités. Seules les tuiles proches de la caméra sont
+ * construites ; plus une tuile est loin, moins elle a de vertices (la
+ * résolution est divisée par 2 à chaque niveau). Les tuiles trop lointaines
+ * sont déchargées.
+ *
+ * Chaque tuile calcule ses données à la demande, en coordonnées monde, avec
+ * les requêtes du `TerrainGenerator` (`getHeightAt`, `getSurfaceAt`) : ce que
+ * voit le joueur est donc exactement ce que les entités interrogent. Sur la
+ * grille du générateur, elles lisent les cartes simulées (érosion, eau,
+ * sculpture) ; au-delà, le relief brut et son climat. Le monde n'a donc pas
+ * de bord : les tuiles suivent la caméra aussi loin qu'elle va (sauf pour
+ * une heightmap importée, limitée à sa grille). Hors de la grille, une
+ * tuile qui passe sous le niveau de la mer a sa propre surface d'eau.
+ *
+ * Coutures : quand une tuile touche une voisine plus grossière, les vertices
+ * de son bord qui n'existent pas chez la voisine sont ramenés sur le segment
+ * de la voisine. Les deux bords coïncident donc et il n'y a pas de fissure.
+ */
+import * as THREE from 'three';
+
+/**
+ * Paramètres par défaut (surchargeables via `config.chunks`)
+ */
+export const ChunkDefaults = {
+  chunkSize: 50,                      // Côté d'une tuile (unités monde)
+  resolution: null,                   // Segments par côté au LOD 0 (puissance de 2), null = suit la grille
+  lodDistances: [100, 200, 320],      // Distance max de chaque LOD
+  unloadMargin: 20,                   // Hystérésis avant de décharger une tuile
+  maxBuildsPerFrame: 4,               // Limite de (re)constructions par update
+};
+
+/**
+ * Gère la création, la mise à jour de LOD et le déchargement des tuiles
+ */
+export class TerrainChunkManager {
+  constructor(scene, terrainGenerator, config = {}) {
+    this.scene = scene;
+    this.terrainGenerator = terrainGenerator;
+    this.config = { ...ChunkDefaults, ...config };
+
+    this.group = new THREE.Group();
+    this.group.name = 'terrainChunks';
+    this.scene.add(this.group);
+
+    this.material = terrainGenerator.createTerrainMaterial();
+    this.chunks = new Map(); // "cx,cz" -> { mesh, sea, lod, stitchKey }
+
+    // Tuiles alignées sur le coin de la grille ; sans bord, sauf heightmap importée
+    const { size } = terrainGenerator.config;
+    this.origin = -size / 2;
+    this.bounded = terrainGenerator.isBounded;
+    this.gridChunks = Math.ceil(size / this.config.chunkSize);
+
+    // Sans résolution imposée, le LOD 0 garde à peu près l'écart entre
+    // vertices de la grille du générateur : `?resolution` ajoute du détail
+    if (!this.config.resolution) {
+      const cellSize = size / (terrainGenerator.config.resolution - 1);
+      this.config.resolution = 2 ** Math.max(1, Math.round(Math.log2(this.config.chunkSize / cellSize)));
+    }
+
+    this.terrainGenerator.generateTerrainData();
+    this.seaMaterial = terrainGenerator.water ? terrainGenerator.water.createMaterial() : null;
+  }
+
+  get viewDistance() {
+    const { lodDistances } = this.config;
+    return lodDistances[lodDistances.length - 1];
+  }
+
+  /**
+   * À appeler à chaque frame avec la position de la caméra.
+   * `force` construit tout d'un coup (premier affichage).
+   */
+  update(cameraPosition, force = false) {
+    const desired = this.computeDesiredLods(cameraPosition);
+
+    // Tuiles à (re)construire, les plus proches d'abord
+    const pending = [];
+    for (const [key, { lod, distance, cx, cz }] of desired) {
+      const stitchKey = this.getStitchKey(cx, cz, lod, desired);
+      const chunk = this.chunks.get(key);
+      if (!chunk || chunk.lod !== lod || chunk.stitchKey !== stitchKey) {
+        pending.push({ key, cx, cz, lod, stitchKey, distance });
+      }
+    }
+    pending.sort((a, b) => a.distance - b.distance);
+
+    const budget = force ? pending.length : this.config.maxBuildsPerFrame;
+    for (let i = 0; i < Math.min(budget, pending.length); i++) {
+      const { key, cx, cz, lod, stitchKey } = pending[i];
+      this.buildChunk(key, cx, cz, lod, stitchKey);
+    }
+
+    // Déchargement des tuiles trop lointaines
+    const unloadDistance = this.viewDistance + this.config.unloadMargin;
+    for (const [key, chunk] of this.chunks) {
+      if (!desired.has(key) && this.distanceToChunk(chunk.cx, chunk.cz, cameraPosition) > unloadDistance) {
+        this.disposeChunk(key);
+      }
+    }
+  }
+
+  /**
+   * LOD voulu pour chaque tuile à portée de vue
+   */
+  computeDesiredLods(cameraPosition) {
+    const { lodDistances, chunkSize } = this.config;
+    const desired = new Map();
+
+    // Tuiles du carré de vue autour de la caméra (bornées à la grille si besoin)
+    const reach = this.viewDistance;
+    const index = (v) => Math.floor((v - this.origin) / chunkSize);
+    const bound = (c) => (this.bounded ? Math.min(this.gridChunks - 1, Math.max(0, c)) : c);
+    const cx0 = bound(index(cameraPosition.x - reach));
+    const cx1 = bound(index(cameraPosition.x + reach));
+    const cz0 = bound(index(cameraPosition.z - reach));
+    const cz1 = bound(index(cameraPosition.z + reach));
+
+    for (let cz = cz0; cz <= cz1; cz++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const distance = this.distanceToChunk(cx, cz, cameraPosition);
+        const lod = lodDistances.findIndex(d => distance <= d);
+        if (lod !== -1) {
+          desired.set(`${cx},${cz}`, { cx, cz, lod, distance });
+        }
+      }
+    }
+
+    return desired;
+  }
+
+  /**
+   * Distance horizontale entre la caméra et le point le plus proche d'une tuile
+   */
+  distanceToChunk(cx, cz, position) {
+    const { chunkSize } = this.config;
+    const minX = this.origin + cx * chunkSize;
+    const minZ = this.origin + cz * chunkSize;
+    const dx = Math.max(minX - position.x, 0, position.x - (minX + chunkSize));
+    const dz = Math.max(minZ - position.z, 0, position.z - (minZ + chunkSize));
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  /**
+   * Signature des LOD voisins plus grossiers (ouest, est, nord, sud) :
+   * si elle change, les bords de la tuile doivent être recousus.
+   */
+  getStitchKey(cx, cz, lod, desired) {
+    return [[-1, 0], [1, 0], [0, -1], [0, 1]]
+      .map(([dx, dz]) => {
+        const neighbor = desired.get(`${cx + dx},${cz + dz}`);
+        return neighbor && neighbor.lod > lod ? neighbor.lod : lod;
+      })
+      .join(',');
+  }
+
+  /**
+   * Construit (ou reconstruit) la géométrie d'une tuile
+   */
+  buildChunk(key, cx, cz, lod, stitchKey) {
+    const { chunkSize, resolution } = this.config;
+    const segments = Math.max(1, resolution >> lod);
+    const step = chunkSize / segments;
+    const minX = this.origin + cx * chunkSize;
+    const minZ = this.origin + cz * chunkSize;
+    const [west, east, north, south] = stitchKey.split(',').map(Number);
+
+    const verts = segments + 1;
+    const positions = new Float32Array(verts * verts * 3);
+    const tints = new Float32Array(verts * verts * 3);
+    const splats = new Float32Array(verts * verts * 4);
+    const normals = new Float32Array(verts * verts * 3);
+    const color = new THREE.Color();
+    const splat = new THREE.Vector4();
+    const normal = new THREE.Vector3();
+    const tg = this.terrainGenerator;
+    let lowest = Infinity;
+
+    const height = (i, j) => tg.getHeightAt(minX + i * step, minZ + j * step);
+
+    for (let j = 0; j < verts; j++) {
+      for (let i = 0; i < verts; i++) {
+        const v = j * verts + i;
+        const x = minX + i * step;
+        const z = minZ + j * step;
+
+        let y = height(i, j);
+
+        // Couture avec une voisine plus grossière
+        if (i === 0 && west > lod) y = this.stitch(j, 1 << (west - lod), k => height(0, k));
+        else if (i === segments && east > lod) y = this.stitch(j, 1 << (east - lod), k => height(segments, k));
+        else if (j === 0 && north > lod) y = this.stitch(i, 1 << (north - lod), k => height(k, 0));
+        else if (j === segments && south > lod) y = this.stitch(i, 1 << (south - lod), k => height(k, segments));
+
+        positions[v * 3] = x - minX;
+        positions[v * 3 + 1] = y;
+        positions[v * 3 + 2] = z - minZ;
+        lowest = Math.min(lowest, y);
+
+        // Normale lue sur le relief et non sur les triangles de la tuile :
+        // un vertex de bord a la même des deux côtés (pas de couture d'éclairage)
+        tg.getNormalAt(x, z, normal).toArray(normals, v * 3);
+
+        // Surface lue par le shader de terrain (voir TerrainMaterial)
+        tg.getSurfaceAt(x, z, color, splat);
+        tints[v * 3] = color.r;
+        tints[v * 3 + 1] = color.g;
+        tints[v * 3 + 2] = color.b;
+        splat.toArray(splats, v * 4);
+      }
+    }
+
+    const indices = [];
+    for (let j = 0; j < segments; j++) {
+      for (let i = 0; i < segments; i++) {
+        const a = j * verts + i;
+        const b = a + 1;
+        const c = a + verts;
+        const d = c + 1;
+        indices.push(a, c, b, b, c, d);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('tint', new THREE.BufferAttribute(tints, 3));
+    geometry.setAttribute('splat', new THREE.BufferAttribute(splats, 4));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    let chunk = this.chunks.get(key);
+    if (chunk) {
+      chunk.mesh.geometry.dispose();
+      chunk.mesh.geometry = geometry;
+      chunk.lod = lod;
+      chunk.stitchKey = stitchKey;
+    } else {
+      const mesh = new THREE.Mesh(geometry, this.material);
+      mesh.position.set(minX, 0, minZ);
+      mesh.receiveShadow = true;
+      mesh.castShadow = true;
+      mesh.name = `chunk_${key}`;
+      this.group.add(mesh);
+
+      chunk = { mesh, sea: null, cx, cz, lod, stitchKey };
+      this.chunks.set(key, chunk);
+    }
+
+    this.updateSea(chunk, minX, minZ, lowest);
+    return chunk;
+  }
+
+  /**
+   * Mer d'une tuile qui déborde de la grille (la grille a son propre mesh
+   * d'eau) : des rectangles plats au niveau de la mer sur la partie hors
+   * grille, si le relief de la tuile passe sous l'eau
+   */
+  updateSea(chunk, minX, minZ, lowest) {
+    if (chunk.sea) {
+      chunk.mesh.remove(chunk.sea);
+      chunk.sea.geometry.dispose();
+      chunk.sea = null;
+    }
+    const { water } = this.terrainGenerator;
+    if (!this.seaMaterial || !water || lowest >= water.seaLevel) return;
+
+    // Tuile moins la grille : bandes ouest / est, puis nord / sud entre les deux
+    const { chunkSize } = this.config;
+    const half = this.terrainGenerator.config.size / 2;
+    const maxX = minX + chunkSize;
+    const maxZ = minZ + chunkSize;
+    const innerX0 = Math.max(minX, -half);
+    const innerX1 = Math.min(maxX, half);
+    const rects = [];
+    if (innerX0 >= innerX1 || Math.max(minZ, -half) >= Math.min(maxZ, half)) {
+      rects.push([minX, minZ, maxX, maxZ]);
+    } else {
+      if (minX < -half) rects.push([minX, minZ, -half, maxZ]);
+      if (maxX > half) rects.push([half, minZ, maxX, maxZ]);
+      if (minZ < -half) rects.push([innerX0, minZ, innerX1, -half]);
+      if (maxZ > half) rects.push([innerX0, half, innerX1, maxZ]);
+    }
+    if (rects.length === 0) return;
+
+    // Coordonnées locales à la tuile ; même sens des triangles que le terrain
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    for (const [x0, z0, x1, z1] of rects) {
+      const a = positions.length / 3;
+      positions.push(
+        x0 - minX, water.seaLevel, z0 - minZ,
+        x1 - minX, water.seaLevel, z0 - minZ,
+        x0 - minX, water.seaLevel, z1 - minZ,
+        x1 - minX, water.seaLevel, z1 - minZ,
+      );
+      normals.push(0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0); // Mer plate : même normale partout
+      indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setIndex(indices);
+
+    chunk.sea = new THREE.Mesh(geometry, this.seaMaterial);
+    chunk.sea.receiveShadow = true;
+    chunk.sea.renderOrder = 1; // Après le terrain pour la transparence
+    chunk.mesh.add(chunk.sea);
+  }
+
+  /**
+   * Hauteur d'un vertex de bord ramenée sur le segment de la voisine grossière
+   * (`ratio` = nombre de nos segments par segment voisin)
+   */
+  stitch(index, ratio, heightAlongEdge) {
+    const offset = index % ratio;
+    if (offset === 0) return heightAlongEdge(index);
+
+    const start = index - offset;
+    const t = offset / ratio;
+    return heightAlongEdge(start) * (1 - t) + heightAlongEdge(start + ratio) * t;
+  }
+
+  disposeChunk(key) {
+    const chunk = this.chunks.get(key);
+    if (!chunk) return;
+    this.group.remove(chunk.mesh);
+    chunk.mesh.geometry.dispose();
+    if (chunk.sea) chunk.sea.geometry.dispose();
+    this.chunks.delete(key);
+  }
+
+  /**
+   * Reconstruit tout de suite les tuiles chargées qui touchent un rectangle
+   * du monde (après une édition locale du terrain), sans changer leur LOD
+   */
+  invalidateRegion(minX, minZ, maxX, maxZ) {
+    const { chunkSize } = this.config;
+    const cx0 = Math.floor((minX - this.origin) / chunkSize);
+    const cx1 = Math.floor((maxX - this.origin) / chunkSize);
+    const cz0 = Math.floor((minZ - this.origin) / chunkSize);
+    const cz1 = Math.floor((maxZ - this.origin) / chunkSize);
+
+    for (let cz = cz0; cz <= cz1; cz++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const key = `${cx},${cz}`;
+        const chunk = this.chunks.get(key);
+        if (chunk) {
+          this.buildChunk(key, cx, cz, chunk.lod, chunk.stitchKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * Décharge toutes les tuiles ; elles sont reconstruites au prochain update
+   * (utile après une modification du terrain)
+   */
+  rebuildAll() {
+    for (const key of [...this.chunks.keys()]) {
+      this.disposeChunk(key);
+    }
+  }
+
+  dispose() {
+    this.rebuildAll();
+    this.material.dispose();
+    if (this.seaMaterial) this.seaMaterial.dispose();
+    this.scene.remove(this.group);
+  }
+}
+
+export default TerrainChunkManager;
@@ -1,97 +1,45 @@
 /**
  * Générateur de terrain "Bloomfall" : gère la heightmap, les biomes et les couleurs.
  *
- * L'idée est de combiner du bruit de type Perlin multi‑octaves avec une carte de biomes
+ * L'idée est de combiner du bruit multi‑octaves avec une carte de relief
  * (montagnes au centre, plaines/forêts vers l'extérieur) pour produire un grand mesh
- * de terrain cohérent. Le code fournit aussi des helpers pour récupérer la hauteur
+ * de terrain cohérent. La recette du relief est un graphe de bruit déclaratif
+ * (NoiseGraph.js), surchargeable via `config.noise`. Le code fournit aussi des helpers pour récupérer la hauteur
  * ou le biome à une position (utilisé par les créatures, la végétation, etc.).
+ *
+ * La grille (`size` x `size`) est la zone simulée : érosion, eau et
+ * sculpture. Au-delà, le monde continue : hauteur, climat et surface y sont
+ * calculés à la demande en coordonnées monde (relief brut du graphe, mer
+ * sous son niveau), ce que font les tuiles de TerrainChunks.
  */
 import * as THREE from 'three';
+import { worldRandom, RandomGenerator } from '../../../utils/random.js';
+import { TerrainErosion } from './Erosion.js';
+import { TerrainWater, WaterType } from './Water.js';
+import { ClimateModel } from './Climate.js';
+import { TerrainChunkManager } from './TerrainChunks.js';
+import { getBiomeDefinition } from '../biomeRegistry.js';
+import { clamp, smoothstep } from '../../../utils/math.js';
+import { NoiseGraph, PerlinNoise, createDefaultNoiseGraph } from './NoiseGraph.js';
+import { TerrainMaterial } from './TerrainMaterial.js';
 
-/**
- * Générateur de bruit Perlin simplifié
- * Basé sur l'implémentation de Ken Perlin
- */
-class PerlinNoise {
-  constructor(seed = Math.random()) {
-    this.seed = seed;
-    this.permutation = this.generatePermutation();
-  }
-
-  generatePermutation() {
-    const p = [];
-    for (let i = 0; i < 256; i++) p[i] = i;
-    
-    // Mélange Fisher-Yates avec seed
-    let random = this.seededRandom(this.seed);
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(random() * (i + 1));
-      [p[i], p[j]] = [p[j], p[i]];
-    }
-    
-    // Doubler pour éviter les débordements
-    return [...p, ...p];
-  }
-
-  seededRandom(seed) {
-    return function() {
-      seed = (seed * 9301 + 49297) % 233280;
-      return seed / 233280;
-    };
-  }
-
-  fade(t) {
-    return t * t * t * (t * (t * 6 - 15) + 10);
-  }
+// Poids de sol (herbe, terre, roche, sable) imposés par l'érosion et l'eau
+const SILT_GROUND = [0, 0.3, 0, 0.7];       // Dépôts de sédiments
+const RIVERBED_GROUND = [0, 0.8, 0.2, 0];   // Lit de rivière humide
+const LAKEBED_GROUND = [0, 0.4, 0, 0.6];    // Sable / vase immergés
 
-  lerp(t, a, b) {
-    return a + t * (b - a);
-  }
+// Tire des poids de sol vers `ground` (t = 0 : inchangés, 1 : remplacés)
+function blendGround(splat, ground, t) {
+  for (let k = 0; k < 4; k++) splat[k] += (ground[k] - splat[k]) * t;
+}
 
-  grad(hash, x, y) {
-    const h = hash & 3;
-    const u = h < 2 ? x : y;
-    const v = h < 2 ? y : x;
-    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-  }
+// Tampons réutilisés par getColorAt / getSplatAt et computeCellSurface
+const scratchSample = new Float32Array(4);
+const scratchTint = new THREE.Color();
+const scratchColor = new THREE.Color();
 
-  noise(x, y) {
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    
-    x -= Math.floor(x);
-    y -= Math.floor(y);
-    
-    const u = this.fade(x);
-    const v = this.fade(y);
-    
-    const p = this.permutation;
-    const a = p[X] + Y;
-    const b = p[X + 1] + Y;
-    
-    return this.lerp(v,
-      this.lerp(u, this.grad(p[a], x, y), this.grad(p[b], x - 1, y)),
-      this.lerp(u, this.grad(p[a + 1], x, y - 1), this.grad(p[b + 1], x - 1, y - 1))
-    );
-  }
-
-  // Bruit fractal multi-octaves
-  fractalNoise(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
-    let total = 0;
-    let frequency = 1;
-    let amplitude = 1;
-    let maxValue = 0;
-    
-    for (let i = 0; i < octaves; i++) {
-      total += this.noise(x * frequency, y * frequency) * amplitude;
-      maxValue += amplitude;
-      amplitude *= persistence;
-      frequency *= lacunarity;
-    }
-    
-    return total / maxValue;
-  }
-}
+// Tampon réutilisé par getNormalAt / getSlopeAt (évite une allocation par appel)
+const scratchGradient = { dx: 0, dz: 0 };
 
 /**
  * Générateur de terrain avec système de biomes
@@ -101,11 +49,15 @@ export class TerrainGenerator {
     this.config = {
       size: config.size || 200,           // Taille du terrain
       resolution: config.resolution || 128, // Résolution (vertices)
-      seed: config.seed || Math.random(),
+      seed: config.seed ?? worldRandom.stream('terrain').next(),
       heightScale: config.heightScale || 25,
       
       // Paramètres de transition biome
       transitionWidth: config.transitionWidth || 30, // Largeur de la zone de transition
+
+      // Bande (unités monde) où l'érosion s'estompe au bord de la grille :
+      // la grille y rejoint le relief brut qui prolonge le monde
+      borderBlend: config.borderBlend ?? 40,
       
       // Paramètres montagnes
       mountainOctaves: config.mountainOctaves || 8,
@@ -118,119 +70,257 @@ export class TerrainGenerator {
       plainsPersistence: config.plainsPersistence || 0.6,
       plainsLacunarity: config.plainsLacunarity || 2.0,
       plainsHeightScale: config.plainsHeightScale || 0.3, // Moins de relief
+
+      // Érosion hydraulique + thermique (voir Erosion.js pour tous les paramètres)
+      erosion: { enabled: false, ...config.erosion },
+
+      // Mer, lacs et rivières (voir Water.js)
+      water: { enabled: false, ...config.water },
+
+      // Heightmap importée : érosion et rivières seulement sur demande. Sinon
+      // ses hauteurs sont gardées telles quelles (mer et lacs posés dessus)
+      processImport: config.processImport ?? false,
+
+      // Température / humidité -> biomes (voir Climate.js)
+      climate: { ...config.climate },
+
+      // Graphe de bruit du relief (voir NoiseGraph.js). Sans graphe, on
+      // construit le style historique à partir des paramètres ci-dessus.
+      noise: config.noise || null,
+
+      // Shader de terrain (voir TerrainMaterial.js), ex. { snowLine: 40 }
+      material: { ...config.material },
     };
     
-    this.perlin = new PerlinNoise(this.config.seed);
+    this.noiseGraph = new NoiseGraph(
+      this.config.noise || createDefaultNoiseGraph(this.config),
+      this.config.seed
+    );
+
+    // Bruit utilitaire (climat, variations de couleur)
+    this.perlin = new PerlinNoise(`${this.config.seed}:perlin`);
     this.biomeMap = null;
     this.heightMap = null;
+
+    // Altitudes min / max de la heightmap (raycast), null = à recalculer
+    this.heightBounds = null;
+
+    // Altitudes min / max estimées du relief brut hors grille (raycast)
+    this.reliefBounds = null;
+
+    // Vrai quand la heightmap vient d'un fichier : plus de relief analytique
+    this.importedHeight = false;
+
+    // Cartes produites par l'érosion (null tant qu'elle n'a pas tourné)
+    this.flowMap = null;
+    this.sedimentMap = null;
+
+    // Eau (null tant que generateWater n'a pas tourné)
+    this.water = null;
+
+    // Climat et poids de biomes (calculés à la demande, après le relief)
+    this.climate = null;
+
+    // Surface de chaque cellule (calculée après le climat) : teinte RGB de
+    // l'herbe et poids des textures de sol (herbe, terre, roche, sable)
+    this.colorMap = null;
+    this.splatMap = null;
+    this.colorPalettes = null;
+
+    // Heightmap importée (voir HeightmapIO.js) : remplace la génération procédurale
+    if (config.heightData) {
+      this.importHeightMap(config.heightData);
+    }
+  }
+
+  /**
+   * Remplace le relief procédural par une heightmap importée
+   * (`{ width, height, heights, biomeMask? }`, cf. `loadHeightmap`).
+   *
+   * La grille est rééchantillonnée en carré si besoin et `resolution` prend
+   * la taille de l'image. Sans masque de biome, on le déduit de l'altitude :
+   * les zones hautes sont traitées comme du relief de montagne. L'érosion et
+   * le creusement des rivières ne la modifient qu'avec `processImport`.
+   */
+  importHeightMap(data) {
+    const { width, height } = data;
+    const resolution = Math.max(width, height);
+    const square = width === height;
+
+    const resample = (values) => {
+      if (square) return Float32Array.from(values);
+      const out = new Float32Array(resolution * resolution);
+      for (let y = 0; y < resolution; y++) {
+        for (let x = 0; x < resolution; x++) {
+          const sx = (x / (resolution - 1)) * (width - 1);
+          const sy = (y / (resolution - 1)) * (height - 1);
+          const x0 = Math.floor(sx);
+          const y0 = Math.floor(sy);
+          const x1 = Math.min(x0 + 1, width - 1);
+          const y1 = Math.min(y0 + 1, height - 1);
+          const fx = sx - x0;
+          const fy = sy - y0;
+          const top = values[y0 * width + x0] * (1 - fx) + values[y0 * width + x1] * fx;
+          const bottom = values[y1 * width + x0] * (1 - fx) + values[y1 * width + x1] * fx;
+          out[y * resolution + x] = top * (1 - fy) + bottom * fy;
+        }
+      }
+      return out;
+    };
+
+    this.config.resolution = resolution;
+    if (data.size) this.config.size = data.size;
+    this.importedHeight = true;
+    this.heightMap = resample(data.heights);
+    this.heightBounds = null;
+    this.biomeMap = data.biomeMask ? resample(data.biomeMask) : this.deriveReliefFromHeight();
+
+    // Tout ce qui dérive du relief est à recalculer
+    this.flowMap = null;
+    this.sedimentMap = null;
+    this.water = null;
+    this.climate = null;
+    this.colorMap = null;
   }
 
   /**
-   * Génère une carte de biome basée sur la distance
-   * 0 = Montagnes, 1 = Plaines-Forêts
+   * Génère la carte de relief : 0 = Montagnes, 1 = Plaines-Forêts.
+   *
+   * Elle vient de la sortie `relief` du graphe de bruit ; un graphe qui n'en
+   * a pas la déduit de l'altitude. Cette carte ne pilote que la forme du
+   * terrain ; les biomes "vivants" (désert, taïga...) viennent du climat,
+   * voir generateClimateMaps().
    */
   generateBiomeMap() {
-    const { resolution, size, transitionWidth } = this.config;
+    const { resolution } = this.config;
+
+    if (!this.noiseGraph.has('relief')) {
+      if (!this.heightMap) {
+        this.generateHeightMap(); // Remplit aussi biomeMap
+        return this.biomeMap;
+      }
+      this.biomeMap = this.deriveReliefFromHeight();
+      return this.biomeMap;
+    }
+
     const map = new Float32Array(resolution * resolution);
-    const center = resolution / 2;
-    
     for (let y = 0; y < resolution; y++) {
       for (let x = 0; x < resolution; x++) {
-        const idx = y * resolution + x;
-        
-        // Distance au centre (les montagnes au centre, plaines en périphérie)
-        const dx = x - center;
-        const dy = y - center;
-        const distFromCenter = Math.sqrt(dx * dx + dy * dy);
-        const maxDist = center;
-        
-        // Normaliser la distance
-        const normalizedDist = distFromCenter / maxDist;
-        
-        // Ajouter du bruit pour des frontières organiques
-        const noiseX = x / resolution * 3;
-        const noiseY = y / resolution * 3;
-        const noise = this.perlin.fractalNoise(noiseX, noiseY, 3, 0.5, 2.0) * 0.3;
-        
-        // Calculer le facteur de biome avec transition douce
-        let biomeFactor = normalizedDist + noise;
-        biomeFactor = Math.max(0, Math.min(1, biomeFactor));
-        
-        // Transition douce avec fonction smoothstep
-        const transitionStart = 0.4;
-        const transitionEnd = 0.7;
-        if (biomeFactor < transitionStart) {
-          biomeFactor = 0; // Pure montagnes
-        } else if (biomeFactor > transitionEnd) {
-          biomeFactor = 1; // Pure plaines
-        } else {
-          // Zone de transition
-          const t = (biomeFactor - transitionStart) / (transitionEnd - transitionStart);
-          biomeFactor = t * t * (3 - 2 * t); // Smoothstep
-        }
-        
-        map[idx] = biomeFactor;
+        const value = this.sampleNoise('relief', this.gridToWorld(x), this.gridToWorld(y));
+        map[y * resolution + x] = Math.max(0, Math.min(1, value));
       }
     }
-    
+
     this.biomeMap = map;
     return map;
   }
 
   /**
-   * Génère la heightmap en combinant les deux biomes
+   * Carte de relief déduite de l'altitude : les zones hautes sont traitées
+   * comme de la montagne (heightmaps importées, graphes sans sortie `relief`)
+   */
+  deriveReliefFromHeight() {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const h of this.heightMap) {
+      if (h < min) min = h;
+      if (h > max) max = h;
+    }
+
+    const range = max - min || 1;
+    const map = new Float32Array(this.heightMap.length);
+    for (let i = 0; i < this.heightMap.length; i++) {
+      map[i] = 1 - smoothstep(0.4, 0.7, (this.heightMap[i] - min) / range);
+    }
+    return map;
+  }
+
+  /**
+   * Génère la heightmap en évaluant la sortie `height` du graphe de bruit
+   * à la position monde de chaque vertex : la grille ne fait qu'échantillonner
+   * le relief, `resolution` n'en change que le niveau de détail.
    */
   generateHeightMap() {
-    const { resolution, size, heightScale } = this.config;
+    const { resolution } = this.config;
     const map = new Float32Array(resolution * resolution);
-    
-    if (!this.biomeMap) {
-      this.generateBiomeMap();
-    }
-    
-    // Paramètre d'amplification du centre (vous pouvez l'ajouter à votre config)
-    const centerBoost = this.config.mountainHeightScale || 5.5; 
 
     for (let y = 0; y < resolution; y++) {
       for (let x = 0; x < resolution; x++) {
-        const idx = y * resolution + x;
-        const nx = (x / resolution) * 4;
-        const ny = (y / resolution) * 4;
-        
-        let mountainHeight = this.perlin.fractalNoise(
-          nx, ny,
-          this.config.mountainOctaves,
-          this.config.mountainPersistence,
-          this.config.mountainLacunarity
-        );
-        
-        // Accentuer les pics
-        mountainHeight = Math.pow(Math.abs(mountainHeight), this.config.mountainExponent) * Math.sign(mountainHeight);
-        
-        // --- APPLICATION DU BOOST CENTRAL ---
-        // On multiplie l'altitude des montagnes par le centerBoost
-        mountainHeight *= centerBoost; 
-
-        let plainsHeight = this.perlin.fractalNoise(
-          nx * 0.8, ny * 0.8,
-          this.config.plainsOctaves,
-          this.config.plainsPersistence,
-          this.config.plainsLacunarity
-        );
-        plainsHeight *= this.config.plainsHeightScale;
-        
-        const biomeFactor = this.biomeMap[idx];
-        // L'interpolation fera le reste : le boost ne s'appliquera qu'au centre (biome montagne)
-        const height = mountainHeight * (1 - biomeFactor) + plainsHeight * biomeFactor;
-        
-        map[idx] = height * heightScale;
+        map[y * resolution + x] = this.sampleHeight(this.gridToWorld(x), this.gridToWorld(y));
       }
     }
-    
+
     this.heightMap = map;
+    this.heightBounds = null;
+
+    if (!this.biomeMap) {
+      this.generateBiomeMap();
+    }
     return map;
   }
 
+  /**
+   * Sortie du graphe de bruit en (x, z) monde. Le graphe travaille en
+   * coordonnées normalisées : (0, 0) et (1, 1) sont les coins du monde.
+   */
+  sampleNoise(output, x, z) {
+    const { size } = this.config;
+    return this.noiseGraph.evaluate(output, x / size + 0.5, z / size + 0.5);
+  }
+
+  /**
+   * Hauteur analytique du relief en (x, z) monde, hors grille : même valeur
+   * quelle que soit `resolution` (avant érosion, rivières et sculpture)
+   */
+  sampleHeight(x, z) {
+    return this.sampleNoise('height', x, z) * this.config.heightScale;
+  }
+
+  /**
+   * Coordonnée monde -> position continue dans la grille. Les vertices
+   * couvrent le monde d'un bord à l'autre, comme le mesh.
+   */
+  worldToGrid(v) {
+    const { size, resolution } = this.config;
+    return (v / size + 0.5) * (resolution - 1);
+  }
+
+  /**
+   * Position monde du vertex d'indice `i` (sur x ou z)
+   */
+  gridToWorld(i) {
+    const { size, resolution } = this.config;
+    return (i / (resolution - 1) - 0.5) * size;
+  }
+
+  /**
+   * (x, z) est-il sur la grille simulée ? Au-delà, le monde est prolongé
+   * par le relief brut (sauf heightmap importée, voir isBounded)
+   */
+  isOnGrid(x, z) {
+    const half = this.config.size / 2;
+    return Math.abs(x) <= half && Math.abs(z) <= half;
+  }
+
+  /**
+   * Vrai si le monde s'arrête au bord de la grille : une heightmap importée
+   * n'a pas de relief au-delà
+   */
+  get isBounded() {
+    return this.importedHeight;
+  }
+
+  /**
+   * Indice de la cellule la plus proche de (x, z), ou -1 hors de la grille
+   */
+  getCellIndex(x, z) {
+    const { resolution } = this.config;
+    const gridX = Math.round(this.worldToGrid(x));
+    const gridZ = Math.round(this.worldToGrid(z));
+    if (gridX < 0 || gridX >= resolution || gridZ < 0 || gridZ >= resolution) return -1;
+    return gridZ * resolution + gridX;
+  }
+
   /**
    * Lisse la heightmap pour éviter les artefacts
    */
@@ -267,6 +357,105 @@ export class TerrainGenerator {
       
       this.heightMap = smoothed;
     }
+    this.heightBounds = null;
+  }
+
+  /**
+   * Érode la heightmap (gouttes d'eau + éboulements) et remplit
+   * `flowMap` / `sedimentMap` pour la colorisation des vallées.
+   */
+  applyErosion() {
+    if (!this.heightMap) {
+      this.generateHeightMap();
+    }
+
+    const { size, resolution, seed, erosion } = this.config;
+    const simulation = new TerrainErosion({
+      ...erosion,
+      // Flux dérivé de la graine du terrain : même seed = mêmes vallées
+      rng: new RandomGenerator(`${seed}:erosion`),
+    });
+
+    const cellSize = size / (resolution - 1);
+    const { flowMap, sedimentMap } = simulation.run(this.heightMap, resolution, cellSize);
+    this.flowMap = flowMap;
+    this.sedimentMap = sedimentMap;
+    this.blendBorder();
+    this.heightBounds = null;
+    this.climate = null; // L'altitude a changé
+  }
+
+  /**
+   * Ramène les bords de la heightmap vers le relief brut (sur `borderBlend`
+   * unités monde) : le monde prolongé au-delà de la grille s'y raccorde sans
+   * marche. Une heightmap importée n'a pas de relief brut et reste telle quelle.
+   */
+  blendBorder() {
+    const { size, resolution, borderBlend } = this.config;
+    if (this.importedHeight || !(borderBlend > 0)) return;
+
+    const half = size / 2;
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const wx = this.gridToWorld(x);
+        const wz = this.gridToWorld(z);
+        const distance = half - Math.max(Math.abs(wx), Math.abs(wz));
+        if (distance >= borderBlend) continue;
+
+        const idx = z * resolution + x;
+        const raw = this.sampleHeight(wx, wz);
+        this.heightMap[idx] = raw + (this.heightMap[idx] - raw) * smoothstep(0, borderBlend, distance);
+      }
+    }
+  }
+
+  /**
+   * Calcule mer, lacs et rivières à partir de la heightmap (les lits des
+   * rivières y sont creusés, donc à appeler avant de créer la géométrie).
+   */
+  generateWater() {
+    if (!this.heightMap) {
+      this.generateHeightMap();
+    }
+
+    const { size, resolution, seed, water, processImport } = this.config;
+    this.water = new TerrainWater({
+      ...water,
+      // Rivières tracées mais pas creusées dans une heightmap importée (voir processImport)
+      ...(this.importedHeight && !processImport && { carveRivers: false }),
+      rng: new RandomGenerator(`${seed}:water`),
+    });
+    this.water.generate(this.heightMap, this.biomeMap, resolution, size / (resolution - 1));
+    this.heightBounds = null;
+    this.climate = null; // Lits creusés + nouvelles cellules "eau"
+    return this.water;
+  }
+
+  /**
+   * Calcule température, humidité et poids de biomes pour chaque cellule.
+   * À appeler en dernier : le climat dépend de l'altitude finale et de l'eau.
+   */
+  generateClimateMaps() {
+    if (!this.heightMap) {
+      this.generateHeightMap();
+    }
+
+    const { resolution, heightScale, climate } = this.config;
+    this.climate = new ClimateModel(this.perlin, climate);
+    this.colorMap = null; // Les couleurs dépendent des biomes
+    this.climate.generate(this.heightMap, resolution, heightScale, {
+      flowMap: this.flowMap,
+      water: this.water,
+    });
+    return this.climate;
+  }
+
+  /**
+   * Crée le mesh de la surface de l'eau (null si le monde est sec)
+   */
+  createWaterMesh() {
+    if (!this.water) return null;
+    return this.water.createMesh(this.heightMap, this.config.size);
   }
 
   /**
@@ -276,9 +465,7 @@ export class TerrainGenerator {
     const { size, resolution } = this.config;
     
     // Générer les données si nécessaire
-    if (!this.heightMap) {
-      this.generateHeightMap();
-    }
+    this.generateTerrainData();
     
     // Créer la géométrie plane
     const geometry = new THREE.PlaneGeometry(
@@ -307,21 +494,106 @@ export class TerrainGenerator {
     return geometry;
   }
 
+  /**
+   * Lance toute la chaîne de génération des données (relief, érosion, eau,
+   * climat, couleurs) sans créer de géométrie. Utilisé directement par le
+   * rendu en chunks, qui échantillonne ensuite ces cartes.
+   *
+   * `onProgress({ stage, step, steps })` est appelé avant chaque étape, puis
+   * une dernière fois avec `stage: 'done'`.
+   */
+  generateTerrainData(onProgress = null) {
+    const { erosion, water, processImport } = this.config;
+    const reshape = !this.importedHeight || processImport;
+
+    // Étapes restantes, dans l'ordre (chacune dépend des précédentes)
+    const stages = [
+      !this.heightMap && ['height', () => this.generateHeightMap()],
+      erosion.enabled && reshape && !this.flowMap && ['erosion', () => this.applyErosion()],
+      // L'eau vient après l'érosion : elle s'appuie sur les vallées creusées
+      water.enabled && !this.water && ['water', () => this.generateWater()],
+      !this.climate && ['climate', () => this.generateClimateMaps()],
+      !this.colorMap && ['colors', () => this.computeColorMap()],
+    ].filter(Boolean);
+
+    stages.forEach(([stage, run], step) => {
+      if (onProgress) onProgress({ stage, step, steps: stages.length });
+      run();
+    });
+    if (onProgress) onProgress({ stage: 'done', step: stages.length, steps: stages.length });
+  }
+
+  /**
+   * Cartes générées, sous forme clonable : c'est ce que renvoie le Web Worker
+   * de génération (voir TerrainWorker.js). Les typed arrays sont transférables.
+   */
+  exportState() {
+    return {
+      resolution: this.config.resolution,
+      size: this.config.size,
+      importedHeight: this.importedHeight,
+      heightMap: this.heightMap,
+      biomeMap: this.biomeMap,
+      flowMap: this.flowMap,
+      sedimentMap: this.sedimentMap,
+      colorMap: this.colorMap,
+      splatMap: this.splatMap,
+      water: this.water ? this.water.exportState() : null,
+      climate: this.climate ? this.climate.exportState() : null,
+    };
+  }
+
+  /**
+   * Reprend des cartes produites par exportState, sans rien recalculer
+   */
+  importState(state) {
+    const { seed, water, climate } = this.config;
+
+    this.config.resolution = state.resolution;
+    this.config.size = state.size;
+    this.importedHeight = state.importedHeight;
+    this.heightMap = state.heightMap;
+    this.heightBounds = null;
+    this.biomeMap = state.biomeMap;
+    this.flowMap = state.flowMap;
+    this.sedimentMap = state.sedimentMap;
+    this.colorMap = state.colorMap;
+    this.splatMap = state.splatMap;
+    this.colorPalettes = null;
+
+    this.water = state.water
+      ? new TerrainWater({ ...water, rng: new RandomGenerator(`${seed}:water`) }).importState(state.water)
+      : null;
+    this.climate = state.climate
+      ? new ClimateModel(this.perlin, climate).importState(state.climate, { flowMap: this.flowMap, water: this.water })
+      : null;
+    return this;
+  }
+
+
+  /**
+   * Matériau du terrain : textures mélangées selon biome, pente et altitude.
+   * La limite de neige par défaut reprend l'ancien seuil (35 % de heightScale).
+   */
+  createTerrainMaterial() {
+    const { heightScale, material } = this.config;
+    return new TerrainMaterial({
+      snowLine: heightScale * 0.35,
+      snowBlend: heightScale * 0.05,
+      ...material,
+    });
+  }
+
   /**
    * Crée un mesh complet avec matériau
    */
   createTerrainMesh() {
     const geometry = this.createTerrainGeometry();
     
-    // Créer un matériau avec couleurs par biome
-    const material = new THREE.MeshStandardMaterial({
-      vertexColors: true,
-      flatShading: true,
-      roughness: 0.8,
-      metalness: 0.2,
-    });
+    // Matériau "splat" : textures pondérées par biome, pente et altitude
+    const material = this.createTerrainMaterial();
     
-    // Appliquer les couleurs selon le biome
+    // Teinte et poids de textures par vertex
     this.applyBiomeColors(geometry);
     
     const mesh = new THREE.Mesh(geometry, material);
@@ -332,88 +604,317 @@ export class TerrainGenerator {
   }
 
   /**
-   * Applique des couleurs selon le biome et l'altitude
+   * Ajoute à la géométrie les attributs lus par le shader de terrain :
+   * `tint` (teinte de l'herbe) et `splat` (poids herbe / terre / roche / sable).
    */
   applyBiomeColors(geometry) {
-    const { resolution, heightScale } = this.config;
-    const colors = new Float32Array(resolution * resolution * 3);
-    
-    // Couleurs pour les différents biomes/altitudes
-    const mountainLow = new THREE.Color(0x8B7355);    // Marron rocheux
-    const mountainMid = new THREE.Color(0xA0826D);    // Beige pierre
-    const mountainHigh = new THREE.Color(0xFFFFFF);   // Gris clair sommet
-    
-    const plainsGrass = new THREE.Color(0x7EC850);    // Vert herbe
-    const plainsDark = new THREE.Color(0x4A7C2F);     // Vert foncé forêt
-    const plainsLight = new THREE.Color(0x9FD356);    // Vert clair
-    
-    for (let i = 0; i < resolution * resolution; i++) {
-      const biomeFactor = this.biomeMap[i];
-      const height = this.heightMap[i];
-      const normalizedHeight = (height + heightScale) / (heightScale * 2);
-      
-      let color;
-      
-      if (biomeFactor < 0.5) {
-        // Zone montagneuse
-        if (normalizedHeight > 0.7) {
-          color = mountainHigh;
-        } else if (normalizedHeight > 0.4) {
-          color = mountainMid;
-        } else {
-          color = mountainLow;
-        }
-      } else {
-        // Zone plaines-forêts
-        const variation = this.perlin.noise(i * 0.1, i * 0.05);
-        if (variation > 0.3) {
-          color = plainsDark; // Zones forestières
-        } else if (variation < -0.3) {
-          color = plainsLight; // Clairières
-        } else {
-          color = plainsGrass; // Herbe normale
-        }
+    if (!this.colorMap) this.computeColorMap();
+    geometry.setAttribute('tint', new THREE.BufferAttribute(this.colorMap, 3));
+    geometry.setAttribute('splat', new THREE.BufferAttribute(this.splatMap, 4));
+  }
+
+  /**
+   * Calcule la surface de chaque cellule de la grille (`colorMap` et
+   * `splatMap`). Partagé entre le mesh unique et le rendu en chunks.
+   */
+  computeColorMap() {
+    const { resolution } = this.config;
+    this.colorMap = new Float32Array(resolution * resolution * 3);
+    this.splatMap = new Float32Array(resolution * resolution * 4);
+    this.colorPalettes = null; // Le registre a pu changer depuis la dernière fois
+    this.updateColorRegion(0, 0, resolution - 1, resolution - 1);
+    return this.colorMap;
+  }
+
+  /**
+   * Recalcule la surface d'une zone de la grille (bornes incluses)
+   */
+  updateColorRegion(x0, z0, x1, z1) {
+    const { resolution } = this.config;
+
+    if (!this.climate) {
+      this.generateClimateMaps();
+    }
+    if (!this.colorMap) {
+      return this.computeColorMap();
+    }
+
+    const color = new THREE.Color();
+    const splat = new Float32Array(4);
+    for (let z = Math.max(0, z0); z <= Math.min(resolution - 1, z1); z++) {
+      for (let x = Math.max(0, x0); x <= Math.min(resolution - 1, x1); x++) {
+        const i = z * resolution + x;
+        this.computeCellSurface(x, z, color, splat);
+        this.colorMap[i * 3] = color.r;
+        this.colorMap[i * 3 + 1] = color.g;
+        this.colorMap[i * 3 + 2] = color.b;
+        this.splatMap.set(splat, i * 4);
       }
-      
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
     }
-    
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return this.colorMap;
+  }
+
+  /**
+   * Palettes et sols de chaque biome du climat, convertis une fois pour toutes
+   */
+  getColorPalettes() {
+    if (!this.colorPalettes) {
+      this.colorPalettes = this.climate.biomeIds.map(id => {
+        const { colors, ground } = getBiomeDefinition(id);
+        const { grass = 0, dirt = 0, rock = 0, sand = 0 } = ground || { grass: 1 };
+        return {
+          base: new THREE.Color(colors.base),
+          dark: new THREE.Color(colors.dark),
+          light: new THREE.Color(colors.light),
+          ground: [grass, dirt, rock, sand],
+        };
+      });
+    }
+    return this.colorPalettes;
+  }
+
+  /**
+   * Surface d'une cellule : teinte et sols des biomes pondérés par le climat,
+   * puis sédiments, lits de rivière et fonds immergés. La neige et la roche
+   * des pentes sont ajoutées par le shader.
+   */
+  computeCellSurface(x, z, color, splat) {
+    const { resolution } = this.config;
+    const i = z * resolution + x;
+    const n = this.climate.biomeIds.length;
+    this.mixBiomeSurface(this.climate.weightMap, i * n, x / (resolution - 1), z / (resolution - 1), color, splat);
+
+    // Vallées : les sédiments ensablent, l'eau détrempe les lits
+    if (this.flowMap) {
+      blendGround(splat, SILT_GROUND, Math.min(1, this.sedimentMap[i] * 1.5) * 0.6);
+      blendGround(splat, RIVERBED_GROUND, Math.pow(this.flowMap[i], 3) * 0.8);
+    }
+
+    // Fonds immergés : plus c'est profond, plus c'est vaseux
+    if (this.water && this.water.typeMap[i] !== WaterType.NONE) {
+      const depth = this.water.levelMap[i] - this.heightMap[i];
+      blendGround(splat, LAKEBED_GROUND, Math.min(1, 0.5 + depth * 0.1));
+    }
+
+    return color;
+  }
+
+  /**
+   * Surface d'un point hors de la grille, calculée à la demande : mêmes
+   * biomes que computeCellSurface sur le climat du relief brut, fonds
+   * marins sous le niveau de la mer (ni rivières ni sédiments au-delà)
+   */
+  computeOffGridSurface(x, z, color, splat) {
+    const { size } = this.config;
+    const nx = x / size + 0.5;
+    const nz = z / size + 0.5;
+    const height = this.sampleHeight(x, z);
+    const weights = this.climate.sampleWeights(nx, nz, height, this.getScratchWeights());
+    this.mixBiomeSurface(weights, 0, nx, nz, color, splat);
+
+    if (this.water && height < this.water.seaLevel) {
+      blendGround(splat, LAKEBED_GROUND, Math.min(1, 0.5 + (this.water.seaLevel - height) * 0.1));
+    }
+    return color;
+  }
+
+  /**
+   * Tampon de poids de biomes (un par biome du climat)
+   */
+  getScratchWeights() {
+    const count = this.climate.biomeIds.length;
+    if (!this.scratchWeights || this.scratchWeights.length !== count) {
+      this.scratchWeights = new Float32Array(count);
+    }
+    return this.scratchWeights;
+  }
+
+  /**
+   * Teinte et sols mélangés selon les poids de biomes (un par biome du
+   * climat, à partir de `weights[offset]`), en (`nx`, `nz`) coordonnées
+   * monde normalisées
+   */
+  mixBiomeSurface(weights, offset, nx, nz, color, splat) {
+    const palettes = this.getColorPalettes();
+
+    // Clairières et sous-bois : variation douce dans l'espace (dark <-> light)
+    const variation = this.perlin.fractalNoise(nx * 12, nz * 12, 2);
+    const shade = Math.max(-1, Math.min(1, variation * 2.5));
+
+    const mixed = scratchTint;
+    color.setRGB(0, 0, 0);
+    splat.fill(0);
+    for (let b = 0; b < palettes.length; b++) {
+      const w = weights[offset + b];
+      if (w === 0) continue;
+      const palette = palettes[b];
+      mixed.copy(palette.base).lerp(shade > 0 ? palette.dark : palette.light, Math.abs(shade));
+      color.r += mixed.r * w;
+      color.g += mixed.g * w;
+      color.b += mixed.b * w;
+      for (let k = 0; k < 4; k++) splat[k] += palette.ground[k] * w;
+    }
+    return color;
+  }
+
+  /**
+   * Cellules de la grille couvertes par un rectangle du monde (bornes
+   * incluses, bornées à la grille), avec le même repère que getHeightAt
+   */
+  getGridRegion(minX, minZ, maxX, maxZ) {
+    const { resolution } = this.config;
+    const clampCell = (v) => Math.min(resolution - 1, Math.max(0, v));
+    return {
+      x0: clampCell(Math.floor(this.worldToGrid(minX))),
+      z0: clampCell(Math.floor(this.worldToGrid(minZ))),
+      x1: clampCell(Math.ceil(this.worldToGrid(maxX))),
+      z1: clampCell(Math.ceil(this.worldToGrid(maxZ))),
+    };
   }
 
   /**
-   * Obtient le type de biome à une position donnée
+   * À appeler après une édition locale de `heightMap` (sculpture) : recalcule
+   * climat et couleurs de la zone (bornes de grille incluses)
    */
-  getBiomeAt(x, z) {
+  updateRegion(x0, z0, x1, z1) {
+    this.extendHeightBounds(x0, z0, x1, z1);
+    if (!this.climate) {
+      this.generateClimateMaps();
+    } else {
+      this.climate.updateRegion(this.heightMap, x0, z0, x1, z1);
+    }
+    this.updateColorRegion(x0, z0, x1, z1);
+  }
+
+  /**
+   * Met à jour un mesh créé par createTerrainMesh sur une zone de la grille :
+   * positions, normales et surface (teinte, splat) des seuls vertices concernés
+   */
+  updateMeshRegion(mesh, x0, z0, x1, z1) {
     const { size, resolution } = this.config;
-    
-    // Convertir les coordonnées du monde en indices de la grille
-    const gridX = Math.floor((x / size + 0.5) * resolution);
-    const gridZ = Math.floor((z / size + 0.5) * resolution);
-    
-    if (gridX < 0 || gridX >= resolution || gridZ < 0 || gridZ >= resolution) {
-      return 'plains'; // Par défaut en dehors
+    const geometry = mesh.geometry;
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const tints = geometry.attributes.tint;
+    const splats = geometry.attributes.splat;
+    const spacing = size / (resolution - 1);
+    const h = (x, z) => this.heightMap[
+      Math.min(resolution - 1, Math.max(0, z)) * resolution + Math.min(resolution - 1, Math.max(0, x))
+    ];
+    const normal = new THREE.Vector3();
+
+    // Une cellule de marge : les normales des voisins dépendent de la zone
+    for (let z = Math.max(0, z0 - 1); z <= Math.min(resolution - 1, z1 + 1); z++) {
+      for (let x = Math.max(0, x0 - 1); x <= Math.min(resolution - 1, x1 + 1); x++) {
+        const i = z * resolution + x;
+        positions.setY(i, this.heightMap[i]);
+
+        normal.set(
+          -(h(x + 1, z) - h(x - 1, z)) / (2 * spacing),
+          1,
+          -(h(x, z + 1) - h(x, z - 1)) / (2 * spacing)
+        ).normalize();
+        normals.setXYZ(i, normal.x, normal.y, normal.z);
+
+        tints.setXYZ(i, this.colorMap[i * 3], this.colorMap[i * 3 + 1], this.colorMap[i * 3 + 2]);
+        splats.setXYZW(i, this.splatMap[i * 4], this.splatMap[i * 4 + 1], this.splatMap[i * 4 + 2], this.splatMap[i * 4 + 3]);
+      }
     }
+
+    positions.needsUpdate = true;
+    normals.needsUpdate = true;
+    tints.needsUpdate = true;
+    splats.needsUpdate = true;
+    geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Obtient le type de biome à une position donnée.
+   *
+   * Renvoie l'id du biome dominant (clé du registre des biomes). Avec
+   * `withWeights`, renvoie `{ type, weights }` où `weights` associe chaque
+   * biome présent à son poids dans le mélange (somme = 1).
+   */
+  getBiomeAt(x, z, withWeights = false) {
+    // Convertir les coordonnées du monde en indice de la grille
+    const idx = this.getCellIndex(x, z);
     
-    const idx = gridZ * resolution + gridX;
-    const biomeFactor = this.biomeMap[idx];
+    if (idx < 0 && this.isBounded) {
+      // Par défaut en dehors
+      return withWeights ? { type: 'plains', weights: { plains: 1 } } : 'plains';
+    }
+
+    if (!this.climate) {
+      this.generateClimateMaps();
+    }
+
+    if (idx < 0) {
+      // Monde prolongé : climat du relief brut, calculé à la demande
+      const { size } = this.config;
+      const { biomeIds } = this.climate;
+      const weights = this.climate.sampleWeights(x / size + 0.5, z / size + 0.5, this.sampleHeight(x, z), this.getScratchWeights());
+      let best = 0;
+      for (let b = 0; b < weights.length; b++) if (weights[b] > weights[best]) best = b;
+      if (!withWeights) return biomeIds[best];
+      const present = {};
+      weights.forEach((w, b) => { if (w > 0) present[biomeIds[b]] = w; });
+      return { type: biomeIds[best], weights: present };
+    }
     
-    if (biomeFactor < 0.3) return 'mountain';
-    if (biomeFactor > 0.7) return 'plains';
-    return 'transition';
+    const type = this.climate.getDominant(idx);
+
+    return withWeights ? { type, weights: this.climate.getWeights(idx) } : type;
   }
 
   /**
-   * Obtient la hauteur du terrain à une position donnée
+   * Température et humidité (dans [0, 1]) à une position donnée
    */
-  getHeightAt(x, z) {
+  getClimateAt(x, z) {
     const { size, resolution } = this.config;
+    const gridX = Math.min(resolution - 1, Math.max(0, Math.round(this.worldToGrid(x))));
+    const gridZ = Math.min(resolution - 1, Math.max(0, Math.round(this.worldToGrid(z))));
+
+    if (!this.climate) {
+      this.generateClimateMaps();
+    }
+
+    if (!this.isBounded && !this.isOnGrid(x, z)) {
+      const climate = this.climate.sampleClimate(x / size + 0.5, z / size + 0.5, this.sampleHeight(x, z), {});
+      return { temperature: clamp(climate.temperature, 0, 1), moisture: clamp(climate.moisture, 0, 1) };
+    }
+
+    const idx = gridZ * resolution + gridX;
+    return {
+      temperature: this.climate.temperatureMap[idx],
+      moisture: this.climate.moistureMap[idx],
+    };
+  }
+
+  /**
+   * Obtient la hauteur du terrain à une position donnée.
+   *
+   * Par défaut, interpolation de la heightmap : c'est la surface dessinée
+   * (érosion, rivières et sculpture comprises). Ces passes sont simulées sur
+   * la grille avec des réglages en unités monde : deux résolutions d'une même
+   * graine donnent le même paysage, aux détails près.
+   *
+   * Avec `analytic`, évalue directement le graphe de bruit : le relief brut,
+   * identique à toute résolution mais sans érosion, rivières ni sculpture (il
+   * ne correspond au maillage que si ces passes sont désactivées). Au-delà
+   * de la grille, le monde prolongé n'a que ce relief brut, qui rejoint la
+   * grille à son bord (blendBorder). Une heightmap importée n'a pas de forme
+   * analytique : elle reste interpolée et ses bords se prolongent à plat.
+   */
+  getHeightAt(x, z, analytic = false) {
+    if (!this.importedHeight && (analytic || !this.isOnGrid(x, z))) {
+      return this.sampleHeight(x, z);
+    }
+
+    const { resolution } = this.config;
     
     // Convertir en coordonnées de grille
-    const gridX = (x / size + 0.5) * resolution;
-    const gridZ = (z / size + 0.5) * resolution;
+    const gridX = Math.min(resolution - 1, Math.max(0, this.worldToGrid(x)));
+    const gridZ = Math.min(resolution - 1, Math.max(0, this.worldToGrid(z)));
     
     // Interpolation bilinéaire pour une hauteur lisse
     const x0 = Math.floor(gridX);
@@ -434,13 +935,345 @@ export class TerrainGenerator {
     
     return h0 * (1 - fz) + h1 * fz;
   }
+
+  /**
+   * Dérivées de la surface bilinéaire de getHeightAt : `{ dx, dz }` = pente
+   * de la hauteur le long de x et de z (unités monde). Même cellule et mêmes
+   * poids que getHeightAt, donc cohérent avec la hauteur renvoyée (au-delà
+   * de la grille : différences finies du relief brut, sur une cellule).
+   */
+  getGradientAt(x, z, target = { dx: 0, dz: 0 }) {
+    const { size, resolution } = this.config;
+    const cellsPerUnit = (resolution - 1) / size;
+
+    if (!this.isBounded && !this.isOnGrid(x, z)) {
+      const step = 1 / cellsPerUnit;
+      target.dx = (this.sampleHeight(x + step, z) - this.sampleHeight(x - step, z)) / (2 * step);
+      target.dz = (this.sampleHeight(x, z + step) - this.sampleHeight(x, z - step)) / (2 * step);
+      return target;
+    }
+
+    const gridX = Math.min(resolution - 1, Math.max(0, this.worldToGrid(x)));
+    const gridZ = Math.min(resolution - 1, Math.max(0, this.worldToGrid(z)));
+
+    const x0 = Math.floor(gridX);
+    const x1 = Math.min(x0 + 1, resolution - 1);
+    const z0 = Math.floor(gridZ);
+    const z1 = Math.min(z0 + 1, resolution - 1);
+
+    const fx = gridX - x0;
+    const fz = gridZ - z0;
+
+    const h00 = this.heightMap[z0 * resolution + x0] || 0;
+    const h10 = this.heightMap[z0 * resolution + x1] || 0;
+    const h01 = this.heightMap[z1 * resolution + x0] || 0;
+    const h11 = this.heightMap[z1 * resolution + x1] || 0;
+
+    target.dx = ((h10 - h00) * (1 - fz) + (h11 - h01) * fz) * cellsPerUnit;
+    target.dz = ((h01 - h00) * (1 - fx) + (h11 - h10) * fx) * cellsPerUnit;
+    return target;
+  }
+
+  /**
+   * Normale (unitaire) du terrain à une position donnée.
+   * Sa composante horizontale pointe vers la descente.
+   */
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    const { dx, dz } = this.getGradientAt(x, z, scratchGradient);
+    return target.set(-dx, 1, -dz).normalize();
+  }
+
+  /**
+   * Angle de la pente en radians (0 = plat, PI/2 = falaise verticale)
+   */
+  getSlopeAt(x, z) {
+    const { dx, dz } = this.getGradientAt(x, z, scratchGradient);
+    return Math.atan(Math.sqrt(dx * dx + dz * dz));
+  }
+
+  /**
+   * Courbure (laplacien de la hauteur, différences finies d'une cellule).
+   * Positive dans les creux et vallées, négative sur les crêtes et sommets.
+   */
+  getCurvatureAt(x, z) {
+    const { size, resolution } = this.config;
+    const step = size / (resolution - 1);
+    const h = this.getHeightAt(x, z);
+
+    const sum =
+      this.getHeightAt(x + step, z) +
+      this.getHeightAt(x - step, z) +
+      this.getHeightAt(x, z + step) +
+      this.getHeightAt(x, z - step);
+
+    return (sum - 4 * h) / (step * step);
+  }
+
+  /**
+   * Altitudes `{ min, max }` de la heightmap, calculées une fois puis
+   * gardées jusqu'au prochain changement global du relief
+   */
+  getHeightBounds() {
+    if (!this.heightBounds) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const h of this.heightMap) {
+        if (h < min) min = h;
+        if (h > max) max = h;
+      }
+      this.heightBounds = { min, max };
+    }
+    return this.heightBounds;
+  }
+
+  /**
+   * Altitudes `{ min, max }` du relief brut qui prolonge le monde hors de la
+   * grille. Le graphe de bruit n'a pas de bornes connues : on les estime une
+   * fois sur un échantillonnage grossier de 4 x 4 tailles de grille, avec une
+   * marge de 20 % de l'amplitude.
+   */
+  getReliefBounds() {
+    if (!this.reliefBounds) {
+      const span = this.config.size * 4;
+      const samples = 64;
+      let min = Infinity;
+      let max = -Infinity;
+      for (let j = 0; j < samples; j++) {
+        for (let i = 0; i < samples; i++) {
+          const h = this.sampleHeight((i / (samples - 1) - 0.5) * span, (j / (samples - 1) - 0.5) * span);
+          if (h < min) min = h;
+          if (h > max) max = h;
+        }
+      }
+      const margin = (max - min) * 0.2;
+      this.reliefBounds = { min: min - margin, max: max + margin };
+    }
+    return this.reliefBounds;
+  }
+
+  /**
+   * Élargit les bornes d'altitude aux cellules d'une zone modifiée. Elles
+   * ne rétrécissent pas : une boîte un peu trop grande reste juste pour
+   * raycast, et la sculpture ne relit que la zone touchée.
+   */
+  extendHeightBounds(x0, z0, x1, z1) {
+    if (!this.heightBounds) return;
+    const { resolution } = this.config;
+    const bounds = this.heightBounds;
+    for (let z = Math.max(0, z0); z <= Math.min(resolution - 1, z1); z++) {
+      for (let x = Math.max(0, x0); x <= Math.min(resolution - 1, x1); x++) {
+        const h = this.heightMap[z * resolution + x];
+        if (h < bounds.min) bounds.min = h;
+        if (h > bounds.max) bounds.max = h;
+      }
+    }
+  }
+
+  /**
+   * Intersection d'un rayon avec la heightmap, sans passer par le raycaster
+   * de Three.js sur le mesh.
+   *
+   * Le rayon est d'abord découpé sur la boîte englobante du terrain, puis on
+   * avance d'une demi-cellule à la fois jusqu'à passer sous la surface ;
+   * le point exact est affiné par dichotomie sur getHeightAt.
+   *
+   * Quand le monde dépasse la grille (`isBounded` faux), la boîte n'est
+   * limitée qu'en altitude, élargie au relief brut (getReliefBounds), et le
+   * rayon par `maxDistance` (à défaut, 4 tailles de grille).
+   *
+   * @param {THREE.Vector3} origin
+   * @param {THREE.Vector3} direction  normalisée
+   * @param {number} maxDistance
+   * @returns {{ point: THREE.Vector3, distance: number, normal: THREE.Vector3 } | null}
+   */
+  raycast(origin, direction, maxDistance = Infinity) {
+    const { size, resolution } = this.config;
+    if (!this.heightMap) return null;
+    let { min: minHeight, max: maxHeight } = this.getHeightBounds();
+    const bounded = this.isBounded;
+    if (!bounded) {
+      const relief = this.getReliefBounds();
+      minHeight = Math.min(minHeight, relief.min);
+      maxHeight = Math.max(maxHeight, relief.max);
+    }
+
+    // Découpage du rayon sur la boîte [-size/2, size/2] x [min, max] (méthode des "slabs")
+    const half = size / 2;
+    const box = [[origin.y, direction.y, minHeight, maxHeight]];
+    if (bounded) {
+      box.push([origin.x, direction.x, -half, half], [origin.z, direction.z, -half, half]);
+    }
+    let tMin = 0;
+    let tMax = bounded || Number.isFinite(maxDistance) ? maxDistance : size * 4;
+    for (const [o, d, lo, hi] of box) {
+      if (Math.abs(d) < 1e-9) {
+        if (o < lo || o > hi) return null;
+        continue;
+      }
+      let t0 = (lo - o) / d;
+      let t1 = (hi - o) / d;
+      if (t0 > t1) [t0, t1] = [t1, t0];
+      tMin = Math.max(tMin, t0);
+      tMax = Math.min(tMax, t1);
+      if (tMin > tMax) return null;
+    }
+
+    const above = (t) =>
+      origin.y + direction.y * t - this.getHeightAt(origin.x + direction.x * t, origin.z + direction.z * t);
+
+    const hit = (t) => {
+      const point = new THREE.Vector3(origin.x + direction.x * t, 0, origin.z + direction.z * t);
+      point.y = this.getHeightAt(point.x, point.z);
+      return { point, distance: t, normal: this.getNormalAt(point.x, point.z) };
+    };
+
+    // Déjà sous le sol en entrant dans la boîte : bord du terrain, ou origine enterrée
+    if (above(tMin) <= 0) {
+      return tMin > 0 ? hit(tMin) : null;
+    }
+
+    const step = (size / (resolution - 1)) * 0.5;
+    let prev = tMin;
+    while (prev < tMax) {
+      const current = Math.min(prev + step, tMax);
+      if (above(current) <= 0) {
+        // Dichotomie entre le dernier point au-dessus et le premier dessous
+        let lo = prev;
+        let hi = current;
+        for (let i = 0; i < 16; i++) {
+          const mid = (lo + hi) / 2;
+          if (above(mid) > 0) lo = mid;
+          else hi = mid;
+        }
+        return hit(hi);
+      }
+      prev = current;
+    }
+
+    return null;
+  }
+
+  /**
+   * Teinte du terrain à une position donnée (interpolation bilinéaire
+   * de `colorMap`, même repère que getHeightAt)
+   */
+  getColorAt(x, z, target = new THREE.Color()) {
+    return this.getSurfaceAt(x, z, target, null);
+  }
+
+  /**
+   * Poids des textures de sol (herbe, terre, roche, sable), interpolés
+   */
+  getSplatAt(x, z, target = new THREE.Vector4()) {
+    this.getSurfaceAt(x, z, scratchColor, target);
+    return target;
+  }
+
+  /**
+   * Teinte (`color`) et poids de sols (`splat`, Vector4 ou null) en une
+   * seule requête. Sur la grille, interpolés dans `colorMap` / `splatMap` ;
+   * au-delà, calculés à la demande (computeOffGridSurface)
+   */
+  getSurfaceAt(x, z, color, splat) {
+    if (!this.colorMap) this.computeColorMap();
+
+    if (!this.isBounded && !this.isOnGrid(x, z)) {
+      this.computeOffGridSurface(x, z, color, scratchSample);
+      if (splat) splat.fromArray(scratchSample);
+      return color;
+    }
+
+    this.sampleSurface(this.colorMap, 3, x, z, scratchSample);
+    color.setRGB(scratchSample[0], scratchSample[1], scratchSample[2]);
+    if (splat) splat.fromArray(this.sampleSurface(this.splatMap, 4, x, z, scratchSample));
+    return color;
+  }
+
+  /**
+   * Interpolation bilinéaire d'une carte à `channels` valeurs par cellule
+   */
+  sampleSurface(map, channels, x, z, out) {
+    const { resolution } = this.config;
+
+    const gridX = Math.min(resolution - 1, Math.max(0, this.worldToGrid(x)));
+    const gridZ = Math.min(resolution - 1, Math.max(0, this.worldToGrid(z)));
+    const x0 = Math.floor(gridX);
+    const z0 = Math.floor(gridZ);
+    const x1 = Math.min(x0 + 1, resolution - 1);
+    const z1 = Math.min(z0 + 1, resolution - 1);
+    const fx = gridX - x0;
+    const fz = gridZ - z0;
+
+    const w00 = (1 - fx) * (1 - fz);
+    const w10 = fx * (1 - fz);
+    const w01 = (1 - fx) * fz;
+    const w11 = fx * fz;
+    const i00 = (z0 * resolution + x0) * channels;
+    const i10 = (z0 * resolution + x1) * channels;
+    const i01 = (z1 * resolution + x0) * channels;
+    const i11 = (z1 * resolution + x1) * channels;
+
+    for (let c = 0; c < channels; c++) {
+      out[c] = map[i00 + c] * w00 + map[i10 + c] * w10 + map[i01 + c] * w01 + map[i11 + c] * w11;
+    }
+    return out;
+  }
+
+  /**
+   * Profondeur d'eau à une position donnée (0 sur la terre ferme)
+   */
+  getWaterDepthAt(x, z) {
+    if (!this.water) return 0;
+
+    const idx = this.getCellIndex(x, z);
+    if (idx < 0) {
+      // Monde prolongé : la mer recouvre ce qui est sous son niveau
+      return this.isBounded ? 0 : Math.max(0, this.water.seaLevel - this.getHeightAt(x, z));
+    }
+
+    const level = this.water.levelMap[idx];
+    if (Number.isNaN(level)) return 0;
+
+    return Math.max(0, level - this.getHeightAt(x, z));
+  }
+
+  /**
+   * Hauteur de la surface "praticable" : le sol, ou l'eau s'il y en a
+   * (pour ce qui vole ou flotte au-dessus du monde)
+   */
+  getSurfaceHeightAt(x, z) {
+    return this.getHeightAt(x, z) + this.getWaterDepthAt(x, z);
+  }
 }
 
 // Exemple d'utilisation
+// Avec `config.chunks`, le terrain est rendu en tuiles avec LOD : il faut alors
+// appeler `chunks.update(camera.position)` à chaque frame.
+// Génération synchrone : voir createBloomfallTerrainAsync (TerrainWorker.js)
+// pour la faire hors du thread principal.
 export function createBloomfallTerrain(scene, config = {}) {
-  const generator = new TerrainGenerator(config);
-  const terrain = generator.createTerrainMesh();
-  scene.add(terrain);
+  return buildBloomfallTerrain(scene, new TerrainGenerator(config), config);
+}
+
+/**
+ * Ajoute à la scène le rendu d'un générateur (dont les cartes manquantes
+ * sont calculées au passage)
+ */
+export function buildBloomfallTerrain(scene, generator, config = {}) {
+  let terrain;
+  let chunks = null;
+  if (config.chunks) {
+    chunks = new TerrainChunkManager(scene, generator, config.chunks);
+    terrain = chunks.group;
+  } else {
+    terrain = generator.createTerrainMesh();
+    scene.add(terrain);
+  }
+
+  const water = generator.createWaterMesh();
+  if (water) {
+    scene.add(water);
+  }
   
-  return { terrain, generator };
-}
\ No newline at end of file
+  return { terrain, water, generator, chunks };
+}
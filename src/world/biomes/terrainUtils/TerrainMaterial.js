@@ -0,0 +1,337 @@
+/**
+ * Matériau du terrain "splat-mapped".
+ *
+ * Au lieu d'une couleur plate par vertex, le fragment shader mélange cinq
+ * textures (herbe, terre, roche, sable, neige) :
+ *  - les poids herbe / terre / roche / sable viennent du biome (attribut
+ *    `splat`, cf. `ground` dans le registre des biomes) ;
+ *  - la roche remplace le reste sur les pentes raides ;
+ *  - la neige tombe au-dessus de `snowLine`, modifiable à chaud, et ne tient
+ *    pas sur les falaises.
+ * L'herbe est teintée par la couleur du biome (attribut `tint`).
+ *
+ * Les textures sont projetées en triplanaire : sur les pentes raides, on
+ * mélange trois projections selon la normale pour éviter l'étirement.
+ *
+ * On étend `MeshStandardMaterial` (onBeforeCompile) pour garder l'éclairage,
+ * les ombres et le brouillard de Three.js.
+ */
+import * as THREE from 'three';
+import { RandomGenerator } from '../../../utils/random.js';
+import { lerp } from '../../../utils/math.js';
+
+/**
+ * Paramètres par défaut
+ */
+export const TerrainMaterialDefaults = {
+  snowLine: 35,             // Altitude (unités monde) où la neige commence à tenir
+  snowBlend: 5,             // Largeur de la transition de neige
+  snowMaxSlope: 0.45,       // Au-delà (1 - normale.y), la neige glisse
+  rockSlope: [0.25, 0.45],  // Transition vers la roche selon la pente (1 - normale.y)
+  textureScale: 0.12,       // Répétitions de texture par unité monde
+  triplanarSharpness: 4,    // Netteté du mélange entre les projections
+  textureSize: 128,         // Côté des textures procédurales
+  seed: 'terrain-textures',
+};
+
+/**
+ * Bruit de valeur périodique (tuile sans couture) dans [0, 1]
+ */
+function tileableNoise(rng, period) {
+  const lattice = new Float32Array(period * period).map(() => rng.next());
+  const at = (x, y) => lattice[((y % period + period) % period) * period + ((x % period + period) % period)];
+
+  return (x, y) => {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sy = fy * fy * (3 - 2 * fy);
+    return lerp(
+      lerp(at(x0, y0), at(x0 + 1, y0), sx),
+      lerp(at(x0, y0 + 1), at(x0 + 1, y0 + 1), sx),
+      sy
+    );
+  };
+}
+
+/**
+ * Texture procédurale : `shade(u, v)` renvoie [r, g, b] dans [0, 1]
+ */
+function createProceduralTexture(size, colorSpace, shade) {
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const [r, g, b] = shade(x / size, y / size);
+      const i = (y * size + x) * 4;
+      data[i] = Math.round(Math.min(1, Math.max(0, r)) * 255);
+      data[i + 1] = Math.round(Math.min(1, Math.max(0, g)) * 255);
+      data[i + 2] = Math.round(Math.min(1, Math.max(0, b)) * 255);
+      data[i + 3] = 255;
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+  texture.colorSpace = colorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.anisotropy = 4;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Textures d'herbe, terre, roche, sable et neige générées à la volée
+ * (aucun fichier image à embarquer)
+ */
+export function createTerrainTextures(size = TerrainMaterialDefaults.textureSize, seed = TerrainMaterialDefaults.seed) {
+  const rng = new RandomGenerator(seed);
+
+  // Somme d'octaves de bruit périodique : reste raccord quand la texture se répète
+  const fractal = (periods) => {
+    const layers = periods.map(p => ({ noise: tileableNoise(rng.fork(`p${p}`), p), period: p }));
+    return (u, v) => {
+      let total = 0;
+      let amplitude = 1;
+      let max = 0;
+      for (const { noise, period } of layers) {
+        total += noise(u * period, v * period) * amplitude;
+        max += amplitude;
+        amplitude *= 0.5;
+      }
+      return total / max;
+    };
+  };
+
+  const grassNoise = fractal([8, 32, 64]);
+  const dirtNoise = fractal([4, 16, 64]);
+  const rockNoise = fractal([4, 8, 32]);
+  const crackNoise = fractal([8, 16]);
+  const sandNoise = fractal([16, 64]);
+  const snowNoise = fractal([8, 32]);
+
+  return {
+    // Détail de luminance (linéaire, ~0.8 en moyenne) : la couleur vient du biome
+    grass: createProceduralTexture(size, THREE.NoColorSpace, (u, v) => {
+      const n = 0.6 + grassNoise(u, v) * 0.4;
+      return [n, n, n];
+    }),
+
+    dirt: createProceduralTexture(size, THREE.SRGBColorSpace, (u, v) => {
+      const n = dirtNoise(u, v);
+      return [0.38 + n * 0.2, 0.28 + n * 0.14, 0.18 + n * 0.1];
+    }),
+
+    // Roche : gris avec des fissures sombres (crêtes du bruit)
+    rock: createProceduralTexture(size, THREE.SRGBColorSpace, (u, v) => {
+      const n = rockNoise(u, v);
+      const crack = Math.pow(1 - Math.abs(crackNoise(u, v) * 2 - 1), 12);
+      const g = 0.4 + n * 0.25 - crack * 0.2;
+      return [g, g * 0.97, g * 0.93];
+    }),
+
+    sand: createProceduralTexture(size, THREE.SRGBColorSpace, (u, v) => {
+      const ripple = Math.sin((v * 12 + sandNoise(u, v) * 2) * Math.PI * 2) * 0.03;
+      const n = sandNoise(u, v) * 0.1 + ripple;
+      return [0.84 + n, 0.76 + n, 0.56 + n];
+    }),
+
+    snow: createProceduralTexture(size, THREE.SRGBColorSpace, (u, v) => {
+      const n = snowNoise(u, v) * 0.08;
+      return [0.9 + n, 0.93 + n, 0.97 + n];
+    }),
+  };
+}
+
+const vertexHeader = /* glsl */ `
+attribute vec4 splat;
+attribute vec3 tint;
+varying vec4 vSplat;
+varying vec3 vTint;
+varying vec3 vTerrainPosition;
+varying vec3 vTerrainNormal;
+`;
+
+const vertexBody = /* glsl */ `
+vSplat = splat;
+vTint = tint;
+vTerrainPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vTerrainNormal = normalize(mat3(modelMatrix) * objectNormal);
+`;
+
+const fragmentHeader = /* glsl */ `
+uniform sampler2D grassMap;
+uniform sampler2D dirtMap;
+uniform sampler2D rockMap;
+uniform sampler2D sandMap;
+uniform sampler2D snowMap;
+uniform float snowLine;
+uniform float snowBlend;
+uniform float snowMaxSlope;
+uniform vec2 rockSlope;
+uniform float textureScale;
+uniform float triplanarSharpness;
+varying vec4 vSplat;
+varying vec3 vTint;
+varying vec3 vTerrainPosition;
+varying vec3 vTerrainNormal;
+
+// Projection triplanaire (pas de branche : les mipmaps ont besoin de
+// dérivées continues). Sur sol plat, blend vaut quasiment (0, 1, 0).
+vec3 sampleTriplanar(sampler2D map, vec3 p, vec3 blend) {
+  return texture2D(map, p.zy).rgb * blend.x
+       + texture2D(map, p.xz).rgb * blend.y
+       + texture2D(map, p.xy).rgb * blend.z;
+}
+`;
+
+const fragmentBody = /* glsl */ `
+vec3 terrainNormal = normalize(vTerrainNormal);
+vec3 blend = pow(abs(terrainNormal), vec3(triplanarSharpness));
+blend /= blend.x + blend.y + blend.z;
+vec3 p = vTerrainPosition * textureScale;
+float steepness = 1.0 - terrainNormal.y;
+
+// Poids du biome, puis la roche prend le dessus sur les pentes raides
+vec4 weights = vSplat;
+weights = mix(weights, vec4(0.0, 0.0, 1.0, 0.0), smoothstep(rockSlope.x, rockSlope.y, steepness));
+weights /= max(weights.x + weights.y + weights.z + weights.w, 1e-4);
+
+vec3 albedo =
+    sampleTriplanar(grassMap, p, blend) * vTint * 1.25 * weights.x
+  + sampleTriplanar(dirtMap, p, blend) * weights.y
+  + sampleTriplanar(rockMap, p, blend) * weights.z
+  + sampleTriplanar(sandMap, p, blend) * weights.w;
+
+// Neige au-dessus de la limite, sauf sur les parois
+float snow = smoothstep(snowLine - snowBlend, snowLine + snowBlend, vTerrainPosition.y);
+snow *= 1.0 - smoothstep(snowMaxSlope - 0.1, snowMaxSlope + 0.1, steepness);
+albedo = mix(albedo, sampleTriplanar(snowMap, p, blend), snow);
+
+diffuseColor.rgb *= albedo;
+`;
+
+const ROCK_WEIGHTS = new THREE.Vector4(0, 0, 1, 0);
+const scratchColor = new THREE.Color();
+
+/**
+ * Matériau standard + splat mapping. `snowLine` se règle à chaud.
+ */
+export class TerrainMaterial extends THREE.MeshStandardMaterial {
+  constructor(config = {}) {
+    const { textures, ...rest } = config;
+    const settings = { ...TerrainMaterialDefaults, ...rest };
+
+    super({ roughness: 0.9, metalness: 0.05 });
+    this.type = 'TerrainMaterial';
+    this.settings = settings;
+    this.textures = textures || createTerrainTextures(settings.textureSize, settings.seed);
+
+    // Partagés avec le shader : modifier .value suffit, pas de recompilation
+    this.terrainUniforms = {
+      grassMap: { value: this.textures.grass },
+      dirtMap: { value: this.textures.dirt },
+      rockMap: { value: this.textures.rock },
+      sandMap: { value: this.textures.sand },
+      snowMap: { value: this.textures.snow },
+      snowLine: { value: settings.snowLine },
+      snowBlend: { value: settings.snowBlend },
+      snowMaxSlope: { value: settings.snowMaxSlope },
+      rockSlope: { value: new THREE.Vector2(...settings.rockSlope) },
+      textureScale: { value: settings.textureScale },
+      triplanarSharpness: { value: settings.triplanarSharpness },
+    };
+  }
+
+  get snowLine() {
+    return this.terrainUniforms.snowLine.value;
+  }
+
+  set snowLine(value) {
+    this.terrainUniforms.snowLine.value = value;
+  }
+
+  /**
+   * Couleur linéaire moyenne de chaque texture de sol (calculée une fois)
+   */
+  getAverageColors() {
+    if (this.averageColors) return this.averageColors;
+    this.averageColors = {};
+    for (const [name, texture] of Object.entries(this.textures)) {
+      const { data } = texture.image;
+      const sum = new THREE.Color(0, 0, 0);
+      const texel = new THREE.Color();
+      for (let i = 0; i < data.length; i += 4) {
+        texel.setRGB(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, texture.colorSpace);
+        sum.add(texel);
+      }
+      this.averageColors[name] = sum.multiplyScalar(4 / data.length);
+    }
+    return this.averageColors;
+  }
+
+  /**
+   * Version CPU du fragment shader, textures remplacées par leur couleur
+   * moyenne : ajoute un attribut `color` à une géométrie de terrain
+   * (positions en coordonnées monde, `tint`, `splat` et normales). Sert à
+   * l'export, où le splat mapping n'existe pas.
+   */
+  bakeVertexColors(geometry) {
+    const { grass, dirt, rock, sand, snow } = this.getAverageColors();
+    const { snowLine, snowBlend, snowMaxSlope, rockSlope } = this.terrainUniforms;
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const { tint, splat } = geometry.attributes;
+    const colors = new Float32Array(positions.count * 3);
+    const albedo = new THREE.Color();
+    const weights = new THREE.Vector4();
+
+    for (let i = 0; i < positions.count; i++) {
+      const steepness = 1 - normals.getY(i);
+      weights.fromBufferAttribute(splat, i)
+        .lerp(ROCK_WEIGHTS, THREE.MathUtils.smoothstep(steepness, rockSlope.value.x, rockSlope.value.y));
+      weights.divideScalar(Math.max(weights.x + weights.y + weights.z + weights.w, 1e-4));
+
+      albedo.fromBufferAttribute(tint, i).multiply(grass).multiplyScalar(1.25 * weights.x)
+        .add(scratchColor.copy(dirt).multiplyScalar(weights.y))
+        .add(scratchColor.copy(rock).multiplyScalar(weights.z))
+        .add(scratchColor.copy(sand).multiplyScalar(weights.w));
+
+      const y = positions.getY(i);
+      const snowCover = THREE.MathUtils.smoothstep(y, snowLine.value - snowBlend.value, snowLine.value + snowBlend.value)
+        * (1 - THREE.MathUtils.smoothstep(steepness, snowMaxSlope.value - 0.1, snowMaxSlope.value + 0.1));
+      albedo.lerp(snow, snowCover).toArray(colors, i * 3);
+    }
+
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geometry;
+  }
+
+  onBeforeCompile(shader) {
+    Object.assign(shader.uniforms, this.terrainUniforms);
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${vertexHeader}`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>\n${vertexBody}`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${fragmentHeader}`)
+      .replace('#include <map_fragment>', `#include <map_fragment>\n${fragmentBody}`);
+  }
+
+  // Un seul programme pour toutes les instances (le shader ne dépend que des uniforms)
+  customProgramCacheKey() {
+    return 'bloomfall-terrain';
+  }
+
+  dispose() {
+    for (const texture of Object.values(this.textures)) texture.dispose();
+    super.dispose();
+  }
+}
+
+export default TerrainMaterial;
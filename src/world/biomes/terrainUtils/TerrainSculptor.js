@@ -0,0 +1,210 @@
+/**
+ * Sculpture du terrain en temps réel.
+ *
+ * Chaque coup de pinceau modifie `heightMap` (ou les biomes peints du climat)
+ * dans un disque autour du point visé, puis :
+ *  1. recalcule climat et couleurs de cette zone seulement (`updateRegion`) ;
+ *  2. met à jour le rendu : les vertices concernés du mesh unique, ou les
+ *     tuiles touchées du rendu en chunks ;
+ *  3. prévient les écouteurs (végétation, automate, nourriture...) avec le
+ *     rectangle modifié, pour qu'ils se recalent ou disparaissent.
+ *
+ * Pinceaux : raise, lower, flatten, smooth, paint (voir `SculptBrushes`).
+ */
+import { getBiomeDefinition } from '../biomeRegistry.js';
+import { smoothstep } from '../../../utils/math.js';
+
+export const SculptBrushes = {
+  RAISE: 'raise',       // Monte le terrain
+  LOWER: 'lower',       // Creuse le terrain
+  FLATTEN: 'flatten',   // Ramène vers la hauteur du début du trait
+  SMOOTH: 'smooth',     // Moyenne avec les voisins
+  PAINT: 'paint',       // Impose un biome (couleurs, végétation, nourriture)
+};
+
+/**
+ * Paramètres par défaut
+ */
+export const SculptDefaults = {
+  brush: SculptBrushes.RAISE,
+  radius: 12,               // Rayon du pinceau (unités monde)
+  strength: 0.5,            // 0..1
+  raiseSpeed: 20,           // Unités de hauteur par seconde à pleine force
+  paintBiome: 'temperateForest',
+};
+
+export class TerrainSculptor {
+  /**
+   * @param {TerrainGenerator} terrainGenerator
+   * @param {object} targets  `mesh` (createTerrainMesh) et/ou `chunks` (TerrainChunkManager)
+   * @param {object} config   voir SculptDefaults
+   */
+  constructor(terrainGenerator, targets = {}, config = {}) {
+    this.terrainGenerator = terrainGenerator;
+    this.mesh = targets.mesh || null;
+    this.chunks = targets.chunks || null;
+    this.config = { ...SculptDefaults, ...config };
+
+    this.listeners = [];
+    this.strokeHeight = null; // Hauteur de référence du pinceau "flatten"
+  }
+
+  /**
+   * Abonne une fonction `(region) => {}` aux modifications du terrain.
+   * `region` = `{ brush, minX, minZ, maxX, maxZ }` en coordonnées monde.
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Début d'un trait (clic) : mémorise la hauteur visée pour "flatten"
+   */
+  beginStroke(x, z) {
+    this.strokeHeight = this.terrainGenerator.getHeightAt(x, z);
+  }
+
+  endStroke() {
+    this.strokeHeight = null;
+  }
+
+  /**
+   * Applique le pinceau courant autour de (x, z) pendant `dt` secondes
+   */
+  apply(x, z, dt) {
+    const tg = this.terrainGenerator;
+    const { brush, radius } = this.config;
+    const { resolution } = tg.config;
+
+    if (brush === SculptBrushes.FLATTEN && this.strokeHeight === null) {
+      this.beginStroke(x, z);
+    }
+
+    const region = tg.getGridRegion(x - radius, z - radius, x + radius, z + radius);
+    const cells = this.collectCells(x, z, region);
+    if (cells.length === 0) return;
+
+    if (brush === SculptBrushes.PAINT) {
+      this.paint(cells, dt);
+    } else {
+      this.sculpt(cells, dt);
+    }
+
+    // Une cellule de marge : l'interpolation et les normales débordent
+    const x0 = Math.max(0, region.x0 - 1);
+    const z0 = Math.max(0, region.z0 - 1);
+    const x1 = Math.min(resolution - 1, region.x1 + 1);
+    const z1 = Math.min(resolution - 1, region.z1 + 1);
+    tg.updateRegion(x0, z0, x1, z1);
+
+    if (this.mesh) {
+      tg.updateMeshRegion(this.mesh, x0, z0, x1, z1);
+    }
+
+    const changed = {
+      brush,
+      minX: tg.gridToWorld(x0),
+      minZ: tg.gridToWorld(z0),
+      maxX: tg.gridToWorld(x1),
+      maxZ: tg.gridToWorld(z1),
+    };
+
+    if (this.chunks) {
+      this.chunks.invalidateRegion(changed.minX, changed.minZ, changed.maxX, changed.maxZ);
+    }
+
+    for (const listener of this.listeners) {
+      listener(changed);
+    }
+  }
+
+  /**
+   * Cellules du disque et poids d'atténuation (1 au centre, 0 au bord)
+   */
+  collectCells(x, z, region) {
+    const tg = this.terrainGenerator;
+    const { resolution } = tg.config;
+    const { radius } = this.config;
+    const cells = [];
+
+    for (let gz = region.z0; gz <= region.z1; gz++) {
+      for (let gx = region.x0; gx <= region.x1; gx++) {
+        const wx = tg.gridToWorld(gx);
+        const wz = tg.gridToWorld(gz);
+        const dist = Math.hypot(wx - x, wz - z);
+        if (dist >= radius) continue;
+
+        cells.push({ gx, gz, idx: gz * resolution + gx, weight: 1 - smoothstep(0, 1, dist / radius) });
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Pinceaux de relief : raise, lower, flatten, smooth
+   */
+  sculpt(cells, dt) {
+    const tg = this.terrainGenerator;
+    const { resolution } = tg.config;
+    const { brush, strength, raiseSpeed } = this.config;
+    const heights = tg.heightMap;
+
+    // Le lissage lit les hauteurs d'avant le coup de pinceau
+    const source = brush === SculptBrushes.SMOOTH ? Float32Array.from(heights) : heights;
+    const h = (gx, gz) => source[
+      Math.min(resolution - 1, Math.max(0, gz)) * resolution + Math.min(resolution - 1, Math.max(0, gx))
+    ];
+
+    for (const { gx, gz, idx, weight } of cells) {
+      const amount = strength * weight * dt;
+
+      switch (brush) {
+        case SculptBrushes.RAISE:
+          heights[idx] += raiseSpeed * amount;
+          break;
+        case SculptBrushes.LOWER:
+          heights[idx] -= raiseSpeed * amount;
+          break;
+        case SculptBrushes.FLATTEN:
+          heights[idx] += (this.strokeHeight - heights[idx]) * Math.min(1, amount * 5);
+          break;
+        case SculptBrushes.SMOOTH: {
+          let sum = 0;
+          for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) sum += h(gx + dx, gz + dz);
+          }
+          heights[idx] += (sum / 9 - heights[idx]) * Math.min(1, amount * 10);
+          break;
+        }
+        default:
+          throw new Error(`Pinceau inconnu : "${brush}"`);
+      }
+    }
+  }
+
+  /**
+   * Pinceau de biome : la peinture est stockée dans le modèle climatique,
+   * qui la mélange aux poids du climat (voir ClimateModel.paint)
+   */
+  paint(cells, dt) {
+    const tg = this.terrainGenerator;
+    const { strength, paintBiome } = this.config;
+
+    if (getBiomeDefinition(paintBiome).id !== paintBiome) {
+      throw new Error(`Biome inconnu : "${paintBiome}"`);
+    }
+    if (!tg.climate) {
+      tg.generateClimateMaps();
+    }
+
+    for (const { idx, weight } of cells) {
+      tg.climate.paint(idx, paintBiome, strength * weight * dt * 4);
+    }
+  }
+}
+
+export default TerrainSculptor;
@@ -0,0 +1,64 @@
+/**
+ * Génération du terrain hors du thread principal.
+ *
+ * Le relief, l'érosion, l'eau, le climat et les couleurs sont calculés dans
+ * un Web Worker (terrainGeneration.worker.js) ; le thread principal ne fait
+ * que reprendre les cartes renvoyées (`TerrainGenerator.importState`) puis
+ * construire les meshes. La page reste donc fluide, même en haute résolution.
+ *
+ * Sans support des Workers, la génération se fait sur place (même résultat).
+ */
+import { TerrainGenerator, buildBloomfallTerrain } from './TerrainGenerator.js';
+
+/**
+ * Crée un TerrainGenerator dont les cartes sont calculées dans un Worker.
+ *
+ * @param {object} config        configuration de TerrainGenerator (clonable)
+ * @param {Function} onProgress  `({ stage, step, steps }) => {}`, optionnel
+ * @returns {Promise<TerrainGenerator>}
+ */
+export function generateTerrainInWorker(config = {}, onProgress = null) {
+  // Construit ici pour figer la graine : le Worker n'a pas accès à worldRandom
+  const generator = new TerrainGenerator(config);
+
+  if (typeof Worker === 'undefined') {
+    generator.generateTerrainData(onProgress);
+    return Promise.resolve(generator);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./terrainGeneration.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case 'progress':
+          if (onProgress) onProgress(data);
+          break;
+        case 'done':
+          worker.terminate();
+          resolve(generator.importState(data.state));
+          break;
+        case 'error':
+          worker.terminate();
+          reject(new Error(`Génération du terrain : ${data.message}`));
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(`Génération du terrain : ${event.message}`));
+    };
+
+    worker.postMessage({ config: { ...config, seed: generator.config.seed } });
+  });
+}
+
+/**
+ * Équivalent asynchrone de createBloomfallTerrain : mêmes paramètres et même
+ * résultat, mais la génération ne bloque pas la page
+ */
+export async function createBloomfallTerrainAsync(scene, config = {}, onProgress = null) {
+  const generator = await generateTerrainInWorker(config, onProgress);
+  return buildBloomfallTerrain(scene, generator, config);
+}
@@ -0,0 +1,373 @@
+/**
+ * Génération de l'eau du monde Bloomfall : mer, lacs et rivières.
+ *
+ * Tout est calculé à partir de la heightmap de `TerrainGenerator` :
+ *  1. un niveau de mer choisi pour qu'une fraction du terrain soit immergée,
+ *  2. un remplissage des dépressions ("priority flood") : chaque cuvette
+ *     fermée se remplit jusqu'à son point de débordement et devient un lac,
+ *  3. des rivières qui partent des hauteurs du biome montagne et descendent
+ *     la pente jusqu'à la mer, un lac ou le bord de la carte. Leur lit est
+ *     creusé dans la heightmap.
+ *
+ * Les longueurs des réglages sont en unités monde : le même terrain
+ * échantillonné plus ou moins finement a les mêmes rivières, au tracé près.
+ *
+ * Le résultat est stocké dans deux cartes de la taille de la grille :
+ *  - `levelMap` : altitude de la surface de l'eau (NaN si cellule sèche),
+ *  - `typeMap`  : WaterType de chaque cellule.
+ */
+import * as THREE from 'three';
+import { RandomGenerator } from '../../../utils/random.js';
+import { MinHeap } from '../../../utils/math.js';
+
+/**
+ * Type d'eau d'une cellule de la grille
+ */
+export const WaterType = {
+  NONE: 0,
+  SEA: 1,
+  LAKE: 2,
+  RIVER: 3,
+};
+
+/**
+ * Paramètres par défaut (surchargeables via `config.water`)
+ */
+export const WaterDefaults = {
+  enabled: false,
+  seaCoverage: 0.06,     // Fraction du terrain sous le niveau de la mer
+  minLakeDepth: 0.6,     // Profondeur min (unités monde) pour garder un lac
+  riverCount: 6,         // Nombre de rivières tracées depuis les montagnes
+  riverMinLength: 40,    // Longueur min (unités monde) pour garder une rivière
+  riverSourceSpacing: 40, // Espacement min (unités monde) entre deux sources
+  riverDepth: 1.5,       // Profondeur du lit creusé (ou de l'eau, sans creusement)
+  carveRivers: true,     // false : relief intact, l'eau monte de riverDepth au-dessus du lit
+  riverWidth: 3,         // Demi-largeur (unités monde) du lit, arrondie à la cellule
+  color: 0x2F6FA8,
+  opacity: 0.75,
+};
+
+// Voisinage 8-connexe utilisé par le remplissage et le tracé des rivières
+const NEIGHBORS = [
+  [-1, 0], [1, 0], [0, -1], [0, 1],
+  [-1, -1], [1, -1], [-1, 1], [1, 1],
+];
+
+/**
+ * Calcule et rend l'eau d'un terrain
+ */
+export class TerrainWater {
+  constructor(config = {}) {
+    this.config = { ...WaterDefaults, ...config };
+    this.rng = config.rng || new RandomGenerator(config.seed ?? 0);
+
+    this.resolution = 0;
+    this.cellSize = 1;
+    this.seaLevel = 0;
+    this.levelMap = null;
+    this.typeMap = null;
+    this.rivers = [];
+  }
+
+  /**
+   * Génère mer, lacs et rivières. La heightmap est modifiée (lits creusés).
+   *
+   * @param {Float32Array} heightMap  hauteurs en unités monde
+   * @param {Float32Array} biomeMap   0 = montagne, 1 = plaines
+   * @param {number} resolution       nombre de vertices par côté
+   * @param {number} cellSize         distance monde entre deux vertices
+   */
+  generate(heightMap, biomeMap, resolution, cellSize) {
+    this.resolution = resolution;
+    this.cellSize = cellSize;
+    this.levelMap = new Float32Array(resolution * resolution).fill(NaN);
+    this.typeMap = new Uint8Array(resolution * resolution);
+
+    this.seaLevel = this.computeSeaLevel(heightMap);
+    const { filled, drainage } = this.fillDepressions(heightMap);
+
+    // Mer et lacs
+    for (let i = 0; i < heightMap.length; i++) {
+      if (heightMap[i] < this.seaLevel) {
+        this.typeMap[i] = WaterType.SEA;
+        this.levelMap[i] = this.seaLevel;
+      } else if (filled[i] - heightMap[i] > this.config.minLakeDepth) {
+        this.typeMap[i] = WaterType.LAKE;
+        this.levelMap[i] = filled[i];
+      }
+    }
+
+    this.rivers = this.traceRivers(heightMap, biomeMap, drainage);
+    for (const river of this.rivers) {
+      this.carveRiver(heightMap, river);
+    }
+
+    return { levelMap: this.levelMap, typeMap: this.typeMap };
+  }
+
+  /**
+   * Cartes calculées, sous forme clonable (envoi depuis un Web Worker)
+   */
+  exportState() {
+    const { resolution, cellSize, seaLevel, levelMap, typeMap, rivers } = this;
+    return { resolution, cellSize, seaLevel, levelMap, typeMap, rivers };
+  }
+
+  /**
+   * Reprend des cartes produites par exportState (sans recalcul)
+   */
+  importState(state) {
+    Object.assign(this, state);
+    return this;
+  }
+
+  /**
+   * Niveau de la mer : le quantile `seaCoverage` des hauteurs
+   */
+  computeSeaLevel(heightMap) {
+    const sorted = Float32Array.from(heightMap).sort();
+    const index = Math.floor(this.config.seaCoverage * (sorted.length - 1));
+    return sorted[index];
+  }
+
+  /**
+   * Remplissage des dépressions par "priority flood" (Barnes et al.).
+   *
+   * On part des bords de la carte et on avance toujours par la cellule la plus
+   * basse : une cellule plus basse que celle d'où l'on vient est forcément
+   * dans une cuvette, on la remonte à ce niveau.
+   *
+   * Renvoie deux surfaces :
+   *  - `filled`   : niveau des lacs (plat),
+   *  - `drainage` : même chose + une pente infime, pour que l'eau ait
+   *    toujours une direction de descente (utile au tracé des rivières).
+   */
+  fillDepressions(heightMap) {
+    const res = this.resolution;
+    const filled = Float32Array.from(heightMap);
+    const drainage = Float32Array.from(heightMap);
+    const closed = new Uint8Array(res * res);
+    const heap = new MinHeap();
+    const epsilon = 1e-3;
+
+    for (let y = 0; y < res; y++) {
+      for (let x = 0; x < res; x++) {
+        if (x === 0 || y === 0 || x === res - 1 || y === res - 1) {
+          const idx = y * res + x;
+          closed[idx] = 1;
+          heap.push(idx, drainage[idx]);
+        }
+      }
+    }
+
+    while (heap.size > 0) {
+      const idx = heap.pop();
+      const x = idx % res;
+      const y = (idx - x) / res;
+
+      for (const [dx, dy] of NEIGHBORS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= res || ny < 0 || ny >= res) continue;
+
+        const nIdx = ny * res + nx;
+        if (closed[nIdx]) continue;
+        closed[nIdx] = 1;
+
+        filled[nIdx] = Math.max(heightMap[nIdx], filled[idx]);
+        drainage[nIdx] = Math.max(heightMap[nIdx], drainage[idx] + epsilon);
+        heap.push(nIdx, drainage[nIdx]);
+      }
+    }
+
+    return { filled, drainage };
+  }
+
+  /**
+   * Trace les rivières depuis des sources en montagne en suivant la plus forte
+   * descente sur la surface de drainage, jusqu'à rejoindre une autre eau.
+   */
+  traceRivers(heightMap, biomeMap, drainage) {
+    const { resolution: res, cellSize } = this;
+    const { riverCount, riverMinLength, riverSourceSpacing } = this.config;
+
+    // Candidats : cellules montagneuses sèches, les plus hautes d'abord
+    const candidates = [];
+    for (let i = 0; i < heightMap.length; i++) {
+      if (biomeMap[i] < 0.3 && this.typeMap[i] === WaterType.NONE) {
+        candidates.push(i);
+      }
+    }
+    candidates.sort((a, b) => heightMap[b] - heightMap[a]);
+
+    // On tire les sources dans le tiers le plus haut pour varier les tracés
+    const pool = candidates.slice(0, Math.max(1, Math.floor(candidates.length / 3)));
+    const sources = [];
+    const maxAttempts = riverCount * 20;
+    for (let attempt = 0; attempt < maxAttempts && sources.length < riverCount && pool.length > 0; attempt++) {
+      const idx = this.rng.pick(pool);
+      const x = idx % res;
+      const y = (idx - x) / res;
+      const farEnough = sources.every(s => {
+        const sx = s % res;
+        const sy = (s - sx) / res;
+        return Math.hypot(sx - x, sy - y) * cellSize >= riverSourceSpacing;
+      });
+      if (farEnough) sources.push(idx);
+    }
+
+    const rivers = [];
+    const visited = new Uint8Array(res * res);
+
+    for (const source of sources) {
+      const path = [];
+      let current = source;
+
+      for (;;) {
+        path.push(current);
+        visited[current] = 1;
+        if (this.typeMap[current] !== WaterType.NONE) break; // Rejoint mer / lac / rivière
+
+        const x = current % res;
+        const y = (current - x) / res;
+        if (x === 0 || y === 0 || x === res - 1 || y === res - 1) break;
+
+        // Plus forte descente (la surface de drainage garantit qu'il y en a une)
+        let next = -1;
+        let lowest = drainage[current];
+        for (const [dx, dy] of NEIGHBORS) {
+          const nIdx = (y + dy) * res + (x + dx);
+          if (drainage[nIdx] < lowest) {
+            lowest = drainage[nIdx];
+            next = nIdx;
+          }
+        }
+        if (next === -1 || visited[next]) {
+          if (next !== -1) path.push(next);
+          break;
+        }
+        current = next;
+      }
+
+      if (path.length * cellSize >= riverMinLength) {
+        rivers.push(path);
+        for (const idx of path) {
+          if (this.typeMap[idx] === WaterType.NONE) this.typeMap[idx] = WaterType.RIVER;
+        }
+      }
+    }
+
+    return rivers;
+  }
+
+  /**
+   * Creuse le lit d'une rivière et fixe le niveau de l'eau le long du tracé.
+   * Le niveau suit la hauteur d'origine du lit, donc il ne remonte jamais.
+   * Sans `carveRivers`, le relief n'est pas touché : la surface est posée
+   * `riverDepth` au-dessus du lit et noie les cellules plus basses.
+   */
+  carveRiver(heightMap, path) {
+    const res = this.resolution;
+    const { riverDepth, carveRivers } = this.config;
+    const riverWidth = Math.round(this.config.riverWidth / this.cellSize); // En cellules
+    let level = Infinity;
+
+    for (const idx of path) {
+      const type = this.typeMap[idx];
+      if (type === WaterType.SEA || type === WaterType.LAKE) break;
+
+      level = Math.min(level, heightMap[idx]);
+      const x = idx % res;
+      const y = (idx - x) / res;
+
+      for (let dy = -riverWidth; dy <= riverWidth; dy++) {
+        for (let dx = -riverWidth; dx <= riverWidth; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= res || ny < 0 || ny >= res) continue;
+
+          const nIdx = ny * res + nx;
+          const nType = this.typeMap[nIdx];
+          if (nType === WaterType.SEA || nType === WaterType.LAKE) continue;
+
+          let surface = level + riverDepth;
+          if (carveRivers) {
+            // Lit en "V" : plus profond au centre qu'aux berges
+            const falloff = 1 - Math.hypot(dx, dy) / (riverWidth + 1);
+            heightMap[nIdx] = Math.min(heightMap[nIdx], level - riverDepth * falloff);
+            surface = level;
+          }
+
+          if (heightMap[nIdx] < surface) {
+            this.typeMap[nIdx] = WaterType.RIVER;
+            this.levelMap[nIdx] = Number.isNaN(this.levelMap[nIdx])
+              ? surface
+              : Math.min(this.levelMap[nIdx], surface);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Crée le mesh translucide de la surface de l'eau.
+   *
+   * Même grille que le terrain ; on ne garde que les quads qui touchent au
+   * moins une cellule mouillée. Les vertices secs sont posés juste sous le sol
+   * pour que la berge suive le relief.
+   */
+  createMesh(heightMap, size) {
+    const res = this.resolution;
+    const geometry = new THREE.PlaneGeometry(size, size, res - 1, res - 1);
+    const positions = geometry.attributes.position;
+
+    for (let i = 0; i < positions.count; i++) {
+      const level = this.levelMap[i];
+      positions.setZ(i, Number.isNaN(level) ? heightMap[i] - 0.05 : level);
+    }
+
+    const indices = [];
+    for (let y = 0; y < res - 1; y++) {
+      for (let x = 0; x < res - 1; x++) {
+        const a = y * res + x;
+        const b = a + 1;
+        const c = a + res;
+        const d = c + 1;
+        if (this.typeMap[a] || this.typeMap[b] || this.typeMap[c] || this.typeMap[d]) {
+          indices.push(a, c, b, b, c, d);
+        }
+      }
+    }
+
+    if (indices.length === 0) {
+      geometry.dispose();
+      return null;
+    }
+
+    geometry.setIndex(indices);
+    geometry.rotateX(-Math.PI / 2);
+    geometry.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(geometry, this.createMaterial());
+    mesh.receiveShadow = true;
+    mesh.renderOrder = 1; // Après le terrain pour la transparence
+    return mesh;
+  }
+
+  /**
+   * Matériau translucide de la surface (aussi utilisé par la mer des tuiles
+   * hors de la grille, voir TerrainChunks)
+   */
+  createMaterial() {
+    return new THREE.MeshStandardMaterial({
+      color: this.config.color,
+      transparent: true,
+      opacity: this.config.opacity,
+      roughness: 0.15,
+      metalness: 0.1,
+      depthWrite: false,
+    });
+  }
+}
+
+export default TerrainWater;
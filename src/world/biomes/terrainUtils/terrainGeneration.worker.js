@@ -0,0 +1,35 @@
+/**
+ * Web Worker de génération du terrain (lancé par TerrainWorker.js).
+ *
+ * Reçoit `{ config }` (celle de TerrainGenerator), exécute toute la chaîne
+ * de génération et renvoie :
+ *  - `{ type: 'progress', stage, step, steps }` avant chaque étape ;
+ *  - `{ type: 'done', state }` à la fin (cf. TerrainGenerator.exportState),
+ *    les typed arrays étant transférés plutôt que copiés ;
+ *  - `{ type: 'error', message }` si la génération échoue.
+ */
+import { TerrainGenerator } from './TerrainGenerator.js';
+
+/**
+ * Buffers des typed arrays contenus dans l'état (récursivement)
+ */
+function collectTransferables(value, buffers = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (value && typeof value === 'object') {
+    for (const child of Object.values(value)) collectTransferables(child, buffers);
+  }
+  return [...buffers];
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    const generator = new TerrainGenerator(data.config);
+    generator.generateTerrainData(progress => self.postMessage({ type: 'progress', ...progress }));
+
+    const state = generator.exportState();
+    self.postMessage({ type: 'done', state }, collectTransferables(state));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
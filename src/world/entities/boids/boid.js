@@ -6,10 +6,13 @@
  * (forces de séparation / alignement / cohésion) est calculé dans `BoidsSystem`.
  */
 import * as THREE from "three";
+import { worldRandom } from "../../../utils/random.js";
+import { getBiomeDefinition } from "../../biomes/biomeRegistry.js";
 
 export class Creature {
   constructor(terrainGenerator, options = {}) {
     this.terrainGenerator = terrainGenerator;
+    this.rng = options.rng || worldRandom.stream("boids");
 
     // Paramètres configurables avec des valeurs par défaut
     this.maxSpeed = options.maxSpeed || 0.1;
@@ -29,9 +32,9 @@ export class Creature {
 
     // Vitesse initiale aléatoire (principalement horizontale)
     this.velocity = new THREE.Vector3(
-      (Math.random() - 0.5) * 0.05,
+      (this.rng.next() - 0.5) * 0.05,
       0,
-      (Math.random() - 0.5) * 0.05
+      (this.rng.next() - 0.5) * 0.05
     );
 
     // Accélération
@@ -40,8 +43,12 @@ export class Creature {
     // Hauteur au-dessus du sol
     this.heightOffset = options.heightOffset || 3.0; // AUGMENTÉ pour être bien visible
 
+    // Pente (radians) à partir de laquelle la luciole fait demi-tour vers la vallée
+    this.maxSlope = options.maxSlope || 0.6;
+    this.terrainNormal = new THREE.Vector3();
+
     // Couleur aléatoire dans les tons chauds/lumineux
-    const hue = options.hue !== undefined ? options.hue : 0.1 + Math.random() * 0.15;
+    const hue = options.hue !== undefined ? options.hue : 0.1 + this.rng.next() * 0.15;
     this.color = new THREE.Color().setHSL(hue, 1.0, 0.6);
 
     // Création de la sphère pour représenter le Creature (luciole)
@@ -55,7 +62,7 @@ export class Creature {
     );
 
     // Stocke le temps initial pour le scintillement
-    this.timeOffset = Math.random() * 1000;
+    this.timeOffset = this.rng.next() * 1000;
     console.log("✨ Boid créé à :", this.mesh.position.toArray());
   }
 
@@ -79,8 +86,8 @@ export class Creature {
    * Obtient une position aléatoire dans les plaines
    */
 getRandomPlainsPosition() {
-  const x = (Math.random() - 0.5) * this.bounds * 2;
-  const z = (Math.random() - 0.5) * this.bounds * 2;
+  const x = (this.rng.next() - 0.5) * this.bounds * 2;
+  const z = (this.rng.next() - 0.5) * this.bounds * 2;
   const y = 10; // HAUTEUR FIXE TEMPORAIRE
   
   console.log(`Position fixe: x=${x.toFixed(1)}, y=${y}, z=${z.toFixed(1)}`);
@@ -163,7 +170,8 @@ getRandomPlainsPosition() {
    * Ajuste la hauteur du Creature pour qu'il suive le terrain
    */
   adjustToTerrain() {
-    let terrainHeight = this.terrainGenerator.getHeightAt(
+    // Surface praticable : au-dessus d'un lac, les lucioles rasent l'eau
+    let terrainHeight = this.terrainGenerator.getSurfaceHeightAt(
       this.position.x,
       this.position.z
     );
@@ -212,20 +220,25 @@ getRandomPlainsPosition() {
   }
 
   /**
-   * Évite les zones de montagnes
+   * Évite les pentes trop raides (en glissant vers la descente) et les
+   * biomes où le registre interdit les lucioles (alpin, toundra, désert...)
    */
   avoidMountains() {
-    const biome = this.terrainGenerator.getBiomeAt(
-      this.position.x,
-      this.position.z
-    );
+    const { x, z } = this.position;
+    const slope = this.terrainGenerator.getSlopeAt(x, z);
+
+    if (slope > this.maxSlope) {
+      // La normale penche vers l'aval : sa projection horizontale suffit
+      const normal = this.terrainGenerator.getNormalAt(x, z, this.terrainNormal);
+      const downhill = new THREE.Vector3(normal.x, 0, normal.z);
+      const strength = Math.min(2, slope / this.maxSlope);
+      this.applyForce(downhill.setLength(this.maxForce * 1.5 * strength));
+      return;
+    }
 
-    if (biome === "mountain" || biome === "transition") {
-      const awayFromCenter = new THREE.Vector3(
-        this.position.x,
-        0,
-        this.position.z
-      )
+    const biome = this.terrainGenerator.getBiomeAt(x, z);
+    if (!getBiomeDefinition(biome).fireflies) {
+      const awayFromCenter = new THREE.Vector3(x, 0, z)
         .normalize()
         .multiplyScalar(this.maxForce * 1.5);
 
@@ -3,16 +3,20 @@
  * les 3 grandes règles classiques : séparation, alignement, cohésion.
  *
  * Ici chaque boid est une petite créature lumineuse (classe `Creature` locale),
- * et ce système s'occupe juste de lui appliquer les forces de groupe.
+ * et ce système s'occupe juste de lui appliquer les forces de groupe. Avec
+ * `options.wind`, les lucioles dérivent aussi avec le vent (le même champ de
+ * rafales que celui qui fait ployer la végétation).
  */
 import * as THREE from 'three';
 import { Creature } from './boid.js';
+import { worldRandom } from '../../../utils/random.js';
 
 export class BoidsSystem {
   constructor(scene, terrainGenerator, count = 1000, options = {}) {
     this.scene = scene;
     this.terrainGenerator = terrainGenerator;
     this.creatures = [];
+    this.rng = options.rng || worldRandom.stream('boids');
     this.worldSize = options.worldSize || 400; // Doit correspondre au terrain
     
     this.separationDistance = options.separationDistance || 3.0;
@@ -22,6 +26,9 @@ export class BoidsSystem {
     this.alignmentWeight = options.alignmentWeight || 1.0;
     this.cohesionWeight = options.cohesionWeight || 1.0;
     this.containmentWeight = options.containmentWeight || 3.0; // Force pour rester sur la map
+    this.wind = options.wind || null;
+    this.windWeight = options.windWeight || 0.5; // Dérive par unité de vent, en fraction de maxForce
+    this.windForce = new THREE.Vector3();
     
     this.creatureOptions = {
       maxSpeed: options.maxSpeed || 0.30,
@@ -37,7 +44,7 @@ export class BoidsSystem {
 
   initCreatures(count) {
     for (let i = 0; i < count; i++) {
-      const creature = new Creature(this.terrainGenerator, { ...this.creatureOptions, hue: 0.1 + Math.random() * 0.15 });
+      const creature = new Creature(this.terrainGenerator, { ...this.creatureOptions, rng: this.rng, hue: this.rng.range(0.1, 0.25) });
       this.creatures.push(creature);
       this.scene.add(creature.mesh);
       this.scene.add(creature.light);
@@ -58,12 +65,21 @@ export class BoidsSystem {
       creature.applyForce(ali);
       creature.applyForce(coh);
       creature.applyForce(cont);
+      if (this.wind) creature.applyForce(this.drift(creature));
       
       creature.update(deltaTime);
     });
     this.removeDeadCreatures();
   }
 
+  /**
+   * Poussée du vent à la position du boid
+   */
+  drift(creature) {
+    const { x, z } = creature.position;
+    return this.wind.getVelocityAt(x, z, this.windForce).multiplyScalar(creature.maxForce * this.windWeight);
+  }
+
   /**
    * Empêche les boids de sortir de la worldSize
    */
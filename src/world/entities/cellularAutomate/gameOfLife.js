@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { LSystem, VegetationPresets } from '../systems/lsystem/lsystem.js';
+import { worldRandom } from '../../../utils/random.js';
+import { biomeAllows } from '../../biomes/biomeRegistry.js';
 
 /**
  * États possibles d'une cellule de végétation
@@ -19,6 +21,7 @@ export class VegetationCellularAutomata {
   constructor(scene, terrainGenerator, config = {}) {
     this.scene = scene;
     this.terrainGenerator = terrainGenerator;
+    this.rng = config.rng || worldRandom.stream('automata');
     
     // Configuration
     this.config = {
@@ -72,13 +75,13 @@ export class VegetationCellularAutomata {
         const worldX = (x / gridSize) * size - offset;
         const worldZ = (z / gridSize) * size - offset;
         
-        // Vérifier si on est dans les plaines
+        // Vérifier si le biome est fertile (des fleurs peuvent y pousser)
         const biome = this.terrainGenerator.getBiomeAt(worldX, worldZ);
-        const isPlains = biome === 'plains';
+        const isFertile = biomeAllows(biome, 'flowers');
         
-        // État initial : quelques fleurs aléatoires dans les plaines
+        // État initial : quelques fleurs aléatoires dans les zones fertiles
         let state = CellState.EMPTY;
-        if (isPlains && Math.random() < this.config.initialDensity) {
+        if (isFertile && this.rng.next() < this.config.initialDensity) {
           state = CellState.FLOWER;
         }
         
@@ -88,7 +91,7 @@ export class VegetationCellularAutomata {
           age: 0,                    // Âge en générations
           worldX: worldX,
           worldZ: worldZ,
-          isPlains: isPlains,        // Cache du biome
+          isFertile: isFertile,      // Cache du biome
         };
         
         // Créer le mesh initial
@@ -163,10 +166,10 @@ export class VegetationCellularAutomata {
       newMesh.position.set(cell.worldX, height, cell.worldZ);
       
       // Rotation aléatoire pour varier
-      newMesh.rotation.y = Math.random() * Math.PI * 2;
+      newMesh.rotation.y = this.rng.next() * Math.PI * 2;
       
       // Variation d'échelle légère
-      const scaleVariation = 0.9 + Math.random() * 0.2;
+      const scaleVariation = 0.9 + this.rng.next() * 0.2;
       newMesh.scale.multiplyScalar(scaleVariation);
       
       this.scene.add(newMesh);
@@ -224,8 +227,8 @@ export class VegetationCellularAutomata {
       for (let z = 0; z < gridSize; z++) {
         const cell = this.grid[x][z];
         
-        // Ignorer les cellules hors des plaines
-        if (!cell.isPlains) {
+        // Ignorer les cellules hors des zones fertiles
+        if (!cell.isFertile) {
           newGrid[x][z].state = CellState.EMPTY;
           continue;
         }
@@ -378,6 +381,31 @@ export class VegetationCellularAutomata {
     }
   }
 
+  /**
+   * Le terrain a été modifié dans un rectangle (sculpture) : on revoit la
+   * fertilité des cellules de la zone, on vide celles qui ne le sont plus et
+   * on recale les autres sur le sol.
+   */
+  onTerrainChanged({ minX, minZ, maxX, maxZ }) {
+    for (let x = 0; x < this.config.gridSize; x++) {
+      for (let z = 0; z < this.config.gridSize; z++) {
+        const cell = this.grid[x][z];
+        if (cell.worldX < minX || cell.worldX > maxX || cell.worldZ < minZ || cell.worldZ > maxZ) continue;
+
+        const biome = this.terrainGenerator.getBiomeAt(cell.worldX, cell.worldZ);
+        cell.isFertile = biomeAllows(biome, 'flowers');
+
+        if (!cell.isFertile && cell.state !== CellState.EMPTY) {
+          cell.state = CellState.EMPTY;
+          cell.age = 0;
+          this.updateCellMesh(x, z);
+        } else if (this.meshes[x][z]) {
+          this.meshes[x][z].position.y = this.terrainGenerator.getHeightAt(cell.worldX, cell.worldZ);
+        }
+      }
+    }
+  }
+
   /**
    * Nettoie les ressources
    */
@@ -10,6 +10,8 @@
 import * as THREE from 'three';
 import Genetic from './genetique.js';
 import { createCreatureFromGenes } from './creature.js';
+import { worldRandom } from '../../../utils/random.js';
+import { getBiomeDefinition } from '../../biomes/biomeRegistry.js';
 
 export class CreatureSystem {
   constructor(scene, terrainGenerator, config = {}) {
@@ -21,6 +23,8 @@ export class CreatureSystem {
       worldSize: 200,
       foodCount: 40
     }, config);
+    this.rng = this.config.rng || worldRandom.stream('creatures');
+    this.terrainNormal = new THREE.Vector3();
 
     this.creatures = [];
     this.foods = [];
@@ -49,7 +53,7 @@ export class CreatureSystem {
     const geom = new THREE.SphereGeometry(0.4, 8, 8);
     const mat = new THREE.MeshStandardMaterial({ color: 0xff3300, emissive: 0x551100 });
     for (let i = 0; i < count; i++) {
-      const pos = this.getRandomPositionOnTerrain();
+      const pos = this.getRandomFoodPosition();
       const mesh = new THREE.Mesh(geom, mat);
       mesh.position.copy(pos).y += 0.5;
       this.foodGroup.add(mesh);
@@ -87,7 +91,10 @@ export class CreatureSystem {
       const target = this.getNearestFood(c.logic.x, c.logic.y);
       logic.distanceFood = target ? target.dist : 100;
 
-      logic.update(dt * 5);
+      // Dans l'eau, les blobs nagent : ils avancent deux fois moins vite.
+      // Sur la terre ferme, les montées les freinent.
+      const inWater = this.terrainGenerator.getWaterDepthAt(logic.x, logic.y) > 0.3;
+      logic.update(dt * 5 * (inWater ? 0.5 : this.getSlopeFactor(logic)));
 
 
       // --- CONSTRAINT: BLOCAGE AUX BORDURES ---
@@ -96,10 +103,13 @@ export class CreatureSystem {
 
       if (target && target.dist < 1.5) this.eatFood(target.index, c);
 
-      const groundHeight = this.terrainGenerator.getHeightAt(logic.x, logic.y);
-      // Légère surélévation des créatures par rapport au sol
-      const hoverOffset = 3;
-      mesh.position.set(logic.x, groundHeight + hoverOffset, logic.y);
+      // Sol ou surface de l'eau : les blobs flottent sur les lacs et rivières.
+      // Le corps repose sur le sol : son centre est à une demi-hauteur au-dessus,
+      // un peu plus sur une pente (1 / cos(pente), comme une sphère sur un plan incliné).
+      const groundHeight = this.terrainGenerator.getSurfaceHeightAt(logic.x, logic.y);
+      const restHeight = mesh.userData.restHeight || 1;
+      const slope = this.terrainGenerator.getSlopeAt(logic.x, logic.y);
+      mesh.position.set(logic.x, groundHeight + restHeight / Math.cos(slope), logic.y);
       mesh.rotation.y = -logic.angle;
 
       if (logic.energy <= 0) mesh.visible = false;
@@ -122,6 +132,16 @@ export class CreatureSystem {
     });
   }
 
+  /**
+   * Ralentissement en montée : pente du terrain dans la direction du blob
+   * (0 en descente, donc pas de pénalité)
+   */
+  getSlopeFactor(logic) {
+    const normal = this.terrainGenerator.getNormalAt(logic.x, logic.y, this.terrainNormal);
+    const grade = -(normal.x * Math.cos(logic.angle) + normal.z * Math.sin(logic.angle)) / normal.y;
+    return 1 / (1 + Math.max(0, grade) * 2);
+  }
+
   getNearestFood(x, z) {
     let bestDist = Infinity; let bestIdx = -1;
     for (let i = 0; i < this.foods.length; i++) {
@@ -138,12 +158,32 @@ export class CreatureSystem {
     creatureObj.logic.energy += 30;
     creatureObj.fitness += 1;
     this.genetic.individuals[creatureObj.index].fitness = creatureObj.fitness;
-    const newPos = this.getRandomPositionOnTerrain();
+    const newPos = this.getRandomFoodPosition();
     f.x = newPos.x; f.z = newPos.z;
     f.mesh.position.set(newPos.x, newPos.y + 0.5, newPos.z);
     f.mesh.visible = true; f.active = true;
   }
 
+  /**
+   * Le terrain a été modifié dans un rectangle (sculpture). La nourriture se
+   * recale sur le sol, ou est déplacée si le biome n'en produit plus ; les
+   * blobs, eux, se recalent déjà à chaque frame dans update().
+   */
+  onTerrainChanged({ minX, minZ, maxX, maxZ }) {
+    for (const food of this.foods) {
+      if (food.x < minX || food.x > maxX || food.z < minZ || food.z > maxZ) continue;
+
+      const def = getBiomeDefinition(this.terrainGenerator.getBiomeAt(food.x, food.z));
+      if (def.walkable && def.food.density > 0) {
+        food.mesh.position.y = this.terrainGenerator.getSurfaceHeightAt(food.x, food.z) + 0.5;
+      } else {
+        const pos = this.getRandomFoodPosition();
+        food.x = pos.x; food.z = pos.z;
+        food.mesh.position.set(pos.x, pos.y + 0.5, pos.z);
+      }
+    }
+  }
+
   nextGeneration() {
     const selection = new Set();
     this.creatures.forEach(c => { if (c.fitness > 0) selection.add(c.index); });
@@ -151,16 +191,32 @@ export class CreatureSystem {
     this.createGeneration();
   }
 
-  getRandomPositionOnTerrain() {
+  /**
+   * Position aléatoire dans un biome praticable (voir le registre des biomes)
+   * et sur une pente douce. `accept` permet d'ajouter un critère sur la
+   * définition du biome.
+   */
+  getRandomPositionOnTerrain(accept = () => true, maxAttempts = 15) {
     const range = this.config.worldSize / 2 - 10;
-    let x, z, y, biome, attempt = 0;
+    let x, z, y, def, attempt = 0;
     do {
-      x = (Math.random() - 0.5) * 2 * range;
-      z = (Math.random() - 0.5) * 2 * range;
-      biome = this.terrainGenerator.getBiomeAt(x, z);
-      y = this.terrainGenerator.getHeightAt(x, z);
+      x = (this.rng.next() - 0.5) * 2 * range;
+      z = (this.rng.next() - 0.5) * 2 * range;
+      def = getBiomeDefinition(this.terrainGenerator.getBiomeAt(x, z));
+      y = this.terrainGenerator.getSurfaceHeightAt(x, z);
       attempt++;
-    } while (biome === 'mountain' && attempt < 15);
+    } while (
+      !(def.walkable && this.terrainGenerator.getSlopeAt(x, z) < 0.6 && accept(def)) &&
+      attempt < maxAttempts
+    );
     return new THREE.Vector3(x, y, z);
   }
+
+  /**
+   * Position de nourriture : la densité `food` du biome sert de probabilité
+   * d'acceptation, donc il y a plus à manger en forêt que dans le désert.
+   */
+  getRandomFoodPosition() {
+    return this.getRandomPositionOnTerrain(def => this.rng.next() < def.food.density, 30);
+  }
 }
\ No newline at end of file
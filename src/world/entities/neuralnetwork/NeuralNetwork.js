@@ -5,11 +5,14 @@
  * d'une grosse librairie de ML. Tout est codé à la main : matrices de poids,
  * produit matriciel, fonction d'activation, etc.
  */
+import { worldRandom } from '../../../utils/random.js';
+
 // Classe représentant un réseau de neurones simple (feedforward 2 couches)
 export class NeuralNetwork {
 
     // constructeur : définit le nombre de neurones par couche et initialise les poids
-    constructor(nbInput, nbHidden, nbOutput, weights = null) {
+    // rng : flux aléatoire utilisé pour les poids initiaux (seedé par le monde)
+    constructor(nbInput, nbHidden, nbOutput, weights = null, rng = worldRandom.stream('brains')) {
         this.nbInput = nbInput + 1; // +1 pour le biais
         this.nbHidden = nbHidden;
         this.nbOutput = nbOutput;
@@ -22,12 +25,12 @@ export class NeuralNetwork {
             // Sinon, on initialise aléatoirement les poids
             // w1 : matrice nbInput x nbHidden
             this.w1 = Array.from({ length: this.nbInput }, () =>
-                Array.from({ length: this.nbHidden }, () => Math.random() * 4 - 2) // valeurs entre -2 et 2
+                Array.from({ length: this.nbHidden }, () => rng.next() * 4 - 2) // valeurs entre -2 et 2
             );
 
             // w2 : matrice nbHidden x nbOutput
             this.w2 = Array.from({ length: this.nbHidden }, () =>
-                Array.from({ length: this.nbOutput }, () => Math.random() * 4 - 2)
+                Array.from({ length: this.nbOutput }, () => rng.next() * 4 - 2)
             );
         }
     }
@@ -13,6 +13,7 @@
  */
 import * as THREE from 'three';
 import { NeuralNetwork } from './NeuralNetwork.js';
+import { worldRandom } from '../../../utils/random.js';
 
 
 // petite fonction pratique pour faire un lerp (interp linéaire)
@@ -22,9 +23,9 @@ const lerp = (a,b,t) => a + (b-a)*t;
 // ----------------------------
 //  GÈNES PAR DÉFAUT
 // ----------------------------
-export function genesDefault() {
+export function genesDefault(rng = worldRandom.stream('genetics')) {
   const g = [];
-  for(let i=0;i<10;i++) g.push(Math.random());
+  for(let i=0;i<10;i++) g.push(rng.next());
   return g;
 }
 
@@ -119,6 +120,9 @@ buildMeshFromGenes(genes) {
     const nucleusCount = Math.floor(lerp(1, 6, genes[4])); // Organes internes
     const tentacleLen = lerp(0, 1.5, genes[5]);      // Longueur des tentacules
 
+    // Flux dédié à l'apparence, pour que les organes internes soient reproductibles
+    const rng = worldRandom.stream('blobs');
+
     const mainColor = new THREE.Color().setHSL(hue, 1.0, 0.5);
     const nucleusColor = new THREE.Color().setHSL((hue + 0.5) % 1, 0.8, 0.5); // Couleur complémentaire
 
@@ -141,6 +145,7 @@ buildMeshFromGenes(genes) {
 
     const body = new THREE.Mesh(bodyGeo, bodyMat);
     body.scale.set(1, squish, 1); // Déforme la sphère
+    group.userData.restHeight = size * squish; // Demi-hauteur du corps, pour le poser au sol
     body.castShadow = true;
     group.add(body);
 
@@ -157,12 +162,12 @@ buildMeshFromGenes(genes) {
         const nuc = new THREE.Mesh(nucleusGeo, nucleusMat);
         // Position aléatoire à l'intérieur du corps
         nuc.position.set(
-            (Math.random()-0.5) * size * 0.8,
-            (Math.random()-0.5) * size * 0.8 * squish,
-            (Math.random()-0.5) * size * 0.8
+            (rng.next()-0.5) * size * 0.8,
+            (rng.next()-0.5) * size * 0.8 * squish,
+            (rng.next()-0.5) * size * 0.8
         );
         // Rotation aléatoire pour varier
-        nuc.rotation.set(Math.random(), Math.random(), Math.random());
+        nuc.rotation.set(rng.next(), rng.next(), rng.next());
         group.add(nuc);
     }
 
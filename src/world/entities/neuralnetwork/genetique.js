@@ -8,9 +8,15 @@
  *  - combiner deux parents (crossover),
  *  - muter les gènes,
  *  - produire la génération suivante à partir d'un ensemble d'indices "sélectionnés".
+ *
+ * Les tirages passent par un flux `RandomGenerator` (par défaut le flux "genetics"
+ * du monde) pour qu'une même graine rejoue exactement la même évolution.
  */
+import { worldRandom } from '../../../utils/random.js';
+
 export default class Genetic {
-  constructor(populationSize = 24, geneCount = 10) {
+  constructor(populationSize = 24, geneCount = 10, rng = worldRandom.stream('genetics')) {
+    this.rng = rng;                       // flux aléatoire seedé
     this.populationSize = populationSize; // taille de la population
     this.geneCount = geneCount;           // nombre de gènes par individu
     this.generation = 0;                  // compteur de génération
@@ -26,7 +32,7 @@ export default class Genetic {
     this.individuals = [];
     for (let i=0;i<this.populationSize;i++) {
       const genes = [];
-      for (let g=0; g < this.geneCount; g++) genes.push(Math.random()); // chaque gène = un nombre [0..1]
+      for (let g=0; g < this.geneCount; g++) genes.push(this.rng.next()); // chaque gène = un nombre [0..1]
       this.individuals.push({ genes }); // on stocke seulement les gènes pour l'instant
     }
   }
@@ -43,7 +49,7 @@ export default class Genetic {
   // on prend 2 parents et on coupe leurs gènes à un point aléatoire
   // l’enfant prend les gènes de A jusqu’au cut, puis ceux de B après
   crossover(aGenes, bGenes) {
-    const cut = Math.floor(Math.random() * this.geneCount);
+    const cut = Math.floor(this.rng.next() * this.geneCount);
     const child = [];
     for (let i=0;i<this.geneCount;i++) {
       child.push(i < cut ? aGenes[i] : bGenes[i]);
@@ -58,8 +64,8 @@ export default class Genetic {
   mutate(genes, rate = 0.08, amount = 0.12) {
     const out = genes.slice(); // clone des gènes
     for (let i=0;i<out.length;i++) {
-      if (Math.random() < rate) { // probabilité de mutation
-        const delta = (Math.random() - 0.5) * 2 * amount; // variation dans [-amount, +amount]
+      if (this.rng.next() < rate) { // probabilité de mutation
+        const delta = (this.rng.next() - 0.5) * 2 * amount; // variation dans [-amount, +amount]
         out[i] = Math.min(1, Math.max(0, out[i] + delta)); // clamp entre 0 et 1
       }
     }
@@ -76,20 +82,20 @@ export default class Genetic {
 
     // si personne n’a été choisi, on prend 3 parents au hasard
     if (sel.length === 0) {
-      for (let i=0;i<3;i++) sel.push(Math.floor(Math.random() * this.individuals.length));
+      for (let i=0;i<3;i++) sel.push(Math.floor(this.rng.next() * this.individuals.length));
     }
 
     // on récupère les gènes des parents sélectionnés
     const pool = sel.map(i => this.individuals[i].genes);
 
     // élitisme : on copie un parent directement pour garder de la variété
-    const elite = pool[Math.floor(Math.random()*pool.length)];
+    const elite = this.rng.pick(pool);
     newPop.push(elite.slice());
 
     // on remplit le reste de la population avec crossover + mutation
     while (newPop.length < this.populationSize) {
-      const A = pool[Math.floor(Math.random()*pool.length)];
-      const B = pool[Math.floor(Math.random()*pool.length)];
+      const A = this.rng.pick(pool);
+      const B = this.rng.pick(pool);
       let child = this.crossover(A,B);
       child = this.mutate(child, 0.08, 0.12);
       newPop.push(child);
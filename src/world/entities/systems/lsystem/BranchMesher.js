@@ -0,0 +1,291 @@
+/**
+ * Maillage des branches et feuilles d'un L-system (cylindres généralisés).
+ *
+ * La tortue ne fait que décrire un chemin : une suite de segments F, avec
+ * un rayon à chaque nœud. Le mesher en fait des tubes continus :
+ *
+ * - deux segments consécutifs d'une même branche partagent leur anneau de
+ *   sommets, réorienté sur la bissectrice des deux directions au coude ;
+ * - le repère des anneaux est transporté le long du chemin par la plus
+ *   petite rotation possible (repère à rotation minimale) : il ne dégénère
+ *   pas quand la branche est verticale et le tube ne se vrille pas ;
+ * - chaque branche est fermée par un disque à ses deux bouts ;
+ * - UV : u fait le tour du tube, v suit la longueur (texture d'écorce).
+ *
+ * Les feuilles sont des quads double face (deux faces de sommets
+ * distincts, pour un éclairage correct des deux côtés), avec UV.
+ *
+ * Chaque sommet porte aussi des poids de vent (attribut `wind`, lu par
+ * VegetationMaterial) : x = flexion selon la hauteur dans la plante,
+ * y = frémissement selon la profondeur de branche (feuilles au maximum).
+ */
+import * as THREE from 'three';
+
+/**
+ * Paramètres par défaut (surchargeables via le constructeur)
+ */
+export const BranchMesherDefaults = {
+  radialSegments: 6,  // Côtés des tubes
+  barkRepeat: 1,      // Répétitions de la texture d'écorce par unité de longueur (v)
+  leafWidth: 0.4,     // Largeur d'une feuille / sa longueur
+  flexibility: 0.04,  // Déplacement du sommet de la plante par le vent, en fraction de sa hauteur
+};
+
+const scratchQuaternion = new THREE.Quaternion();
+const scratchVector = new THREE.Vector3();
+
+/**
+ * Accumule tubes et feuilles puis produit une BufferGeometry
+ */
+export class BranchMesher {
+  constructor(config = {}) {
+    this.config = { ...BranchMesherDefaults, ...config };
+    this.positions = [];
+    this.normals = [];
+    this.uvs = [];
+    this.colors = [];
+    this.depths = []; // Profondeur de branche de chaque sommet (0 = tronc)
+    this.indices = [];
+    this.tips = []; // Anneaux de bout de segment (bouchés s'ils ne sont pas prolongés)
+  }
+
+  get vertexCount() {
+    return this.positions.length / 3;
+  }
+
+  /**
+   * Ajoute un segment de `start` à `end`, du rayon `baseRadius` à
+   * `topRadius`. `ring` est l'anneau du haut du segment précédent de la
+   * même branche (null pour commencer une branche) : le segment en repart
+   * et garde son rayon, l'appelant enchaîne donc les rayons (voir
+   * LSystem.createGeometry). `depth` : nombre de branches imbriquées.
+   * Renvoie l'anneau du haut, à repasser au segment suivant.
+   */
+  segment(ring, start, end, right, baseRadius, topRadius, color, depth = 0) {
+    const direction = new THREE.Vector3().subVectors(end, start);
+    const length = direction.length();
+    if (length < 1e-6) return ring;
+    direction.divideScalar(length);
+
+    if (ring) {
+      this.bendRing(ring, direction);
+      ring.continued = true;
+    } else {
+      ring = this.addRing(start, direction, initialNormal(direction, right), baseRadius, 0, color, depth);
+      this.addCap(ring, false);
+    }
+
+    // Transport du repère : plus petite rotation entre les deux directions
+    const normal = transport(ring.normal, ring.direction, direction);
+    const top = this.addRing(end, direction, normal, topRadius, ring.v + length * this.config.barkRepeat, color, depth);
+
+    const sides = this.config.radialSegments;
+    for (let k = 0; k < sides; k++) {
+      const a = ring.start + k;
+      const b = a + 1;
+      const c = top.start + k;
+      const d = c + 1;
+      this.indices.push(a, b, c, b, d, c);
+    }
+
+    this.tips.push(top);
+    return top;
+  }
+
+  /**
+   * Anneau de `radialSegments + 1` sommets (le dernier double le premier
+   * pour la couture des UV), perpendiculaire à `direction`
+   */
+  addRing(center, direction, normal, radius, v, color, depth) {
+    const ring = {
+      center: center.clone(),
+      direction: direction.clone(),
+      normal: normal.clone(),
+      radius,
+      v,
+      color,
+      depth,
+      start: this.vertexCount,
+      continued: false,
+    };
+
+    const sides = this.config.radialSegments;
+    for (let k = 0; k <= sides; k++) {
+      this.positions.push(0, 0, 0);
+      this.normals.push(0, 0, 0);
+      this.uvs.push(k / sides, v);
+      this.colors.push(color.r, color.g, color.b);
+      this.depths.push(depth);
+    }
+    this.placeRing(ring, direction, normal);
+    return ring;
+  }
+
+  /**
+   * (Re)calcule positions et normales des sommets d'un anneau
+   */
+  placeRing(ring, direction, normal) {
+    const sides = this.config.radialSegments;
+    const binormal = new THREE.Vector3().crossVectors(direction, normal);
+
+    for (let k = 0; k <= sides; k++) {
+      const angle = (k / sides) * Math.PI * 2;
+      const radial = scratchVector.copy(normal).multiplyScalar(Math.cos(angle))
+        .addScaledVector(binormal, Math.sin(angle));
+      const i = (ring.start + k) * 3;
+      this.positions[i] = ring.center.x + radial.x * ring.radius;
+      this.positions[i + 1] = ring.center.y + radial.y * ring.radius;
+      this.positions[i + 2] = ring.center.z + radial.z * ring.radius;
+      this.normals[i] = radial.x;
+      this.normals[i + 1] = radial.y;
+      this.normals[i + 2] = radial.z;
+    }
+  }
+
+  /**
+   * Au coude entre deux segments, l'anneau partagé se place sur la
+   * bissectrice des deux directions (sinon le tube se pince d'un côté)
+   */
+  bendRing(ring, direction) {
+    const bisector = new THREE.Vector3().addVectors(ring.direction, direction);
+    if (bisector.lengthSq() < 1e-6) return; // Demi-tour : on laisse l'anneau tel quel
+    bisector.normalize();
+    this.placeRing(ring, bisector, transport(ring.normal, ring.direction, bisector));
+  }
+
+  /**
+   * Disque fermant un anneau : en haut (face vers la direction) ou en bas
+   */
+  addCap(ring, top) {
+    const sides = this.config.radialSegments;
+    const { color } = ring;
+    const facing = ring.direction.clone();
+    if (!top) facing.negate();
+
+    const center = this.vertexCount;
+    this.positions.push(ring.center.x, ring.center.y, ring.center.z);
+    this.normals.push(facing.x, facing.y, facing.z);
+    this.uvs.push(0.5, 0.5);
+    this.colors.push(color.r, color.g, color.b);
+    this.depths.push(ring.depth);
+
+    // Sommets du bord dupliqués : normale et UV propres au disque
+    const first = this.vertexCount;
+    for (let k = 0; k < sides; k++) {
+      const i = (ring.start + k) * 3;
+      const angle = (k / sides) * Math.PI * 2;
+      this.positions.push(this.positions[i], this.positions[i + 1], this.positions[i + 2]);
+      this.normals.push(facing.x, facing.y, facing.z);
+      this.uvs.push(0.5 + Math.cos(angle) * 0.5, 0.5 + Math.sin(angle) * 0.5);
+      this.colors.push(color.r, color.g, color.b);
+      this.depths.push(ring.depth);
+    }
+
+    for (let k = 0; k < sides; k++) {
+      const a = first + k;
+      const b = first + (k + 1) % sides;
+      if (top) this.indices.push(center, a, b);
+      else this.indices.push(center, b, a);
+    }
+  }
+
+  /**
+   * Feuille : quad de `size` de long dans la direction de la tortue, posé
+   * à plat selon `right`, visible des deux côtés. `depth` : profondeur de
+   * la branche qui la porte (la feuille est un cran plus loin)
+   */
+  leaf(position, direction, right, size, color, depth = 0) {
+    const side = initialNormal(direction, right).multiplyScalar(size * this.config.leafWidth * 0.5);
+    const tip = direction.clone().normalize().multiplyScalar(size);
+    const corners = [
+      position.clone().sub(side),
+      position.clone().add(side),
+      position.clone().add(side).add(tip),
+      position.clone().sub(side).add(tip),
+    ];
+    const uvs = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    const normal = new THREE.Vector3().crossVectors(side, tip).normalize();
+
+    for (const facing of [normal, normal.clone().negate()]) {
+      const start = this.vertexCount;
+      corners.forEach((corner, i) => {
+        this.positions.push(corner.x, corner.y, corner.z);
+        this.normals.push(facing.x, facing.y, facing.z);
+        this.uvs.push(uvs[i][0], uvs[i][1]);
+        this.colors.push(color.r, color.g, color.b);
+        this.depths.push(depth + 1);
+      });
+      if (facing === normal) {
+        this.indices.push(start, start + 1, start + 2, start, start + 2, start + 3);
+      } else {
+        this.indices.push(start, start + 2, start + 1, start, start + 3, start + 2);
+      }
+    }
+  }
+
+  /**
+   * Bouche les bouts de branche puis construit la géométrie
+   */
+  toGeometry() {
+    for (const tip of this.tips) {
+      if (!tip.continued) this.addCap(tip, true);
+    }
+    this.tips = [];
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(this.normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(this.uvs, 2));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(this.colors, 3));
+    geometry.setAttribute('wind', new THREE.Float32BufferAttribute(this.computeWindWeights(), 2));
+    geometry.setIndex(this.indices);
+    return geometry;
+  }
+
+  /**
+   * Poids de vent par sommet : la flexion croît comme le carré de la
+   * hauteur relative (le pied ne bouge pas) et vaut `flexibility x hauteur`
+   * au sommet ; le frémissement suit la profondeur de branche
+   */
+  computeWindWeights() {
+    const count = this.vertexCount;
+    let height = 0;
+    let maxDepth = 0;
+    for (let i = 0; i < count; i++) {
+      height = Math.max(height, this.positions[i * 3 + 1]);
+      maxDepth = Math.max(maxDepth, this.depths[i]);
+    }
+
+    const weights = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      const h = height > 0 ? THREE.MathUtils.clamp(this.positions[i * 3 + 1] / height, 0, 1) : 0;
+      weights[i * 2] = this.config.flexibility * height * h * h;
+      weights[i * 2 + 1] = maxDepth > 0 ? this.depths[i] / maxDepth : 0;
+    }
+    return weights;
+  }
+}
+
+/**
+ * Vecteur unitaire perpendiculaire à `direction`, le plus proche possible
+ * de `hint` (repli sur un autre axe si `hint` lui est parallèle)
+ */
+function initialNormal(direction, hint) {
+  const normal = hint.clone().addScaledVector(direction, -hint.dot(direction));
+  if (normal.lengthSq() < 1e-8) {
+    normal.set(1, 0, 0).addScaledVector(direction, -direction.x);
+    if (normal.lengthSq() < 1e-8) normal.set(0, 0, 1).addScaledVector(direction, -direction.z);
+  }
+  return normal.normalize();
+}
+
+/**
+ * Normale transportée de `from` vers `to` par la plus petite rotation
+ * (puis re-projetée pour rester perpendiculaire à `to`)
+ */
+function transport(normal, from, to) {
+  scratchQuaternion.setFromUnitVectors(from, to);
+  return initialNormal(to, normal.clone().applyQuaternion(scratchQuaternion));
+}
+
+export default BranchMesher;
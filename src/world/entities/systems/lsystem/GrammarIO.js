@@ -0,0 +1,363 @@
+/**
+ * Grammaires L-system en fichiers texte (`.lsys`).
+ *
+ * Un fichier décrit une espèce, sans toucher à `lsystem.js` :
+ *
+ *   # Fougère : frondes arquées, folioles opposées
+ *   name: fern
+ *   category: bushes                  # trees, bushes, grass ou flowers
+ *   biomes: temperateForest, swamp    # où l'espèce pousse (avec category, ou aucun des deux)
+ *   axiom: [+(50)A(1)]/(72)[+(50)A(1)]
+ *   iterations: 8
+ *   angle: 25
+ *   length: 1
+ *   lengthDecay: 0.8
+ *   thickness: 0.02
+ *   thicknessDecay: 0.7
+ *   gravitropism: 0.05                # les frondes ploient (phototropism : vers le soleil)
+ *   slope: 0, 0.7                     # placement : plage de pente (altitude aussi : min, max)
+ *   spacing: 1.2                      # placement : espacement, clustering, density
+ *   color: #3F6B2A
+ *   leafColor: 0x4E8F3A
+ *   define R = 0.8                    # constante utilisable dans les règles
+ *   A(l) : l > 0.1 -> F(l)[-(70)L(l)][+(70)L(l)]+(6)A(l*R)
+ *   A(l) -> L(l)
+ *   F ->(0.6) F[+F]F                  # alternatives pondérées : ->(poids)
+ *   F ->(0.4) F[-F]F
+ *
+ * - une ligne `clé: valeur` règle un paramètre du preset (voir LSystem) ;
+ * - `define NOM = expression` ajoute une constante ;
+ * - une ligne contenant `->` est une production, avec la syntaxe de
+ *   grammar.js (paramètres, gardes, contextes `G < A > D`) ;
+ * - `#` en début de ligne, ou seul après une espace, commence un
+ *   commentaire ; les lignes vides sont ignorées.
+ *
+ * Toute erreur (clé inconnue, nombre invalide, expression mal formée,
+ * variable qui n'est ni un paramètre ni une constante,
+ * crochets déséquilibrés...) est signalée avec son fichier, sa ligne et sa
+ * colonne : `fern.lsys:12:8 : ...` (champs `line` et `column` de l'erreur).
+ */
+import { loadText } from '../../../../utils/loader.js';
+import { BiomeDefinitions } from '../../../biomes/biomeRegistry.js';
+import { compileExpression, compileSuccessor, parseModules, parseRules } from './grammar.js';
+import { registerVegetationPreset } from './lsystem.js';
+
+const CATEGORIES = ['trees', 'bushes', 'grass', 'flowers'];
+
+// Paramètres numériques acceptés, avec leurs bornes
+const NUMBER_KEYS = {
+  iterations: { integer: true, min: 0, max: 12 },
+  angle: {},
+  length: { min: 0 },
+  lengthDecay: { min: 0 },
+  thickness: { min: 0 },
+  thicknessDecay: { min: 0 },
+  taper: { min: 0 },
+  flexibility: { min: 0 },
+  gravitropism: {},
+  phototropism: {},
+  radialSegments: { integer: true, min: 3, max: 32 },
+};
+const TEXT_KEYS = ['name', 'category', 'biomes', 'axiom', 'ignore', 'color', 'leafColor'];
+
+// Règles de placement (PlantPlacement.js), rangées dans `preset.placement`
+const PLACEMENT_KEYS = {
+  density: { min: 0 },
+  clustering: { min: 0, max: 1 },
+  spacing: { min: 0 },
+};
+const RANGE_KEYS = ['altitude', 'slope']; // `min, max`
+const KNOWN_KEYS = [...TEXT_KEYS, ...Object.keys(NUMBER_KEYS), ...Object.keys(PLACEMENT_KEYS), ...RANGE_KEYS];
+
+/**
+ * Erreur positionnée dans le fichier (ligne et colonne à partir de 1)
+ */
+function grammarError(file, line, column, message) {
+  const error = new Error(`${file}:${line}:${column} : ${message}`);
+  error.file = file;
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+/**
+ * Nom d'espèce par défaut : nom du fichier sans dossier ni extension
+ */
+function nameFromFile(file) {
+  return file.split(/[\\/]/).pop().replace(/\.lsys$/i, '');
+}
+
+/**
+ * Lit le texte d'une grammaire.
+ *
+ * @param {string} text
+ * @param {string} file  nom affiché dans les erreurs (et nom par défaut)
+ * @returns {{ name: string, category: string|null, biomes: string[], preset: object }}
+ */
+export function parseLSys(text, file = 'grammaire.lsys') {
+  const preset = { rules: {}, constants: {} };
+  const grammar = { name: nameFromFile(file), category: null, biomes: [], preset };
+  const seen = new Map(); // clé -> ligne, pour signaler les doublons
+  const productions = []; // Variables vérifiées à la fin : `define` peut venir après
+  let axiomAt = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = raw.replace(/^\s*#.*$|\s#(?=\s|$).*$/, ''); // `#3F6B2A` (ou `#12345`) est une valeur
+    if (content.trim() === '') return;
+    const indent = content.search(/\S/);
+    const fail = (column, message) => { throw grammarError(file, line, column + 1, message); };
+
+    // Production
+    const arrow = content.indexOf('->');
+    if (arrow >= 0) {
+      productions.push(parseProduction(preset, content, arrow, fail));
+      return;
+    }
+
+    // Constante : `define NOM = expression`
+    const define = /^(\s*)define\s+([A-Za-z_]\w*)\s*=\s*(.*)$/.exec(content);
+    if (define) {
+      const valueAt = content.indexOf(define[3], define[1].length + 6);
+      try {
+        preset.constants[define[2]] = compileExpression(define[3])(preset.constants);
+      } catch (error) {
+        fail(valueAt, `constante "${define[2]}" : ${error.message}`);
+      }
+      return;
+    }
+
+    // Paramètre : `clé: valeur`
+    const colon = content.indexOf(':');
+    if (colon < 0) fail(indent, 'ligne incomprise (attendu "clé: valeur", "define NOM = valeur" ou une production "->")');
+    const key = content.slice(indent, colon).trim();
+    const value = content.slice(colon + 1).trim();
+    const valueAt = value ? content.indexOf(value, colon + 1) : colon + 1;
+
+    if (!KNOWN_KEYS.includes(key)) {
+      fail(indent, `clé inconnue "${key}" (connues : ${KNOWN_KEYS.join(', ')})`);
+    }
+    if (seen.has(key)) fail(indent, `"${key}" déjà défini ligne ${seen.get(key)}`);
+    seen.set(key, line);
+    if (value === '' && key !== 'ignore') fail(valueAt, `valeur manquante pour "${key}"`);
+
+    if (key in NUMBER_KEYS) {
+      preset[key] = parseNumber(value, NUMBER_KEYS[key], message => fail(valueAt, `${key} : ${message}`));
+      return;
+    }
+    if (key in PLACEMENT_KEYS) {
+      preset.placement ??= {};
+      preset.placement[key] = parseNumber(value, PLACEMENT_KEYS[key], message => fail(valueAt, `${key} : ${message}`));
+      return;
+    }
+    if (RANGE_KEYS.includes(key)) {
+      preset.placement ??= {};
+      preset.placement[key] = parseRange(value, message => fail(valueAt, `${key} : ${message}`));
+      return;
+    }
+
+    switch (key) {
+      case 'name':
+        if (!/^[A-Za-z_][\w-]*$/.test(value)) fail(valueAt, `nom d'espèce invalide "${value}"`);
+        grammar.name = value;
+        break;
+
+      case 'category':
+        if (!CATEGORIES.includes(value)) fail(valueAt, `catégorie inconnue "${value}" (${CATEGORIES.join(', ')})`);
+        grammar.category = value;
+        break;
+
+      case 'biomes':
+        for (const id of value.split(',').map(s => s.trim())) {
+          if (!BiomeDefinitions[id]) fail(content.indexOf(id, colon), `biome inconnu "${id}"`);
+          grammar.biomes.push(id);
+        }
+        break;
+
+      case 'axiom':
+        checkBrackets(value, column => fail(valueAt + column, 'crochet non équilibré dans l\'axiome'));
+        preset.axiom = value;
+        axiomAt = { line, column: valueAt };
+        break;
+
+      case 'ignore':
+        preset.ignore = value.replace(/\s/g, '');
+        break;
+
+      case 'color':
+      case 'leafColor':
+        preset[key] = parseColor(value, () => fail(valueAt, `couleur invalide "${value}" (attendu #RRGGBB ou 0xRRGGBB)`));
+        break;
+    }
+  });
+
+  if (!preset.axiom) throw grammarError(file, 1, 1, 'axiome manquant ("axiom: ...")');
+  // Les paramètres de l'axiome peuvent utiliser les constantes, définies n'importe où
+  try {
+    parseModules(preset.axiom, preset.constants);
+  } catch (error) {
+    throw grammarError(file, axiomAt.line, axiomAt.column + 1, `axiome : ${error.message}`);
+  }
+  if (Object.keys(preset.rules).length === 0) {
+    throw grammarError(file, 1, 1, 'aucune production ("prédécesseur -> successeur")');
+  }
+  for (const production of productions) checkVariables(production, preset.constants);
+  if (grammar.biomes.length > 0 && !grammar.category) {
+    throw grammarError(file, seen.get('biomes'), 1, '"biomes" demande une "category"');
+  }
+  // Les espèces plantées sont lues dans les listes des biomes : sans biome, jamais plantée
+  if (grammar.category && grammar.biomes.length === 0) {
+    throw grammarError(file, seen.get('category'), 1, '"category" demande des "biomes" (sinon l\'espèce n\'est jamais plantée)');
+  }
+  return grammar;
+}
+
+/**
+ * `prédécesseur ->(poids) successeur` : ajoute la production aux règles du
+ * preset (alternatives pondérées regroupées par prédécesseur)
+ */
+function parseProduction(preset, content, arrow, fail) {
+  const predecessor = content.slice(0, arrow).trim();
+  const predecessorAt = content.search(/\S/);
+  let rest = content.slice(arrow + 2);
+  let restAt = arrow + 2;
+  let weight = null;
+
+  const weighted = /^\(([^)]*)\)/.exec(rest);
+  if (weighted) {
+    weight = Number(weighted[1]);
+    if (!(weight > 0)) fail(restAt + 1, `poids invalide "${weighted[1]}" (nombre > 0 attendu)`);
+    rest = rest.slice(weighted[0].length);
+    restAt += weighted[0].length;
+  }
+  const successor = rest.trim();
+  const successorAt = successor ? restAt + rest.indexOf(successor) : restAt;
+
+  if (!predecessor) fail(predecessorAt, 'prédécesseur manquant avant "->"');
+  try {
+    parseRules({ [predecessor]: '' });
+  } catch (error) {
+    fail(predecessorAt, error.message);
+  }
+  try {
+    compileSuccessor(successor);
+  } catch (error) {
+    fail(successorAt, error.message);
+  }
+  checkBrackets(successor, column => fail(successorAt + column, 'crochet non équilibré dans le successeur'));
+
+  const existing = preset.rules[predecessor];
+  if (existing !== undefined && (weight === null || typeof existing === 'string')) {
+    fail(predecessorAt, Array.isArray(existing) || weight !== null
+      ? `"${predecessor}" mélange production simple et alternatives pondérées`
+      : `production "${predecessor}" déjà définie`);
+  }
+  preset.rules[predecessor] = weight === null
+    ? successor
+    : [...(existing || []), { p: weight, s: successor }];
+  return { predecessor, predecessorAt, successor, successorAt, content, fail };
+}
+
+/**
+ * Une garde ou un successeur ne peut lire que les paramètres du
+ * prédécesseur, ceux de ses contextes et les constantes `define` :
+ * sinon l'erreur n'éclaterait qu'à la génération, sans position
+ */
+function checkVariables({ predecessor, predecessorAt, successor, successorAt, content, fail }, constants) {
+  const [rule] = [...parseRules({ [predecessor]: successor }).values()][0];
+  const known = new Set([
+    ...rule.params,
+    ...[...(rule.left || []), ...(rule.right || [])].flatMap(({ params }) => params),
+    ...Object.keys(constants),
+  ]);
+  const report = (names, from, where) => {
+    for (const name of names) {
+      if (known.has(name)) continue;
+      const offset = content.slice(from).search(new RegExp(`\\b${name}\\b`));
+      fail(from + Math.max(0, offset), `variable inconnue "${name}" dans ${where} (ni paramètre, ni constante "define")`);
+    }
+  };
+  if (rule.guard) report(rule.guard.variables, predecessorAt + predecessor.indexOf(':'), 'la garde');
+  report(rule.productions[0].successor.variables, successorAt, 'le successeur');
+}
+
+function parseNumber(text, { integer = false, min = -Infinity, max = Infinity }, fail) {
+  const value = Number(text);
+  if (text === '' || !Number.isFinite(value)) fail(`nombre attendu, pas "${text}"`);
+  if (integer && !Number.isInteger(value)) fail(`entier attendu, pas "${text}"`);
+  if (value < min || value > max) {
+    fail(`${value} hors limites (${Number.isFinite(max) ? `${min} à ${max}` : `minimum ${min}`})`);
+  }
+  return value;
+}
+
+/**
+ * Plage `min, max` (min <= max)
+ */
+function parseRange(text, fail) {
+  const parts = text.split(',').map(s => s.trim());
+  if (parts.length !== 2) fail(`plage attendue "min, max", pas "${text}"`);
+  const [min, max] = parts.map(part => parseNumber(part, {}, fail));
+  if (min > max) fail(`plage vide (${min} > ${max})`);
+  return [min, max];
+}
+
+function parseColor(text, fail) {
+  const match = /^(?:#|0x)([0-9a-f]{6})$/i.exec(text);
+  if (!match) fail();
+  return parseInt(match[1], 16);
+}
+
+/**
+ * Signale (colonne, base 0) le premier crochet fermant orphelin ou le
+ * dernier crochet ouvert jamais fermé
+ */
+function checkBrackets(text, fail) {
+  const open = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '[') open.push(i);
+    else if (text[i] === ']' && open.pop() === undefined) fail(i);
+  }
+  if (open.length > 0) fail(open[open.length - 1]);
+}
+
+/**
+ * Ajoute une grammaire lue aux presets de végétation et, si elle indique
+ * une catégorie et des biomes, aux listes de plantes de ces biomes
+ */
+export function registerLSys(grammar) {
+  const { name, category, biomes, preset } = grammar;
+  registerVegetationPreset(name, preset);
+
+  for (const id of biomes) {
+    const list = BiomeDefinitions[id].vegetation[category];
+    if (!list.includes(name)) list.push(name);
+  }
+  return grammar;
+}
+
+/**
+ * Charge une grammaire depuis une URL, un File ou un buffer, et
+ * l'enregistre. `file` : nom utilisé dans les erreurs
+ */
+export async function loadLSys(source, file = typeof source === 'string' ? source : source?.name) {
+  const text = await loadText(source);
+  return registerLSys(parseLSys(text, file || 'grammaire.lsys'));
+}
+
+/**
+ * Enregistre un lot de grammaires `{ chemin: texte }` (ex. fichiers embarqués
+ * par Vite). Une grammaire invalide est signalée et ignorée, sans empêcher
+ * les autres de se charger. Renvoie les grammaires enregistrées.
+ */
+export function registerLSysFiles(files) {
+  const registered = [];
+  for (const [file, text] of Object.entries(files)) {
+    try {
+      registered.push(registerLSys(parseLSys(text, file)));
+    } catch (error) {
+      console.error(`🌿 Grammaire ignorée : ${error.message}`);
+    }
+  }
+  return registered;
+}
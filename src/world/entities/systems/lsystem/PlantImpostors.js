@@ -0,0 +1,138 @@
+/**
+ * Imposteurs de plantes : au loin, une plante n'est plus qu'une carte
+ * texturée tournée vers la caméra.
+ *
+ * La texture est capturée depuis le vrai maillage (rendu de profil en
+ * projection orthographique, couleurs de sommets sans éclairage, fond
+ * transparent) : la silhouette et les couleurs sont celles de la plante.
+ * La carte pivote autour de l'axe vertical de la plante (billboard
+ * cylindrique, calculé dans le vertex shader) et reste éclairée par la
+ * scène, avec une normale penchée vers le ciel comme une couronne de
+ * feuillage. Elle accepte le même fondu de niveau de détail que
+ * VegetationMaterial, et ne projette pas d'ombre.
+ */
+import * as THREE from 'three';
+import { lodFadeGLSL } from './VegetationMaterial.js';
+
+/**
+ * Paramètres par défaut
+ */
+export const ImpostorDefaults = {
+  textureSize: 128,   // Côté le plus long de la capture (pixels)
+  alphaTest: 0.4,     // Seuil de découpe de la silhouette
+  skyward: 0.6,       // Part de la normale tournée vers le ciel (0 = face caméra)
+};
+
+const billboardHeader = /* glsl */`
+uniform float impostorSkyward;
+${lodFadeGLSL.vertexHeader}
+`;
+
+// Repère de la carte (avant beginnormal_vertex, qui le réutilise)
+const billboardFrame = /* glsl */`
+#ifdef USE_INSTANCING
+  mat4 plantMatrix = modelMatrix * instanceMatrix;
+#else
+  mat4 plantMatrix = modelMatrix;
+#endif
+  mat3 plantBasis = mat3(plantMatrix);
+  vec3 toCamera = cameraPosition - plantMatrix[3].xyz;
+  toCamera.y = 0.0;
+  toCamera = length(toCamera) > 1e-4 ? normalize(toCamera) : vec3(0.0, 0.0, 1.0);
+  vec3 cardRight = vec3(toCamera.z, 0.0, -toCamera.x);
+`;
+
+// Normale voulue en monde, ramenée dans le repère de l'instance
+const billboardNormal = /* glsl */`
+  objectNormal = transpose(plantBasis) * normalize(mix(toCamera, vec3(0.0, 1.0, 0.0), impostorSkyward));
+`;
+
+// La carte (x, y) est posée dans le plan (droite caméra, verticale), à l'échelle de l'instance
+const billboardVertex = /* glsl */`
+  vec3 cardWorld = cardRight * (position.x * length(plantBasis[0])) + vec3(0.0, position.y * length(plantBasis[1]), 0.0);
+  transformed = inverse(plantBasis) * cardWorld;
+${lodFadeGLSL.vertexBody}
+`;
+
+/**
+ * Matériau d'une carte d'imposteur (une texture capturée par variante)
+ */
+export class ImpostorMaterial extends THREE.MeshStandardMaterial {
+  constructor(map, config = {}) {
+    const settings = { ...ImpostorDefaults, ...config };
+    super({ map, alphaTest: settings.alphaTest, side: THREE.DoubleSide, roughness: 0.9, metalness: 0 });
+    this.type = 'ImpostorMaterial';
+    this.impostorUniforms = {
+      impostorSkyward: { value: settings.skyward },
+    };
+  }
+
+  onBeforeCompile(shader) {
+    Object.assign(shader.uniforms, this.impostorUniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${billboardHeader}`)
+      .replace('#include <beginnormal_vertex>', `${billboardFrame}\n#include <beginnormal_vertex>\n${billboardNormal}`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>\n${billboardVertex}`);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${lodFadeGLSL.fragmentHeader}`)
+      .replace('#include <clipping_planes_fragment>', `#include <clipping_planes_fragment>\n${lodFadeGLSL.fragmentBody}`);
+  }
+
+  customProgramCacheKey() {
+    return 'bloomfall-impostor';
+  }
+}
+
+/**
+ * Capture le profil d'une géométrie de plante (pied en y = 0, tronc sur
+ * l'axe Y) et renvoie la carte qui la remplace :
+ * `{ geometry, material, renderTarget }` (à libérer ensemble).
+ */
+export function captureImpostor(renderer, geometry, config = {}) {
+  const settings = { ...ImpostorDefaults, ...config };
+
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  // Largeur symétrique autour du tronc : la carte pivote sur cet axe
+  const halfWidth = Math.max(Math.abs(min.x), Math.abs(max.x), Math.abs(min.z), Math.abs(max.z), 1e-3);
+  const bottom = Math.min(min.y, 0);
+  const height = Math.max(max.y - bottom, 1e-3);
+
+  const aspect = height / (halfWidth * 2);
+  const size = settings.textureSize;
+  const width = Math.max(8, Math.round(aspect > 1 ? size / aspect : size));
+  const pixelsHigh = Math.max(8, Math.round(aspect > 1 ? size : size * aspect));
+
+  const renderTarget = new THREE.WebGLRenderTarget(width, pixelsHigh, {
+    colorSpace: THREE.SRGBColorSpace,
+    generateMipmaps: true,
+    minFilter: THREE.LinearMipmapLinearFilter,
+  });
+
+  // Profil vu de face (+Z), sans éclairage : les couleurs de sommets seules
+  const scene = new THREE.Scene();
+  const material = new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.DoubleSide });
+  scene.add(new THREE.Mesh(geometry, material));
+  const depth = halfWidth * 2 + 1;
+  const camera = new THREE.OrthographicCamera(-halfWidth, halfWidth, bottom + height, bottom, 0.1, depth * 2);
+  camera.position.set(0, 0, depth);
+
+  const previousTarget = renderer.getRenderTarget();
+  const previousColor = renderer.getClearColor(new THREE.Color());
+  const previousAlpha = renderer.getClearAlpha();
+  renderer.setRenderTarget(renderTarget);
+  renderer.setClearColor(0x000000, 0);
+  renderer.clear();
+  renderer.render(scene, camera);
+  renderer.setRenderTarget(previousTarget);
+  renderer.setClearColor(previousColor, previousAlpha);
+  material.dispose();
+
+  const card = new THREE.PlaneGeometry(halfWidth * 2, height);
+  card.translate(0, bottom + height / 2, 0);
+  return {
+    geometry: card,
+    material: new ImpostorMaterial(renderTarget.texture, settings),
+    renderTarget,
+  };
+}
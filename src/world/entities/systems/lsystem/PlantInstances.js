@@ -0,0 +1,451 @@
+/**
+ * Rendu instancié de la végétation.
+ *
+ * Générer un L-system et sa géométrie pour chacune des centaines de plantes
+ * coûte cher, et chaque mesh séparé est un appel de dessin. Ici, chaque
+ * preset n'a que quelques variantes (graines différentes), construites une
+ * fois puis mises en cache. Toutes les plantes qui partagent une variante
+ * sont dessinées en un seul `InstancedMesh` : position, rotation, échelle et
+ * teinte propres à chaque instance (la teinte multiplie les couleurs de
+ * sommets). Des milliers de plantes ne font ainsi que quelques dizaines
+ * d'appels de dessin.
+ *
+ * Une plante est un simple objet :
+ * `{ category, preset, variant, position, rotation, scale, tint }`
+ * (Vector3, angle autour de Y, Vector3, Color). Après l'avoir modifiée,
+ * ajoutée ou retirée, `update()` réécrit les lots concernés.
+ *
+ * Croissance : chaque variante existe aussi en quelques stades
+ * (`growthStages`, géométries de LSystem.generateGrowth). `setGrowth` range
+ * la plante dans le stade juste au-dessus de sa croissance et réduit son
+ * échelle d'autant : elle grandit en continu, et ne change de géométrie
+ * qu'aux changements de stade.
+ *
+ * Niveaux de détail (avec `config.camera`, voir `updateLod`) : selon sa
+ * distance à la caméra, une plante est dessinée
+ *  0. avec sa géométrie complète ;
+ *  1. avec un L-system simplifié (moins d'itérations, mis à la hauteur de
+ *     la plante complète) ;
+ *  2. en imposteur : une carte face caméra capturée depuis la géométrie
+ *     complète (PlantImpostors.js, demande `config.renderer`).
+ * Chaque lot a donc un InstancedMesh par niveau. Un changement de niveau
+ * est fondu (la plante est dessinée aux deux niveaux, en tramage
+ * complémentaire), et seules les plantes proches projettent une ombre.
+ */
+import * as THREE from 'three';
+import { VegetationMaterial } from './VegetationMaterial.js';
+import { captureImpostor } from './PlantImpostors.js';
+
+/**
+ * Paramètres par défaut (surchargeables via le constructeur)
+ */
+export const InstancingDefaults = {
+  variants: 6,          // Géométries différentes par preset
+  tintVariation: 0.12,  // Écart de luminosité / teinte entre deux plantes
+  growth: 1.25,         // Marge de capacité quand un lot doit être agrandi
+  growthStages: 4,      // Géométries intermédiaires de la pousse à l'adulte (le dernier)
+  wind: null,           // Wind partagé : les plantes ploient et frémissent (VegetationMaterial)
+  camera: null,         // Caméra des niveaux de détail (sans caméra : toujours complet)
+  renderer: null,       // Renderer pour capturer les imposteurs (sans : pas d'imposteurs)
+  lodDistances: [60, 150], // Distances de passage au L-system simplifié, puis à l'imposteur
+  lodHysteresis: 0.1,   // Marge autour des distances (fraction) : pas de va-et-vient
+  lodInterval: 0.25,    // Secondes entre deux calculs des niveaux
+  fadeDuration: 0.6,    // Durée du fondu entre deux niveaux (secondes)
+  shadowDistance: 80,   // Seules les plantes à cette distance de la caméra font de l'ombre
+  impostorsPerUpdate: 4, // Captures d'imposteurs par calcul des niveaux (étalées)
+  impostor: {},         // Réglages de PlantImpostors (ImpostorDefaults)
+};
+
+export const LodLevel = {
+  FULL: 0,
+  SIMPLIFIED: 1,
+  IMPOSTOR: 2,
+};
+
+const scratchMatrix = new THREE.Matrix4();
+const scratchQuaternion = new THREE.Quaternion();
+const scratchScale = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Lots d'instances par variante de preset, avec leur cache de géométries
+ */
+export class PlantInstances {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {(preset: string, variant: number, growth: number, level: number) => THREE.BufferGeometry} createGeometry
+   *        construit la géométrie d'une variante à un stade de croissance,
+   *        complète (niveau 0) ou simplifiée (niveau 1). Appelé une fois
+   *        par variante, stade et niveau
+   */
+  constructor(scene, createGeometry, config = {}) {
+    this.scene = scene;
+    this.createGeometry = createGeometry;
+    this.config = { ...InstancingDefaults, ...config };
+
+    this.group = new THREE.Group();
+    this.group.name = 'vegetation';
+    this.scene.add(this.group);
+
+    this.material = new VegetationMaterial({
+      wind: this.config.wind,
+      shadowDistance: this.config.shadowDistance,
+    });
+    this.geometries = new Map(); // "preset:variant:stade:niveau" -> BufferGeometry
+    this.impostors = new Map();  // "preset:variant:stade" -> { geometry, material, renderTarget }
+    this.batches = new Map();    // "preset:variant:stade" -> { key, preset, variant, stage, plants, levels, dirty }
+
+    this.fading = new Set(); // Plantes en cours de changement de niveau
+    this.lodElapsed = Infinity; // Premier calcul des niveaux dès le premier appel
+  }
+
+  get variants() {
+    return this.config.variants;
+  }
+
+  get matureStage() {
+    return this.config.growthStages - 1;
+  }
+
+  // Niveau le plus grossier disponible
+  get coarsestLevel() {
+    return this.config.renderer ? LodLevel.IMPOSTOR : LodLevel.SIMPLIFIED;
+  }
+
+  // Croissance représentée par la géométrie d'un stade
+  stageGrowth(stage) {
+    return (stage + 1) / this.config.growthStages;
+  }
+
+  /**
+   * Géométrie d'une variante à un stade et un niveau, construite au
+   * premier appel. La version simplifiée est mise à l'échelle de la
+   * complète : moins d'itérations donnent une plante plus petite.
+   */
+  getGeometry(preset, variant, stage = this.matureStage, level = LodLevel.FULL) {
+    const key = `${preset}:${variant}:${stage}:${level}`;
+    let geometry = this.geometries.get(key);
+    if (!geometry) {
+      geometry = this.createGeometry(preset, variant, this.stageGrowth(stage), level);
+      if (level !== LodLevel.FULL) {
+        const full = this.getGeometry(preset, variant, stage);
+        geometry.computeBoundingBox();
+        const height = geometry.boundingBox.max.y;
+        if (height > 1e-6) {
+          const ratio = full.boundingBox.max.y / height;
+          geometry.scale(ratio, ratio, ratio);
+        }
+      }
+      geometry.computeBoundingBox();
+      geometry.computeBoundingSphere();
+      this.geometries.set(key, geometry);
+    }
+    return geometry;
+  }
+
+  /**
+   * Imposteur d'une variante à un stade, capturé au premier appel
+   */
+  getImpostor(preset, variant, stage) {
+    const key = `${preset}:${variant}:${stage}`;
+    let impostor = this.impostors.get(key);
+    if (!impostor) {
+      impostor = captureImpostor(this.config.renderer, this.getGeometry(preset, variant, stage), this.config.impostor);
+      this.impostors.set(key, impostor);
+    }
+    return impostor;
+  }
+
+  /**
+   * Teinte aléatoire autour du blanc (légère variation de luminosité et de
+   * teinte, pour que deux plantes de la même variante ne soient pas clonées)
+   */
+  randomTint(rng, target = new THREE.Color()) {
+    const t = this.config.tintVariation;
+    const brightness = 1 + rng.range(-t, t);
+    return target.setRGB(
+      brightness * (1 + rng.range(-t, t) * 0.5),
+      brightness,
+      brightness * (1 + rng.range(-t, t) * 0.5),
+    );
+  }
+
+  add(plant) {
+    plant.stage ??= this.matureStage;
+    plant.growthScale ??= 1;
+    plant.lod ??= LodLevel.FULL;
+    plant.lodFrom ??= -1; // Niveau quitté pendant un fondu (-1 : aucun)
+    plant.lodFade ??= 1;  // Avancement du fondu vers `lod`
+    const key = `${plant.preset}:${plant.variant}:${plant.stage}`;
+    let batch = this.batches.get(key);
+    if (!batch) {
+      batch = {
+        key, preset: plant.preset, variant: plant.variant, stage: plant.stage,
+        plants: [], levels: [], dirty: true,
+      };
+      this.batches.set(key, batch);
+    }
+    plant.batch = batch;
+    batch.plants.push(plant);
+    batch.dirty = true;
+  }
+
+  remove(plant) {
+    const { batch } = plant;
+    if (!batch) return;
+    const index = batch.plants.indexOf(plant);
+    if (index >= 0) {
+      // L'ordre des instances est sans importance : on comble le trou
+      batch.plants[index] = batch.plants[batch.plants.length - 1];
+      batch.plants.pop();
+    }
+    plant.batch = null;
+    batch.dirty = true;
+  }
+
+  /**
+   * Croissance de la plante entre 0 et 1 : stade (changement de lot si
+   * besoin) et échelle par rapport à la géométrie du stade
+   */
+  setGrowth(plant, growth) {
+    const { growthStages } = this.config;
+    const g = THREE.MathUtils.clamp(growth, 0, 1);
+    const stage = THREE.MathUtils.clamp(Math.ceil(g * growthStages) - 1, 0, growthStages - 1);
+    plant.growthScale = g / this.stageGrowth(stage);
+
+    if (plant.batch && plant.stage === stage) {
+      plant.batch.dirty = true;
+      return;
+    }
+    if (plant.batch) this.remove(plant);
+    plant.stage = stage;
+    this.add(plant);
+  }
+
+  /**
+   * À appeler après avoir déplacé / retourné / reteinté une plante
+   */
+  markDirty(plant) {
+    if (plant.batch) plant.batch.dirty = true;
+  }
+
+  /**
+   * À appeler à chaque image : recalcule les niveaux de détail selon la
+   * distance à la caméra (tous les `lodInterval`), fait avancer les fondus
+   * et recentre les ombres sur la caméra
+   */
+  updateLod(delta) {
+    const { camera, lodInterval, fadeDuration, impostorsPerUpdate } = this.config;
+    if (!camera) return;
+    this.material.shadowCenter.copy(camera.position);
+
+    this.lodElapsed += delta;
+    if (this.lodElapsed >= lodInterval) {
+      this.lodElapsed = 0;
+      let captures = impostorsPerUpdate;
+
+      for (const batch of this.batches.values()) {
+        for (const plant of batch.plants) {
+          if (plant.lodFrom >= 0) continue; // Fondu en cours : on le laisse finir
+          let level = this.levelAt(plant, camera.position.distanceTo(plant.position));
+          // Imposteurs capturés au fil de l'eau : en attendant, version simplifiée
+          if (level === LodLevel.IMPOSTOR && !this.impostors.has(batch.key)) {
+            if (captures > 0) {
+              this.getImpostor(batch.preset, batch.variant, batch.stage);
+              captures--;
+            } else {
+              level = LodLevel.SIMPLIFIED;
+            }
+          }
+          if (level === plant.lod) continue;
+          plant.lodFrom = plant.lod;
+          plant.lod = level;
+          plant.lodFade = 0;
+          this.fading.add(plant);
+        }
+      }
+    }
+
+    for (const plant of this.fading) {
+      plant.lodFade = Math.min(1, plant.lodFade + delta / fadeDuration);
+      if (plant.lodFade === 1) {
+        plant.lodFrom = -1;
+        this.fading.delete(plant);
+      }
+      this.markDirty(plant);
+    }
+    if (this.fading.size > 0 || this.lodElapsed === 0) this.update();
+  }
+
+  /**
+   * Niveau voulu à une distance donnée. Les seuils déjà franchis sont
+   * abaissés et les autres relevés de `lodHysteresis` : une plante près
+   * d'un seuil ne change pas de niveau à chaque mouvement de caméra.
+   */
+  levelAt(plant, distance) {
+    const { lodDistances, lodHysteresis } = this.config;
+    let level = LodLevel.FULL;
+    lodDistances.forEach((threshold, i) => {
+      const margin = i < plant.lod ? 1 - lodHysteresis : 1 + lodHysteresis;
+      if (distance > threshold * margin) level = i + 1;
+    });
+    return Math.min(level, this.coarsestLevel);
+  }
+
+  /**
+   * Réécrit les lots modifiés
+   */
+  update() {
+    for (const batch of this.batches.values()) {
+      if (!batch.dirty) continue;
+      batch.dirty = false;
+      this.writeBatch(batch);
+    }
+  }
+
+  /**
+   * Répartit les plantes d'un lot entre ses niveaux (une plante en fondu
+   * est dans les deux) et copie transformations, teintes et fondus dans
+   * les attributs d'instance
+   */
+  writeBatch(batch) {
+    for (let level = LodLevel.FULL; level <= this.coarsestLevel; level++) {
+      const entries = [];
+      for (const plant of batch.plants) {
+        if (plant.lod === level) entries.push(plant, plant.lodFrom >= 0 ? plant.lodFade : 1);
+        else if (plant.lodFrom === level) entries.push(plant, plant.lodFade - 1);
+      }
+      const count = entries.length / 2;
+
+      let mesh = batch.levels[level];
+      if (!mesh && count === 0) continue;
+      if (!mesh || mesh.instanceMatrix.count < count) {
+        this.disposeMesh(batch, level);
+        mesh = this.createMesh(batch, level, Math.ceil(count * this.config.growth));
+      }
+
+      const fades = mesh.geometry.attributes.instanceFade;
+      for (let i = 0; i < count; i++) {
+        const plant = entries[i * 2];
+        mesh.setMatrixAt(i, this.composeMatrix(plant, scratchMatrix));
+        mesh.setColorAt(i, plant.tint);
+        fades.setX(i, entries[i * 2 + 1]);
+      }
+
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+      fades.needsUpdate = true;
+      // Sphère englobante de toutes les instances (culling par lot)
+      mesh.computeBoundingSphere();
+    }
+  }
+
+  /**
+   * Matrice d'instance d'une plante (taille adulte x croissance)
+   */
+  composeMatrix(plant, target) {
+    scratchQuaternion.setFromAxisAngle(UP, plant.rotation);
+    scratchScale.copy(plant.scale).multiplyScalar(plant.growthScale);
+    return target.compose(plant.position, scratchQuaternion, scratchScale);
+  }
+
+  /**
+   * InstancedMesh d'un niveau d'un lot. Le mesh a sa propre géométrie, qui
+   * partage les attributs de la géométrie en cache et porte en plus
+   * l'attribut de fondu, à la capacité du mesh.
+   */
+  createMesh(batch, level, capacity) {
+    let shared;
+    let material = this.material;
+    if (level === LodLevel.IMPOSTOR) {
+      ({ geometry: shared, material } = this.getImpostor(batch.preset, batch.variant, batch.stage));
+    } else {
+      shared = this.getGeometry(batch.preset, batch.variant, batch.stage, level);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(shared.index);
+    for (const [name, attribute] of Object.entries(shared.attributes)) geometry.setAttribute(name, attribute);
+    for (const { start, count, materialIndex } of shared.groups) geometry.addGroup(start, count, materialIndex);
+    geometry.setAttribute('instanceFade', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.name = `${batch.key}:${level}`;
+    mesh.castShadow = level !== LodLevel.IMPOSTOR;
+    mesh.receiveShadow = true;
+    if (material.depthMaterial) mesh.customDepthMaterial = material.depthMaterial;
+    batch.levels[level] = mesh;
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  disposeMesh(batch, level) {
+    const mesh = batch.levels[level];
+    if (!mesh) return;
+    this.group.remove(mesh);
+    mesh.dispose(); // Libère les buffers d'instances
+
+    // Seul le fondu appartient au mesh : les attributs partagés sont retirés
+    // avant dispose(), qui libérerait sinon aussi ceux de la géométrie en cache
+    const { geometry } = mesh;
+    for (const name of Object.keys(geometry.attributes)) {
+      if (name !== 'instanceFade') geometry.deleteAttribute(name);
+    }
+    geometry.setIndex(null);
+    geometry.dispose();
+    batch.levels[level] = null;
+  }
+
+  /**
+   * Toutes les plantes en géométrie complète, hors scène (export) : un
+   * InstancedMesh par lot, qui partage géométrie et matériau avec le
+   * rendu. Libérer avec `mesh.dispose()` sur chaque enfant.
+   */
+  snapshot() {
+    const group = new THREE.Group();
+    group.name = 'vegetation';
+    for (const batch of this.batches.values()) {
+      const { plants } = batch;
+      if (plants.length === 0) continue;
+      const mesh = new THREE.InstancedMesh(this.getGeometry(batch.preset, batch.variant, batch.stage), this.material, plants.length);
+      mesh.name = batch.key;
+      plants.forEach((plant, i) => {
+        mesh.setMatrixAt(i, this.composeMatrix(plant, scratchMatrix));
+        mesh.setColorAt(i, plant.tint);
+      });
+      group.add(mesh);
+    }
+    return group;
+  }
+
+  /**
+   * Retire toutes les plantes et libère lots, géométries et imposteurs
+   * (reconstruits à la demande si on repeuple). Le matériau partagé est
+   * gardé : voir dispose()
+   */
+  clear() {
+    for (const batch of this.batches.values()) {
+      for (const plant of batch.plants) plant.batch = null;
+      batch.levels.forEach((mesh, level) => this.disposeMesh(batch, level));
+    }
+    this.batches.clear();
+    this.fading.clear();
+
+    for (const geometry of this.geometries.values()) geometry.dispose();
+    this.geometries.clear();
+    for (const { geometry, material, renderTarget } of this.impostors.values()) {
+      geometry.dispose();
+      material.dispose();
+      renderTarget.dispose();
+    }
+    this.impostors.clear();
+  }
+
+  dispose() {
+    this.clear();
+    this.material.dispose();
+    this.scene.remove(this.group);
+  }
+}
+
+export default PlantInstances;
@@ -0,0 +1,292 @@
+/**
+ * Placement écologique de la végétation.
+ *
+ * Chaque espèce (preset) a des règles de placement : biomes où elle
+ * pousse, plage d'altitude, plage de pente, abondance, regroupement et
+ * espacement minimal. Les valeurs par défaut dépendent de sa catégorie
+ * (`PlacementDefaults`) et le preset les surcharge avec son champ
+ * `placement` (ou les clés de placement d'une grammaire `.lsys`) :
+ *
+ *   weepingWillow: { ..., placement: { altitude: [-0.5, 0.03], clustering: 0.3 } }
+ *
+ * Les biomes viennent du registre (les biomes qui listent le preset dans
+ * cette catégorie), sauf si `placement.biomes` les donne.
+ *
+ * Le placement est un échantillonnage en disque de Poisson (Bridson) :
+ * deux plantes d'une même catégorie sont toujours à au moins leur
+ * espacement l'une de l'autre. Une nouvelle plante pousse soit à côté
+ * d'une plante de son espèce (anneau de Bridson, avec la probabilité
+ * `clustering` : bosquets, massifs de fleurs), soit n'importe où dans son
+ * habitat (tirage pondéré par la densité de végétation du biome). Les
+ * tentatives sont comptées pour toute l'espèce et non par plante : `place`
+ * renvoie ce qu'il a pu placer, que VegetationManager.populate rapporte.
+ */
+import { BiomeDefinitions, getBiomeDefinition } from '../../../biomes/biomeRegistry.js';
+
+/**
+ * Règles par catégorie de plante. Altitude : hauteur du terrain divisée
+ * par `heightScale` ; pente en radians ; espacement en unités monde ;
+ * `density` : abondance relative dans la catégorie, par unité d'habitat ;
+ * `clustering` : 0 = plantes dispersées, 1 = tout en bosquets.
+ */
+export const PlacementDefaults = {
+  trees:   { altitude: [-0.5, 0.18], slope: [0, 0.5],  density: 1, clustering: 0.8, spacing: 3 },
+  bushes:  { altitude: [-0.5, 0.22], slope: [0, 0.65], density: 1, clustering: 0.4, spacing: 1.5 },
+  grass:   { altitude: [-0.5, 0.25], slope: [0, 0.8],  density: 1, clustering: 0.3, spacing: 0.8 },
+  flowers: { altitude: [-0.5, 0.15], slope: [0, 0.6],  density: 1, clustering: 0.6, spacing: 1 },
+};
+
+/**
+ * Paramètres de l'échantillonneur
+ */
+export const PlacementSettings = {
+  extent: 0.9,           // Part du terrain (côté) où l'on plante, loin des bords
+  habitatResolution: 48, // Grille d'estimation des habitats (cellules par côté)
+  attemptsPerPlant: 30,  // Budget de tentatives d'une espèce, par plante demandée
+  neighbourAttempts: 12, // Échecs avant qu'une plante ne serve plus de point de départ (k de Bridson)
+  cellSize: 4,           // Grille spatiale des espacements (unités monde)
+  shoreMargin: 1.5,      // Pas les pieds dans l'eau, même sur la berge
+};
+
+/**
+ * Espèces plantables, par catégorie, avec leurs règles complètes :
+ * `Map<preset, { name, category, rules }>` (ordre stable : catégories, puis
+ * ordre du registre des biomes)
+ */
+export function collectSpecies(presets) {
+  const species = new Map();
+  for (const category of Object.keys(PlacementDefaults)) {
+    for (const biome of Object.values(BiomeDefinitions)) {
+      for (const name of biome.vegetation[category] || []) {
+        if (!presets[name]) continue;
+        let entry = species.get(name);
+        if (!entry) {
+          entry = { name, category, biomes: new Set() };
+          species.set(name, entry);
+        }
+        if (entry.category === category) entry.biomes.add(biome.id);
+      }
+    }
+  }
+
+  for (const entry of species.values()) {
+    const { placement = {} } = presets[entry.name];
+    entry.rules = {
+      ...PlacementDefaults[entry.category],
+      ...placement,
+      biomes: new Set(placement.biomes || entry.biomes),
+    };
+    delete entry.biomes;
+  }
+  return species;
+}
+
+/**
+ * Échantillonneur : habitats, contrôles de terrain et grilles d'espacement
+ * (une par catégorie) d'un peuplement
+ */
+export class PlantPlacement {
+  constructor(terrainGenerator, rng, config = {}) {
+    this.terrainGenerator = terrainGenerator;
+    this.rng = rng;
+    this.config = { ...PlacementSettings, ...config };
+    this.grids = new Map(); // catégorie -> { cells: Map, maxSpacing }
+    this.habitatCells = null; // Relevé du terrain (surveyTerrain)
+    this.habitatCellSize = 0;
+  }
+
+  get halfExtent() {
+    return this.terrainGenerator.config.size * this.config.extent / 2;
+  }
+
+  /**
+   * Le terrain convient-il à l'espèce en (x, z) ? Biome, altitude, pente
+   * et sol sec ; l'espacement est vérifié à part (`isFree`)
+   */
+  suits(rules, x, z) {
+    const tg = this.terrainGenerator;
+    return rules.biomes.has(tg.getBiomeAt(x, z)) &&
+      this.inRange(rules, tg.getHeightAt(x, z), tg.getSlopeAt(x, z)) &&
+      this.isOnDryLand(x, z);
+  }
+
+  inRange(rules, height, slope) {
+    const altitude = height / this.terrainGenerator.config.heightScale;
+    return altitude >= rules.altitude[0] && altitude <= rules.altitude[1] &&
+      slope >= rules.slope[0] && slope <= rules.slope[1];
+  }
+
+  /**
+   * Vérifie qu'aucune plante ne pousse les pieds dans l'eau
+   * (y compris sur la berge d'une cellule voisine d'une rivière)
+   */
+  isOnDryLand(x, z, margin = this.config.shoreMargin) {
+    const tg = this.terrainGenerator;
+    return tg.getWaterDepthAt(x, z) === 0 &&
+      tg.getWaterDepthAt(x + margin, z) === 0 &&
+      tg.getWaterDepthAt(x - margin, z) === 0 &&
+      tg.getWaterDepthAt(x, z + margin) === 0 &&
+      tg.getWaterDepthAt(x, z - margin) === 0;
+  }
+
+  /**
+   * Relevé du terrain sur une grille grossière (biome, hauteur, pente, sol
+   * sec au centre de chaque cellule), partagé par toutes les espèces
+   */
+  surveyTerrain() {
+    if (this.habitatCells) return this.habitatCells;
+    const tg = this.terrainGenerator;
+    const n = this.config.habitatResolution;
+    const half = this.halfExtent;
+    const cellSize = half * 2 / n;
+
+    this.habitatCells = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const x = -half + (i + 0.5) * cellSize;
+        const z = -half + (j + 0.5) * cellSize;
+        if (!this.isOnDryLand(x, z)) continue;
+        const biome = tg.getBiomeAt(x, z);
+        this.habitatCells.push({
+          x, z, biome,
+          height: tg.getHeightAt(x, z),
+          slope: tg.getSlopeAt(x, z),
+          weight: getBiomeDefinition(biome).vegetation.density,
+        });
+      }
+    }
+    this.habitatCellSize = cellSize;
+    return this.habitatCells;
+  }
+
+  /**
+   * Habitat d'une espèce : cellules du relevé qui lui conviennent, et
+   * leurs poids (densité du biome) cumulés pour les tirer
+   */
+  habitat(rules) {
+    const cells = [];
+    const cumulative = [];
+    let total = 0;
+    for (const cell of this.surveyTerrain()) {
+      if (cell.weight <= 0 || !rules.biomes.has(cell.biome) || !this.inRange(rules, cell.height, cell.slope)) continue;
+      total += cell.weight;
+      cells.push(cell);
+      cumulative.push(total);
+    }
+    return { cells, cumulative };
+  }
+
+  /**
+   * Point aléatoire dans une cellule d'habitat tirée selon son poids
+   */
+  randomHabitatPoint({ cells, cumulative }) {
+    const target = this.rng.next() * cumulative[cumulative.length - 1];
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] > target) hi = mid;
+      else lo = mid + 1;
+    }
+    const cell = cells[lo];
+    const s = this.habitatCellSize;
+    return { x: cell.x + this.rng.range(-0.5, 0.5) * s, z: cell.z + this.rng.range(-0.5, 0.5) * s };
+  }
+
+  grid(category) {
+    let grid = this.grids.get(category);
+    if (!grid) {
+      grid = { cells: new Map(), maxSpacing: 0 };
+      this.grids.set(category, grid);
+    }
+    return grid;
+  }
+
+  /**
+   * Aucune plante de la catégorie plus près que le plus grand des deux
+   * espacements ?
+   */
+  isFree(category, x, z, spacing) {
+    const grid = this.grid(category);
+    const { cellSize } = this.config;
+    const reach = Math.max(spacing, grid.maxSpacing);
+    const range = Math.ceil(reach / cellSize);
+    const ci = Math.floor(x / cellSize);
+    const cj = Math.floor(z / cellSize);
+
+    for (let i = ci - range; i <= ci + range; i++) {
+      for (let j = cj - range; j <= cj + range; j++) {
+        const cell = grid.cells.get(`${i},${j}`);
+        if (!cell) continue;
+        for (const other of cell) {
+          const min = Math.max(spacing, other.spacing);
+          const dx = other.x - x;
+          const dz = other.z - z;
+          if (dx * dx + dz * dz < min * min) return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  occupy(category, x, z, spacing) {
+    const grid = this.grid(category);
+    const { cellSize } = this.config;
+    const key = `${Math.floor(x / cellSize)},${Math.floor(z / cellSize)}`;
+    let cell = grid.cells.get(key);
+    if (!cell) {
+      cell = [];
+      grid.cells.set(key, cell);
+    }
+    cell.push({ x, z, spacing });
+    grid.maxSpacing = Math.max(grid.maxSpacing, spacing);
+  }
+
+  /**
+   * Place jusqu'à `count` plantes d'une espèce. Renvoie leurs positions
+   * `{ x, z }` (peut-être moins que demandé si l'habitat est trop petit
+   * ou déjà plein)
+   */
+  place({ category, rules }, count, habitat = this.habitat(rules)) {
+    const placed = [];
+    if (count <= 0 || habitat.cells.length === 0) return placed;
+
+    const { attemptsPerPlant, neighbourAttempts } = this.config;
+    const half = this.halfExtent;
+    const { spacing, clustering } = rules;
+    const active = []; // Plantes autour desquelles on peut encore semer
+    let attempts = count * attemptsPerPlant;
+
+    while (placed.length < count && attempts-- > 0) {
+      let point;
+      let parent = -1;
+      if (active.length > 0 && this.rng.chance(clustering)) {
+        // Anneau de Bridson autour d'une plante de l'espèce : entre 1 et 2 espacements
+        parent = this.rng.int(0, active.length - 1);
+        const angle = this.rng.next() * Math.PI * 2;
+        const distance = spacing * (1 + this.rng.next());
+        point = {
+          x: active[parent].x + Math.cos(angle) * distance,
+          z: active[parent].z + Math.sin(angle) * distance,
+        };
+      } else {
+        point = this.randomHabitatPoint(habitat);
+      }
+
+      const { x, z } = point;
+      if (Math.abs(x) <= half && Math.abs(z) <= half &&
+          this.isFree(category, x, z, spacing) && this.suits(rules, x, z)) {
+        this.occupy(category, x, z, spacing);
+        placed.push(point);
+        active.push({ x, z, failures: 0 });
+      } else if (parent >= 0 && ++active[parent].failures >= neighbourAttempts) {
+        // Plus de place autour : on la retire des points de départ
+        active[parent] = active[active.length - 1];
+        active.pop();
+      }
+    }
+    return placed;
+  }
+}
+
+export default PlantPlacement;
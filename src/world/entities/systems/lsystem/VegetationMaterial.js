@@ -0,0 +1,171 @@
+/**
+ * Matériau de la végétation, animé par le vent.
+ *
+ * Le vertex shader déplace chaque sommet selon le vent au pied de la
+ * plante (champ de rafales de `Wind`) et les poids de l'attribut `wind`
+ * calculés par BranchMesher :
+ *  - flexion (x) : toute la plante ploie dans le sens du vent, le haut
+ *    plus que le bas, avec un léger balancement ;
+ *  - frémissement (y) : rameaux et feuilles oscillent vite, d'autant plus
+ *    qu'ils sont loin du tronc.
+ * Le déplacement est calculé en coordonnées monde puis ramené dans le
+ * repère de l'instance : éclairage, ombres et brouillard suivent. Il est
+ * proportionnel à l'échelle de l'instance (une pousse bouge peu).
+ *
+ * Niveaux de détail (PlantInstances) : l'attribut d'instance `instanceFade`
+ * fond une plante d'un niveau à l'autre par tramage (voir `lodFadeGLSL`),
+ * et seules les plantes à moins de `shadowDistance` de la caméra projettent
+ * une ombre.
+ *
+ * Comme TerrainMaterial, on étend `MeshStandardMaterial` (onBeforeCompile).
+ * `depthMaterial` porte le même déplacement pour les ombres portées.
+ */
+import * as THREE from 'three';
+import { windGustGLSL } from '../../../environment/Wind.js';
+
+/**
+ * Paramètres par défaut
+ */
+export const VegetationMaterialDefaults = {
+  bend: 1,              // Multiplie la flexion (poids x vitesse du vent)
+  flutter: 0.04,        // Amplitude du frémissement des feuilles (unités monde)
+  shadowDistance: 80,   // Au-delà (distance plante - caméra), pas d'ombre portée
+};
+
+/**
+ * Fondu entre niveaux de détail, par tramage ordonné (Bayer 4x4) : pas de
+ * transparence à trier, et les deux niveaux se partagent exactement les
+ * pixels. `instanceFade` vaut 1 pour une plante stable, f dans [0, 1[ pour
+ * le niveau qui apparaît et f - 1 pour celui qui disparaît.
+ */
+export const lodFadeGLSL = {
+  vertexHeader: /* glsl */`
+attribute float instanceFade;
+varying float vLodFade;
+`,
+  vertexBody: /* glsl */`
+  vLodFade = instanceFade;
+`,
+  fragmentHeader: /* glsl */`
+varying float vLodFade;
+
+float lodDither(vec2 p) {
+  ivec2 q = ivec2(mod(p, 4.0));
+  int i = q.x + q.y * 4;
+  int bayer[16] = int[16](0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5);
+  return (float(bayer[i]) + 0.5) / 16.0;
+}
+`,
+  fragmentBody: /* glsl */`
+  float lodThreshold = lodDither(gl_FragCoord.xy);
+  if (vLodFade >= 0.0 ? lodThreshold >= vLodFade : lodThreshold < vLodFade + 1.0) discard;
+`,
+};
+
+const vertexHeader = /* glsl */`
+${windGustGLSL}
+uniform float windBend;
+uniform float windFlutter;
+uniform vec3 shadowCenter;
+uniform float shadowDistance;
+attribute vec2 wind;
+`;
+
+const plantBody = /* glsl */`
+#ifdef USE_INSTANCING
+  mat4 plantMatrix = modelMatrix * instanceMatrix;
+#else
+  mat4 plantMatrix = modelMatrix;
+#endif
+  vec3 plantOrigin = plantMatrix[3].xyz;
+  mat3 plantBasis = mat3(plantMatrix);
+`;
+
+const windBody = /* glsl */`
+  vec2 windVelocity = windVelocityAt(plantOrigin.xz);
+  vec3 windPush = vec3(windVelocity.x, 0.0, windVelocity.y);
+
+  // Flexion : la plante ploie et se balance lentement (phase propre à chaque plante)
+  float sway = 0.8 + 0.2 * sin(windTime * 1.7 + plantOrigin.x * 0.31 + plantOrigin.z * 0.17);
+  vec3 windOffset = windPush * (wind.x * windBend * sway);
+  windOffset.y -= 0.2 * length(windOffset.xz); // Le haut plié s'abaisse un peu
+
+  // Frémissement : oscillation rapide, déphasée le long de la branche
+  float flutter = sin(windTime * 7.0 + dot(position, vec3(3.1, 1.7, 2.3)) + plantOrigin.x);
+  windOffset += (windPush + vec3(0.0, length(windVelocity), 0.0)) * (wind.y * windFlutter * flutter);
+
+  // Monde -> repère de l'instance, à l'échelle de la plante
+  transformed += inverse(plantBasis) * (windOffset * length(plantBasis[0]));
+`;
+
+// Ombres : une plante trop loin de la caméra est réduite à un point (triangles vides)
+const shadowBody = /* glsl */`
+  if (distance(plantOrigin, shadowCenter) > shadowDistance) transformed = vec3(0.0);
+`;
+
+/**
+ * Ajoute vent, fondu et (pour les ombres) portée au shader d'un matériau
+ */
+function injectVegetation(shader, uniforms, { wind, depth }) {
+  Object.assign(shader.uniforms, uniforms);
+  const body = plantBody + (wind ? windBody : '') + (depth ? shadowBody : '') + lodFadeGLSL.vertexBody;
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', `#include <common>\n${vertexHeader}\n${lodFadeGLSL.vertexHeader}`)
+    .replace('#include <begin_vertex>', `#include <begin_vertex>\n${body}`);
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', `#include <common>\n${lodFadeGLSL.fragmentHeader}`)
+    .replace('#include <clipping_planes_fragment>', `#include <clipping_planes_fragment>\n${lodFadeGLSL.fragmentBody}`);
+}
+
+/**
+ * Matériau standard à couleurs de sommets + vent (si `wind` est donné)
+ */
+export class VegetationMaterial extends THREE.MeshStandardMaterial {
+  constructor(config = {}) {
+    const { wind, ...rest } = config;
+    const settings = { ...VegetationMaterialDefaults, ...rest };
+
+    super({ vertexColors: true, roughness: 0.9, metalness: 0.1 });
+    this.type = 'VegetationMaterial';
+    this.wind = wind || null;
+
+    // Uniforms du vent partagés avec `Wind` : son update anime tous les matériaux
+    this.vegetationUniforms = {
+      ...(wind ? wind.uniforms : {}),
+      windBend: { value: settings.bend },
+      windFlutter: { value: settings.flutter },
+      shadowCenter: { value: new THREE.Vector3() },
+      shadowDistance: { value: settings.shadowDistance },
+    };
+
+    // Ombres portées : même déplacement, limitées autour de la caméra
+    this.depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    this.depthMaterial.onBeforeCompile = (shader) => {
+      injectVegetation(shader, this.vegetationUniforms, { wind: this.wind, depth: true });
+    };
+    this.depthMaterial.customProgramCacheKey = () => `bloomfall-vegetation-depth${this.wind ? '' : '-calm'}`;
+  }
+
+  /**
+   * Centre du disque où les plantes projettent une ombre (la caméra)
+   */
+  get shadowCenter() {
+    return this.vegetationUniforms.shadowCenter.value;
+  }
+
+  onBeforeCompile(shader) {
+    injectVegetation(shader, this.vegetationUniforms, { wind: this.wind, depth: false });
+  }
+
+  // Un seul programme pour toutes les plantes (le shader ne dépend que des uniforms)
+  customProgramCacheKey() {
+    return `bloomfall-vegetation${this.wind ? '' : '-calm'}`;
+  }
+
+  dispose() {
+    this.depthMaterial.dispose();
+    super.dispose();
+  }
+}
+
+export default VegetationMaterial;
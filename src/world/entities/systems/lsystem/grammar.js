@@ -0,0 +1,417 @@
+/**
+ * Grammaire des L-systems paramétriques.
+ *
+ * Une chaîne L-system est une suite de modules : un symbole, éventuellement
+ * suivi de paramètres numériques, ex. `F(1.5,0.2)+(30)A(3)`. Les règles
+ * s'écrivent :
+ *
+ *   'A(t) : t > 2'  ->  'F(t*0.8)[+(30)A(t-1)]'
+ *
+ * - prédécesseur : symbole + noms des paramètres formels (optionnels) ;
+ * - contextes (optionnels) : `G < A > D` ne remplace A que s'il suit G et
+ *   précède D dans la structure de la plante (voir matchLeftContext) ;
+ * - garde (après `:`) : la règle ne s'applique que si elle est vraie ;
+ * - successeur : modules dont les paramètres sont des expressions
+ *   arithmétiques (+ - * / % ^, comparaisons, && || !, fonctions Math).
+ *
+ * Les expressions sont compilées une fois en fonctions JavaScript (sans
+ * `eval`), qui reçoivent un objet { nom: valeur } (paramètres + constantes).
+ */
+
+/**
+ * Un module de la chaîne : symbole + paramètres évalués
+ */
+export function createModule(symbol, params = []) {
+  return { symbol, params };
+}
+
+// Fonctions utilisables dans les expressions
+const FUNCTIONS = {
+  sin: (deg) => Math.sin((deg * Math.PI) / 180),
+  cos: (deg) => Math.cos((deg * Math.PI) / 180),
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  pow: Math.pow,
+  exp: Math.exp,
+  log: Math.log,
+};
+
+// Précédence des opérateurs binaires (plus grand = plus prioritaire)
+const BINARY = {
+  '||': [1, (a, b) => (a || b ? 1 : 0)],
+  '&&': [2, (a, b) => (a && b ? 1 : 0)],
+  '==': [3, (a, b) => (a === b ? 1 : 0)],
+  '!=': [3, (a, b) => (a !== b ? 1 : 0)],
+  '<': [4, (a, b) => (a < b ? 1 : 0)],
+  '>': [4, (a, b) => (a > b ? 1 : 0)],
+  '<=': [4, (a, b) => (a <= b ? 1 : 0)],
+  '>=': [4, (a, b) => (a >= b ? 1 : 0)],
+  '+': [5, (a, b) => a + b],
+  '-': [5, (a, b) => a - b],
+  '*': [6, (a, b) => a * b],
+  '/': [6, (a, b) => a / b],
+  '%': [6, (a, b) => a % b],
+  '^': [7, (a, b) => Math.pow(a, b)],
+};
+
+/**
+ * Découpe une expression en jetons (nombres, noms, opérateurs, parenthèses)
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[A-Za-z_]\w*|\|\||&&|==|!=|<=|>=|[-+*/%^<>!(),])/gy;
+  let match;
+  let end = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1]);
+    end = pattern.lastIndex;
+  }
+  if (text.slice(end).trim() !== '') {
+    throw new Error(`Expression L-system invalide : "${text}"`);
+  }
+  return tokens;
+}
+
+/**
+ * Compile une expression en fonction `(env) => nombre`.
+ * Les booléens valent 1 / 0, comme dans la notation de Lindenmayer.
+ * La fonction porte `variables` : les noms qu'elle lit dans `env`.
+ */
+export function compileExpression(text) {
+  const tokens = tokenize(text);
+  const variables = new Set();
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) {
+      throw new Error(`Expression L-system invalide : "${text}" ("${token}" attendu)`);
+    }
+    pos++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token === undefined) {
+      throw new Error(`Expression L-system incomplète : "${text}"`);
+    }
+    if (token === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+    if (token === '-' || token === '+' || token === '!') {
+      const operand = parseBinary(6); // -x^2 = -(x^2), -a*b = (-a)*b
+      if (token === '-') return (env) => -operand(env);
+      if (token === '!') return (env) => (operand(env) ? 0 : 1);
+      return operand;
+    }
+    if (/^[\d.]/.test(token)) {
+      const value = Number(token);
+      return () => value;
+    }
+    if (!/^[A-Za-z_]/.test(token)) {
+      throw new Error(`Expression L-system invalide : "${text}" ("${token}" inattendu)`);
+    }
+    if (peek() === '(') {
+      const fn = FUNCTIONS[token];
+      if (!fn) throw new Error(`Fonction L-system inconnue : "${token}"`);
+      pos++;
+      // Arguments séparés par des virgules : `max(1 2)` est refusé
+      const args = [];
+      if (peek() !== ')') {
+        args.push(parseBinary(0));
+        while (peek() === ',') {
+          pos++;
+          args.push(parseBinary(0));
+        }
+      }
+      expect(')');
+      return (env) => fn(...args.map(arg => arg(env)));
+    }
+    variables.add(token);
+    return (env) => {
+      const value = env[token];
+      if (value === undefined) throw new Error(`Variable L-system inconnue : "${token}"`);
+      return value;
+    };
+  };
+
+  // Analyse par précédence : on absorbe les opérateurs plus prioritaires que `minPrecedence`
+  const parseBinary = (minPrecedence) => {
+    let left = parsePrimary();
+    for (;;) {
+      const symbol = peek();
+      const operator = BINARY[symbol];
+      if (!operator || operator[0] <= minPrecedence) return left;
+      pos++;
+      const [precedence, apply] = operator;
+      // ^ est associatif à droite
+      const right = parseBinary(symbol === '^' ? precedence - 1 : precedence);
+      const lhs = left;
+      left = (env) => apply(lhs(env), right(env));
+    }
+  };
+
+  const compiled = parseBinary(0);
+  if (pos !== tokens.length) {
+    throw new Error(`Expression L-system invalide : "${text}"`);
+  }
+  compiled.variables = variables;
+  return compiled;
+}
+
+/**
+ * Sépare les arguments d'un module au niveau zéro des parenthèses
+ */
+function splitArguments(text) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '(') depth++;
+    else if (c === ')') depth--;
+    else if (c === ',' && depth === 0) {
+      args.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  args.push(text.slice(start));
+  return args.map(arg => arg.trim()).filter(arg => arg !== '');
+}
+
+/**
+ * Découpe une chaîne en `{ symbol, args }` (args = textes bruts des paramètres)
+ */
+function scanModules(text) {
+  const modules = [];
+  let i = 0;
+  while (i < text.length) {
+    const symbol = text[i++];
+    if (/\s/.test(symbol)) continue;
+
+    let args = [];
+    if (text[i] === '(') {
+      let depth = 0;
+      const start = i + 1;
+      for (; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')' && --depth === 0) break;
+      }
+      if (depth !== 0) throw new Error(`Parenthèse non fermée dans "${text}"`);
+      args = splitArguments(text.slice(start, i));
+      i++; // ')'
+    }
+    modules.push({ symbol, args });
+  }
+  return modules;
+}
+
+/**
+ * Lit une chaîne de modules à paramètres constants (axiome), ex. `A(1)F(2,0.3)`.
+ * Les constantes du preset sont utilisables dans les paramètres.
+ */
+export function parseModules(text, constants = {}) {
+  return scanModules(text).map(({ symbol, args }) =>
+    createModule(symbol, args.map(arg => compileExpression(arg)(constants)))
+  );
+}
+
+/**
+ * Compile un successeur en fonction `(env) => modules`, qui porte
+ * `variables` comme compileExpression
+ */
+export function compileSuccessor(text) {
+  const templates = scanModules(text).map(({ symbol, args }) => ({
+    symbol,
+    args: args.map(arg => compileExpression(arg)),
+  }));
+  const successor = (env) => templates.map(({ symbol, args }) => createModule(symbol, args.map(arg => arg(env))));
+  successor.variables = new Set(templates.flatMap(({ args }) => args.flatMap(arg => [...arg.variables])));
+  return successor;
+}
+
+/**
+ * Lit un prédécesseur `G(x) < A(t, l) > D : garde`
+ * -> { symbol, params, left, right, guard } (contextes à null si absents)
+ */
+function parsePredecessor(text) {
+  const [head, condition] = splitOnce(text, ':');
+  const [leftText, rest] = head.includes('<') ? splitOnce(head, '<') : [null, head];
+  const [strict, rightText] = rest.includes('>') ? splitOnce(rest, '>') : [rest, null];
+
+  const match = /^\s*(\S)\s*(?:\(([^)]*)\))?\s*$/.exec(strict);
+  if (!match) {
+    throw new Error(`Prédécesseur L-system invalide : "${text}"`);
+  }
+  const params = match[2] ? match[2].split(',').map(p => p.trim()).filter(Boolean) : [];
+  const guard = condition && condition.trim() ? compileExpression(condition) : null;
+  return {
+    symbol: match[1],
+    params,
+    left: parseContext(leftText, text),
+    right: parseContext(rightText, text),
+    guard,
+  };
+}
+
+/**
+ * Contexte : suite de modules dont les paramètres sont des noms à lier
+ */
+function parseContext(text, rule) {
+  if (text === null || text.trim() === '') return null;
+  return scanModules(text).map(({ symbol, args }) => {
+    for (const name of args) {
+      if (!/^[A-Za-z_]\w*$/.test(name)) {
+        throw new Error(`Paramètre de contexte invalide "${name}" dans "${rule}"`);
+      }
+    }
+    return { symbol, params: args };
+  });
+}
+
+/**
+ * Lie les paramètres d'un module à ceux attendus par un motif (faux si le
+ * symbole ou le nombre de paramètres diffère)
+ */
+function bindModule(module, expected, env) {
+  if (module.symbol !== expected.symbol) return false;
+  if (expected.params.length === 0) return true;
+  if (expected.params.length !== module.params.length) return false;
+  expected.params.forEach((name, i) => { env[name] = module.params[i]; });
+  return true;
+}
+
+/**
+ * Indice du crochet associé à chaque '[' et ']' (-1 ailleurs, ou si le
+ * crochet n'est pas fermé)
+ */
+export function matchBrackets(modules) {
+  const partner = new Int32Array(modules.length).fill(-1);
+  const open = [];
+  modules.forEach(({ symbol }, i) => {
+    if (symbol === '[') {
+      open.push(i);
+    } else if (symbol === ']' && open.length > 0) {
+      const start = open.pop();
+      partner[start] = i;
+      partner[i] = start;
+    }
+  });
+  return partner;
+}
+
+/**
+ * Contexte gauche (The Algorithmic Beauty of Plants, 1.8) : en remontant la
+ * chaîne, on saute les symboles ignorés et les branches déjà fermées
+ * (`[...]`), et un '[' mène au module porteur de la branche. Le contexte
+ * gauche d'un module est donc son ancêtre dans la plante.
+ */
+export function matchLeftContext(modules, index, pattern, ignore, env, brackets = matchBrackets(modules)) {
+  let j = index - 1;
+  for (let k = pattern.length - 1; k >= 0; k--) {
+    for (;;) {
+      if (j < 0) return false;
+      const { symbol } = modules[j];
+      if (symbol === ']' && brackets[j] >= 0) {
+        j = brackets[j] - 1; // Branche sœur : on la saute en entier
+      } else if (symbol === '[' || ignore.has(symbol)) {
+        j--;
+      } else {
+        break;
+      }
+    }
+    if (!bindModule(modules[j], pattern[k], env)) return false;
+    j--;
+  }
+  return true;
+}
+
+/**
+ * Contexte droit : on avance en sautant les symboles ignorés et les
+ * branches latérales que le motif ne mentionne pas ; la fin de la branche
+ * courante (']') arrête la recherche. Un motif peut lui-même contenir des
+ * branches, ex. `A > [B]C` ; un ']' du motif saute le reste de la branche.
+ */
+export function matchRightContext(modules, index, pattern, ignore, env, brackets = matchBrackets(modules)) {
+  let j = index + 1;
+  for (const expected of pattern) {
+    if (expected.symbol === ']') {
+      // Reste de la branche courante, jusqu'à son crochet fermant
+      let depth = 0;
+      for (; j < modules.length; j++) {
+        const { symbol } = modules[j];
+        if (symbol === '[') depth++;
+        else if (symbol === ']' && depth-- === 0) break;
+      }
+      if (j >= modules.length) return false;
+      j++;
+      continue;
+    }
+
+    for (;;) {
+      if (j >= modules.length) return false;
+      const { symbol } = modules[j];
+      if (ignore.has(symbol)) {
+        j++;
+      } else if (symbol === '[' && expected.symbol !== '[' && brackets[j] >= 0) {
+        j = brackets[j] + 1; // Branche latérale hors motif
+      } else {
+        break;
+      }
+    }
+    if (!bindModule(modules[j], expected, env)) return false;
+    j++;
+  }
+  return true;
+}
+
+function splitOnce(text, separator) {
+  const index = text.indexOf(separator);
+  return index < 0 ? [text, null] : [text.slice(0, index), text.slice(index + separator.length)];
+}
+
+/**
+ * Compile les règles d'un preset. Deux écritures possibles :
+ *  - objet : `{ 'A(t) : t>2': 'F(t)A(t-1)', 'B < A': 'B', F: [{ p: 0.4, s: 'F[+F]F' }, ...] }`
+ *  - liste de chaînes : `['A(t) : t>2 -> F(t)A(t-1)', 'B < A -> B', ...]`
+ *
+ * Renvoie une Map symbole -> règles (dans l'ordre d'écriture : la première
+ * dont les contextes et la garde sont vérifiés l'emporte). Chaque règle :
+ * `{ symbol, params, left, right, guard, stochastic, productions: [{ p, successor }] }`.
+ */
+export function parseRules(rules = {}) {
+  const entries = Array.isArray(rules)
+    ? rules.map((line) => {
+      const [predecessor, successor] = splitOnce(line, '->');
+      if (successor === null) throw new Error(`Règle L-system sans "->" : "${line}"`);
+      return [predecessor, successor.trim()];
+    })
+    : Object.entries(rules);
+
+  const bySymbol = new Map();
+  for (const [predecessor, value] of entries) {
+    const rule = parsePredecessor(predecessor);
+    rule.stochastic = Array.isArray(value);
+    rule.productions = (rule.stochastic ? value : [{ p: 1, s: value }])
+      .map(({ p, s }) => ({ p, successor: compileSuccessor(s) }));
+
+    if (!bySymbol.has(rule.symbol)) bySymbol.set(rule.symbol, []);
+    bySymbol.get(rule.symbol).push(rule);
+  }
+  return bySymbol;
+}
+
+/**
+ * Réécrit une liste de modules en chaîne lisible, ex. `F(1.5)[+(30)A(2)]`
+ */
+export function modulesToString(modules) {
+  return modules
+    .map(({ symbol, params }) => (params.length ? `${symbol}(${params.map(p => +p.toFixed(4)).join(',')})` : symbol))
+    .join('');
+}
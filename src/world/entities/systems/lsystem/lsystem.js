@@ -2,7 +2,18 @@
  * Module L-System : génération procédurale de plantes / arbres à partir de chaînes.
  *
  * On décrit une "grammaire" (axiome + règles) puis on la fait évoluer pour
- * obtenir une longue chaîne de symboles. Cette chaîne est ensuite interprétée
+ * obtenir une longue chaîne de symboles. Une règle peut proposer plusieurs
+ * remplacements pondérés (L-system stochastique) : chaque plante tire les
+ * siens avec sa propre graine, donc deux arbres du même preset diffèrent.
+ *
+ * Les modules peuvent porter des paramètres (`F(l,w)`, `+(a)`, `A(t)`), les
+ * règles calculer les suivants et n'agir que sous condition :
+ * `'A(l) : l > 0.2': 'F(l)[+(30)A(l*0.6)]/(137.5)A(l*0.9)'` (voir grammar.js).
+ * Les presets peuvent ainsi décrire dominance apicale, phyllotaxie à l'angle
+ * d'or ou effilement branche par branche. Avec un contexte (`'B < K': 'B'`),
+ * une règle dépend des voisins du module dans la plante, ce qui propage un
+ * signal d'un module à l'autre : floraison qui monte depuis la base, hormone
+ * qui descend du bourgeon... Cette chaîne est ensuite interprétée
  * comme des commandes de tortue 3D pour construire un mesh.
  *
  * Dans Bloomfall, ce système est utilisé pour tout ce qui est végétation :
@@ -10,6 +21,12 @@
  * regroupent plusieurs styles prêts à l'emploi.
  */
 import * as THREE from 'three';
+import { worldRandom, RandomGenerator } from '../../../../utils/random.js';
+import { getBiomeDefinition } from '../../../biomes/biomeRegistry.js';
+import { parseModules, parseRules, matchBrackets, matchLeftContext, matchRightContext } from './grammar.js';
+import { PlantInstances } from './PlantInstances.js';
+import { PlantPlacement, collectSpecies } from './PlantPlacement.js';
+import { BranchMesher } from './BranchMesher.js';
 
 /**
  * Classe pour générer des plantes et arbres avec les L-Systems
@@ -17,27 +34,76 @@ import * as THREE from 'three';
 export class LSystem {
   constructor(config = {}) {
     this.axiom = config.axiom || 'F';
+    // Règle = chaîne de remplacement, ou alternatives pondérées :
+    // { F: [{ p: 0.4, s: 'F[+F]F' }, { p: 0.6, s: 'F[-F]F' }] }
+    // Prédécesseur paramétré et gardé : { 'A(t) : t > 2': 'F(t)A(t-1)' }
     this.rules = config.rules || {};
+    this.constants = config.constants || {}; // Noms utilisables dans les expressions
+    // Symboles transparents pour les contextes (ex. '+-F' : les angles et
+    // entre-nœuds ne séparent pas deux modules voisins)
+    this.ignore = new Set(config.ignore || '');
+    this.seed = config.seed ?? 0; // Graine des tirages de règles (même graine = même plante)
     this.angle = config.angle || 25;
     this.iterations = config.iterations || 4;
     this.length = config.length || 1;
     this.lengthDecay = config.lengthDecay || 0.8;
     this.thickness = config.thickness || 0.15;
     this.thicknessDecay = config.thicknessDecay || 0.7;
+    this.taper = config.taper || 0.7; // Rayon en haut d'un segment / rayon en bas
+    this.radialSegments = config.radialSegments || 6; // Côtés des tubes de branches
+    this.flexibility = config.flexibility || 0.04; // Souplesse au vent (fraction de la hauteur)
+    // Tropismes : après chaque F, la direction s'incline vers le sol
+    // (gravitropism > 0 : branches qui retombent) et vers la lumière
+    // (phototropism, `lightDirection` pointe vers le soleil)
+    this.gravitropism = config.gravitropism || 0;
+    this.phototropism = config.phototropism || 0;
+    this.lightDirection = config.lightDirection
+      ? new THREE.Vector3().copy(config.lightDirection).normalize()
+      : new THREE.Vector3(0, 1, 0);
+    this.tropism = new THREE.Vector3(0, -this.gravitropism, 0)
+      .addScaledVector(this.lightDirection, this.phototropism);
     this.color = config.color || 0x4A7C2F;
     this.leafColor = config.leafColor || 0x2E5C1F;
   }
 
   /**
-   * Génère la chaîne L-System en appliquant les règles
+   * Génère la chaîne L-System en appliquant les règles. Les tirages repartent
+   * de `seed` à chaque appel : le résultat est toujours le même, et les
+   * premières étapes ne dépendent pas du nombre total d'itérations.
+   *
+   * Chaque module note l'étape qui l'a créé (`age`, 0 pour l'axiome). Dans
+   * un successeur, le premier module du même symbole que le prédécesseur le
+   * prolonge et garde son âge : F -> F[+F]F ajoute deux segments neufs à
+   * un segment existant.
+   *
+   * @returns {{symbol: string, params: number[], age: number}[]}  liste de modules
    */
-  generate() {
-    let current = this.axiom;
+  generate(iterations = this.iterations) {
+    const rng = new RandomGenerator(this.seed);
+    const rules = parseRules(this.rules);
+    let current = parseModules(this.axiom, this.constants);
+    for (const module of current) module.age = 0;
     
-    for (let i = 0; i < this.iterations; i++) {
-      let next = '';
-      for (let char of current) {
-        next += this.rules[char] || char;
+    for (let i = 0; i < iterations; i++) {
+      const next = [];
+      const brackets = matchBrackets(current);
+      for (let index = 0; index < current.length; index++) {
+        const module = current[index];
+        const successor = this.rewrite(current, index, rules.get(module.symbol), rng, brackets);
+        if (successor) {
+          let inherited = false;
+          for (const m of successor) {
+            if (!inherited && m.symbol === module.symbol) {
+              m.age = module.age;
+              inherited = true;
+            } else {
+              m.age = i + 1;
+            }
+            next.push(m);
+          }
+        } else {
+          next.push(module);
+        }
       }
       current = next;
     }
@@ -46,59 +112,176 @@ export class LSystem {
   }
 
   /**
-   * Interprète la chaîne L-System et crée la géométrie 3D
+   * État de croissance intermédiaire, de la graine (0) à la plante adulte
+   * (1) : itérations fractionnaires. Pour `growth * iterations = n + x`, on
+   * génère n + 1 étapes et les modules de la dernière ne sont qu'à la
+   * fraction x de leur taille (champ `growth`, lu par createGeometry) ; la
+   * plante passe donc continûment d'une étape à la suivante.
+   */
+  generateGrowth(growth) {
+    const t = THREE.MathUtils.clamp(growth, 0, 1) * this.iterations;
+    const modules = this.generate(Math.ceil(t));
+    for (const module of modules) {
+      module.growth = THREE.MathUtils.clamp(t - module.age + 1, 0, 1);
+    }
+    return modules;
+  }
+
+  /**
+   * Successeur du module `modules[index]` : première règle du symbole dont
+   * les paramètres correspondent, dont les contextes sont présents (lus dans
+   * la chaîne de l'étape précédente : réécriture parallèle) et dont la garde
+   * est vraie (null si aucune)
+   */
+  rewrite(modules, index, rules, rng, brackets) {
+    if (!rules) return null;
+    const module = modules[index];
+
+    for (const rule of rules) {
+      // Une règle sans paramètres formels accepte le symbole quels que soient les siens
+      if (rule.params.length > 0 && rule.params.length !== module.params.length) continue;
+
+      const env = { ...this.constants };
+      rule.params.forEach((name, i) => { env[name] = module.params[i]; });
+      if (rule.left && !matchLeftContext(modules, index, rule.left, this.ignore, env, brackets)) continue;
+      if (rule.right && !matchRightContext(modules, index, rule.right, this.ignore, env, brackets)) continue;
+      if (rule.guard && !rule.guard(env)) continue;
+
+      return this.chooseProduction(rule, rng).successor(env);
+    }
+    return null;
+  }
+
+  /**
+   * Production d'une règle : l'unique, ou une alternative tirée selon les
+   * poids `p` (pas besoin qu'ils somment à 1)
+   */
+  chooseProduction(rule, rng) {
+    const { productions } = rule;
+    if (!rule.stochastic) return productions[0];
+
+    const total = productions.reduce((sum, { p }) => sum + p, 0);
+    let r = rng.next() * total;
+    for (const production of productions) {
+      r -= production.p;
+      if (r < 0) return production;
+    }
+    return productions[productions.length - 1];
+  }
+
+  /**
+   * Position de chaque F dans sa branche : `[début, fin]` dans [0, 1]
+   * (segment i sur n : [i / n, (i + 1) / n]), indexé comme `modules`. Une
+   * branche va d'un `[` (ou du début, ou d'un `f`) au `]` correspondant ;
+   * les sous-branches entre crochets ne la coupent pas.
+   */
+  branchProgress(modules) {
+    const progress = new Array(modules.length);
+    const finish = (run) => {
+      run.forEach((index, i) => {
+        progress[index] = [i / run.length, (i + 1) / run.length];
+      });
+    };
+
+    const runs = [[]];
+    modules.forEach(({ symbol }, index) => {
+      if (symbol === 'F') runs[runs.length - 1].push(index);
+      else if (symbol === '[') runs.push([]);
+      else if (symbol === ']' && runs.length > 1) finish(runs.pop());
+      else if (symbol === 'f') {
+        finish(runs[runs.length - 1]);
+        runs[runs.length - 1] = [];
+      }
+    });
+    runs.forEach(finish);
+    return progress;
+  }
+
+  /**
+   * Interprète la chaîne L-System et crée la géométrie 3D.
+   *
+   * `instructions` : modules (generate) ou chaîne. Paramètres reconnus :
+   * F(longueur, rayon), f(longueur), + - & ^ \ / (angle en degrés),
+   * !(rayon) (sans paramètre : rayon x thicknessDecay), L(taille).
+   * Les autres symboles (A, B, X...) ne dessinent rien. Longueurs et
+   * tailles de feuilles sont multipliées par le `growth` du module
+   * (generateGrowth), 1 par défaut.
+   *
+   * Les F successifs d'une même branche forment un tube continu (voir
+   * BranchMesher) : chaque segment part de l'anneau du précédent, avec
+   * son rayon. Le rayon s'affine régulièrement le long de la branche, de
+   * `épaisseur` à sa base jusqu'à `épaisseur x taper` à son bout, quel que
+   * soit le nombre de segments (voir branchProgress). Les sommets portent
+   * leurs poids de vent (hauteur, profondeur de branche).
    */
   createGeometry(instructions) {
-    const vertices = [];
-    const indices = [];
-    const colors = [];
+    const modules = typeof instructions === 'string'
+      ? parseModules(instructions, this.constants)
+      : instructions;
+    const mesher = new BranchMesher({ radialSegments: this.radialSegments, flexibility: this.flexibility });
+    const barkColor = new THREE.Color(this.color);
+    const leafColor = new THREE.Color(this.leafColor);
+    const progress = this.branchProgress(modules);
     
-    // État de la tortue
+    // État de la tortue (ring : haut du dernier segment de la branche courante)
     const state = {
       position: new THREE.Vector3(0, 0, 0),
       direction: new THREE.Vector3(0, 1, 0),
       right: new THREE.Vector3(1, 0, 0),
       length: this.length,
       thickness: this.thickness,
+      ring: null,
     };
     
     const stack = [];
-    let vertexIndex = 0;
 
     // Convertir les angles en radians
     const angleRad = (this.angle * Math.PI) / 180;
 
-    for (let char of instructions) {
-      switch (char) {
-        case 'F': // Avancer et dessiner
-          this.drawBranch(state, vertices, indices, colors, vertexIndex);
-          vertexIndex += 8; // Chaque branche = 8 vertices (cylindre simplifié)
-          
-          // Avancer
-          state.position.add(
-            state.direction.clone().multiplyScalar(state.length)
-          );
+    for (let index = 0; index < modules.length; index++) {
+      const { symbol, params, growth = 1 } = modules[index];
+      // Angle du module (degrés) s'il en porte un, sinon l'angle du preset
+      const turn = params.length > 0 ? (params[0] * Math.PI) / 180 : angleRad;
+
+      switch (symbol) {
+        case 'F': { // Avancer et dessiner
+          const length = (params.length > 0 ? params[0] : state.length) * growth;
+          if (params.length > 1) state.thickness = params[1];
+
+          const start = state.position.clone();
+          state.position.addScaledVector(state.direction, length);
+          // Rayon en haut du segment : affinage continu le long de la branche
+          const [before, after] = progress[index];
+          state.ring = mesher.segment(state.ring, start, state.position, state.right,
+            state.thickness * this.taper ** before, state.thickness * this.taper ** after, barkColor, stack.length);
+          this.applyTropism(state);
           break;
+        }
 
-        case 'f': // Avancer sans dessiner
+        case 'f': // Avancer sans dessiner (la branche est interrompue)
           state.position.add(
-            state.direction.clone().multiplyScalar(state.length)
+            state.direction.clone().multiplyScalar((params.length > 0 ? params[0] : state.length) * growth)
           );
+          state.ring = null;
+          break;
+
+        case '!': // Rayon des branches suivantes
+          state.thickness = params.length > 0 ? params[0] : state.thickness * this.thicknessDecay;
           break;
 
         case '+': // Tourner à droite
-          this.rotateAround(state.direction, state.right, angleRad);
+          this.rotateAround(state.direction, state.right, turn);
           break;
 
         case '-': // Tourner à gauche
-          this.rotateAround(state.direction, state.right, -angleRad);
+          this.rotateAround(state.direction, state.right, -turn);
           break;
 
         case '&': // Piquer vers le bas
           {
             const up = new THREE.Vector3(0, 1, 0);
             const axis = new THREE.Vector3().crossVectors(state.direction, up).normalize();
-            this.rotateAround(state.direction, axis, angleRad);
+            this.rotateAround(state.direction, axis, turn);
           }
           break;
 
@@ -106,16 +289,16 @@ export class LSystem {
           {
             const up = new THREE.Vector3(0, 1, 0);
             const axis = new THREE.Vector3().crossVectors(state.direction, up).normalize();
-            this.rotateAround(state.direction, axis, -angleRad);
+            this.rotateAround(state.direction, axis, -turn);
           }
           break;
 
         case '\\': // Rouler à droite
-          this.rotateAround(state.right, state.direction, angleRad);
+          this.rotateAround(state.right, state.direction, turn);
           break;
 
         case '/': // Rouler à gauche
-          this.rotateAround(state.right, state.direction, -angleRad);
+          this.rotateAround(state.right, state.direction, -turn);
           break;
 
         case '|': // Demi-tour
@@ -129,9 +312,11 @@ export class LSystem {
             right: state.right.clone(),
             length: state.length,
             thickness: state.thickness,
+            ring: state.ring,
           });
           state.length *= this.lengthDecay;
           state.thickness *= this.thicknessDecay;
+          state.ring = null; // Une branche est un nouveau tube
           break;
 
         case ']': // Restaurer l'état
@@ -142,121 +327,35 @@ export class LSystem {
             state.right = saved.right;
             state.length = saved.length;
             state.thickness = saved.thickness;
+            state.ring = saved.ring;
           }
           break;
 
         case 'L': // Feuille
-          this.drawLeaf(state, vertices, indices, colors, vertexIndex);
-          vertexIndex += 3; // Triangle pour la feuille
+          mesher.leaf(state.position, state.direction, state.right,
+            (params.length > 0 ? params[0] : this.length * 0.5) * growth, leafColor, stack.length);
           break;
       }
     }
 
-    // Créer la géométrie
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    geometry.setIndex(indices);
-    geometry.computeVertexNormals();
-
-    return geometry;
+    return mesher.toGeometry();
   }
 
   /**
-   * Dessine une branche (cylindre simplifié)
+   * Tropisme (The Algorithmic Beauty of Plants, 2.2) : la direction H
+   * tourne vers le vecteur T (gravité + lumière, pondérées par les
+   * sensibilités du preset) d'un angle |H x T| autour de H x T. Une
+   * branche perpendiculaire à T plie le plus, une branche alignée plus du
+   * tout : les troncs droits restent droits, les rameaux retombent.
    */
-  drawBranch(state, vertices, indices, colors, startIndex) {
-    const start = state.position.clone();
-    const end = start.clone().add(state.direction.clone().multiplyScalar(state.length));
-    const thickness = state.thickness;
-
-    // Créer un cylindre simple (4 côtés pour performance)
-    const sides = 4;
-    const up = state.direction.clone().normalize();
-    const right = state.right.clone().normalize();
-
-    // Couleur de la branche (marron/vert selon épaisseur)
-    const branchColor = new THREE.Color(this.color);
-    const r = branchColor.r;
-    const g = branchColor.g;
-    const b = branchColor.b;
-
-    for (let i = 0; i < sides; i++) {
-      const angle1 = (i / sides) * Math.PI * 2;
-      const angle2 = ((i + 1) / sides) * Math.PI * 2;
-
-      const cos1 = Math.cos(angle1);
-      const sin1 = Math.sin(angle1);
-      const cos2 = Math.cos(angle2);
-      const sin2 = Math.sin(angle2);
-
-      // Points du bas
-      const p1 = start.clone().add(
-        right.clone().multiplyScalar(cos1 * thickness)
-      ).add(
-        new THREE.Vector3(-up.z * sin1, 0, up.x * sin1).multiplyScalar(thickness)
-      );
-
-      const p2 = start.clone().add(
-        right.clone().multiplyScalar(cos2 * thickness)
-      ).add(
-        new THREE.Vector3(-up.z * sin2, 0, up.x * sin2).multiplyScalar(thickness)
-      );
-
-      // Points du haut (plus fins)
-      const p3 = end.clone().add(
-        right.clone().multiplyScalar(cos1 * thickness * 0.7)
-      ).add(
-        new THREE.Vector3(-up.z * sin1, 0, up.x * sin1).multiplyScalar(thickness * 0.7)
-      );
-
-      const p4 = end.clone().add(
-        right.clone().multiplyScalar(cos2 * thickness * 0.7)
-      ).add(
-        new THREE.Vector3(-up.z * sin2, 0, up.x * sin2).multiplyScalar(thickness * 0.7)
-      );
-
-      // Ajouter les vertices
-      vertices.push(p1.x, p1.y, p1.z);
-      vertices.push(p2.x, p2.y, p2.z);
-      vertices.push(p3.x, p3.y, p3.z);
-      vertices.push(p4.x, p4.y, p4.z);
-
-      // Couleurs
-      for (let j = 0; j < 4; j++) {
-        colors.push(r, g, b);
-      }
-
-      // Indices pour les triangles
-      const base = startIndex + i * 4;
-      indices.push(base, base + 1, base + 2);
-      indices.push(base + 1, base + 3, base + 2);
-    }
-  }
-
-  /**
-   * Dessine une feuille (triangle simple)
-   */
-  drawLeaf(state, vertices, indices, colors, startIndex) {
-    const pos = state.position.clone();
-    const size = this.length * 0.5;
-
-    // Triangle pour la feuille
-    const p1 = pos.clone();
-    const p2 = pos.clone().add(state.right.clone().multiplyScalar(size * 0.3));
-    const p3 = pos.clone().add(state.direction.clone().multiplyScalar(size));
-
-    vertices.push(p1.x, p1.y, p1.z);
-    vertices.push(p2.x, p2.y, p2.z);
-    vertices.push(p3.x, p3.y, p3.z);
-
-    // Couleur des feuilles
-    const leafColor = new THREE.Color(this.leafColor);
-    for (let i = 0; i < 3; i++) {
-      colors.push(leafColor.r, leafColor.g, leafColor.b);
-    }
-
-    indices.push(startIndex, startIndex + 1, startIndex + 2);
+  applyTropism(state) {
+    const axis = new THREE.Vector3().crossVectors(state.direction, this.tropism);
+    const angle = axis.length();
+    if (angle < 1e-6) return;
+
+    const quaternion = new THREE.Quaternion().setFromAxisAngle(axis.divideScalar(angle), angle);
+    state.direction.applyQuaternion(quaternion).normalize();
+    state.right.applyQuaternion(quaternion).normalize();
   }
 
   /**
@@ -270,14 +369,14 @@ export class LSystem {
   }
 
   /**
-   * Crée un mesh complet
+   * Crée un mesh complet (`growth` < 1 : plante encore en croissance)
    */
-  createMesh() {
-    const instructions = this.generate();
+  createMesh(growth = 1) {
+    const instructions = growth < 1 ? this.generateGrowth(growth) : this.generate();
     const geometry = this.createGeometry(instructions);
     const material = new THREE.MeshStandardMaterial({
       vertexColors: true,
-      flatShading: true,
+      flatShading: false, // Normales lissées du mesher (tubes ronds)
       roughness: 0.9,
       metalness: 0.1,
     });
@@ -291,26 +390,40 @@ export class LSystem {
 }
 
 /**
- * Presets de végétation
+ * Presets de végétation. `placement` : règles de placement propres à
+ * l'espèce (voir PlantPlacement.js, sinon celles de sa catégorie)
  */
 export const VegetationPresets = {
   // Petit buisson simple
   smallBush: {
     axiom: 'F',
-    rules: { 'F': 'F[+F][-F]F' },
+    rules: {
+      'F': [
+        { p: 0.5, s: 'F[+F][-F]F' },
+        { p: 0.3, s: 'F[+F]F' },
+        { p: 0.2, s: 'F[-F][\\F]F' },
+      ],
+    },
     iterations: 3,
     angle: 25,
     length: 0.8,
     lengthDecay: 0.75,
     thickness: 0.08,
     thicknessDecay: 0.7,
+    flexibility: 0.1, // Buisson : souple mais bas
     color: 0x4A7C2F,
   },
 
   // Arbre simple avec branches
   simpleTree: {
     axiom: 'F',
-    rules: { 'F': 'FF[+F][-F][&F][^F]' },
+    rules: {
+      'F': [
+        { p: 0.4, s: 'FF[+F][-F][&F][^F]' },
+        { p: 0.3, s: 'FF[+F][&F][^F]' },
+        { p: 0.3, s: 'FF[-F][&F]/[^F]' },
+      ],
+    },
     iterations: 4,
     angle: 30,
     length: 1.2,
@@ -324,7 +437,13 @@ export const VegetationPresets = {
   // Arbre touffu
   bushyTree: {
     axiom: 'F',
-    rules: { 'F': 'F[+F][-F][&F][^F]F' },
+    rules: {
+      'F': [
+        { p: 0.5, s: 'F[+F][-F][&F][^F]F' },
+        { p: 0.25, s: 'F[+F][&F]F' },
+        { p: 0.25, s: 'F[-F][^F]\\F' },
+      ],
+    },
     iterations: 4,
     angle: 25,
     length: 1.0,
@@ -349,19 +468,28 @@ export const VegetationPresets = {
     thicknessDecay: 0.65,
     color: 0x3D2817,
     leafColor: 0x2E5C1F,
+    placement: { spacing: 5, clustering: 0.6 }, // Grands arbres isolés
   },
 
   // Herbe haute
   tallGrass: {
     axiom: 'F',
-    rules: { 'F': 'F[+F][-F]' },
+    rules: {
+      'F': [
+        { p: 0.6, s: 'F[+F][-F]' },
+        { p: 0.2, s: 'F[+F]' },
+        { p: 0.2, s: 'F[-F]' },
+      ],
+    },
     iterations: 2,
     angle: 35,
     length: 0.4,
     lengthDecay: 0.8,
     thickness: 0.03,
     thicknessDecay: 0.8,
+    flexibility: 0.5, // Les herbes ondulent
     color: 0x7EC850,
+    placement: { spacing: 0.7, clustering: 0.5 }, // Touffes
   },
 
   // Fleur
@@ -374,10 +502,82 @@ export const VegetationPresets = {
     lengthDecay: 0.7,
     thickness: 0.04,
     thicknessDecay: 0.6,
+    flexibility: 0.25,
+    phototropism: 0.12, // Les fleurs se tournent vers le soleil
     color: 0x4A7C2F,
     leafColor: 0xFF69B4,
   },
 
+  // Digitale : la floraison part de la base (B) et monte d'un bouton (K)
+  // par étape grâce au contexte gauche ; le haut de la hampe reste en boutons
+  foxglove: {
+    axiom: 'FB[+K]FK[-K]FK[+K]FK[-K]FK[+K]FK[-K]FK',
+    rules: {
+      'B < K': [
+        { p: 0.7, s: 'BL' },
+        { p: 0.3, s: 'K' }, // Signal retardé d'une étape
+      ],
+    },
+    ignore: '+-F/L',
+    iterations: 5,
+    angle: 40,
+    length: 0.3,
+    lengthDecay: 1,
+    thickness: 0.035,
+    thicknessDecay: 0.9,
+    flexibility: 0.2,
+    phototropism: 0.04,
+    color: 0x4A7C2F,
+    leafColor: 0xC154C1,
+    placement: { clustering: 0.85, slope: [0, 0.4] }, // Colonies en terrain plat
+  },
+
+  // Arbre paramétrique : le bourgeon terminal A pousse plus que les
+  // latéraux B (dominance apicale), les branches tournent de l'angle d'or
+  // autour du tronc (phyllotaxie) et chaque segment s'affine (!(w))
+  goldenTree: {
+    axiom: 'A(1.6,0.22)',
+    constants: { R: 0.9, r: 0.55, W: 0.75, D: 137.5 },
+    rules: {
+      'A(l,w) : l > 0.3': '!(w)F(l)[+(45)B(l*r,w*W)]/(D)A(l*R,w*W)',
+      'A(l,w)': '!(w)F(l)L(l)',
+      'B(l,w) : l > 0.2': '!(w)F(l)[-(25)B(l*r,w*W)][+(25)B(l*r,w*W)]/(90)B(l*R*r,w*W)',
+      'B(l,w)': 'L(l*1.5)',
+    },
+    iterations: 9,
+    lengthDecay: 1,   // Tout passe par les paramètres : pas de décroissance implicite
+    thicknessDecay: 1,
+    taper: 0.9,
+    phototropism: 0.03,
+    color: 0x4A3520,
+    leafColor: 0x3F7A2A,
+    placement: { spacing: 4 },
+  },
+
+  // Saule pleureur : rameaux fins et souples qui retombent sous leur propre
+  // poids (gravitropisme) en longs fouets feuillus
+  weepingWillow: {
+    axiom: 'FFA',
+    rules: {
+      'A': '!F[+(50)B]/(137)[+(65)B]/(137)[+(50)B]/(137)A',
+      'B': [
+        { p: 0.7, s: 'FLB' },
+        { p: 0.3, s: 'F[-(30)LB]LB' },
+      ],
+    },
+    iterations: 7,
+    length: 1.2,
+    lengthDecay: 0.85,
+    thickness: 0.22,
+    thicknessDecay: 0.5,
+    taper: 0.85,
+    gravitropism: 0.4,
+    flexibility: 0.08,
+    color: 0x5A4A32,
+    leafColor: 0x8DB255,
+    placement: { altitude: [-0.5, 0.03], slope: [0, 0.25], spacing: 5, clustering: 0.3 }, // Bas-fonds humides
+  },
+
   // Conifère (pin)
   conifer: {
     axiom: 'F',
@@ -388,14 +588,21 @@ export const VegetationPresets = {
     lengthDecay: 0.8,
     thickness: 0.12,
     thicknessDecay: 0.75,
+    gravitropism: 0.1, // Les branches basses ploient vers le sol
     color: 0x2E5C1F,
     leafColor: 0x1A3D0F,
+    placement: { altitude: [-0.5, 0.3], slope: [0, 0.6], spacing: 2.5 }, // Monte plus haut, sur des pentes plus raides
   },
 
   // Arbre d'automne
   autumnTree: {
     axiom: 'F',
-    rules: { 'F': 'FF[+F][-F][&F][^F]L' },
+    rules: {
+      'F': [
+        { p: 0.6, s: 'FF[+F][-F][&F][^F]L' },
+        { p: 0.4, s: 'FF[+F][^F]/[-F]L' },
+      ],
+    },
     iterations: 4,
     angle: 30,
     length: 1.1,
@@ -408,21 +615,80 @@ export const VegetationPresets = {
 };
 
 /**
- * Gestionnaire de végétation pour le terrain
+ * Ajoute (ou remplace) un preset de végétation, ex. une grammaire `.lsys`
+ * chargée par GrammarIO
+ */
+export function registerVegetationPreset(name, preset) {
+  if (!name) {
+    throw new Error('registerVegetationPreset : un preset doit avoir un nom');
+  }
+  VegetationPresets[name] = preset;
+  return preset;
+}
+
+/**
+ * Tailles adultes par catégorie : [échelle min, échelle max, hauteur fixe]
+ * (les arbres sont tassés en hauteur ; sans hauteur, celle de l'échelle)
+ */
+export const PlantSizes = {
+  trees: [0.6, 1, 0.5],
+  bushes: [0.7, 1.3],
+  grass: [0.8, 1.2],
+  flowers: [0.6, 1],
+};
+
+/**
+ * Jours du monde pour qu'une plante de chaque catégorie soit adulte
+ */
+export const PlantMaturityDays = {
+  trees: 5,
+  bushes: 3,
+  grass: 1,
+  flowers: 2,
+};
+
+/**
+ * Gestionnaire de végétation pour le terrain. Les plantes sont rendues par
+ * `PlantInstances` : quelques variantes par preset, instanciées.
  */
 export class VegetationManager {
-  constructor(scene, terrainGenerator) {
+  constructor(scene, terrainGenerator, rng = worldRandom.stream('vegetation'), config = {}) {
     this.scene = scene;
     this.terrainGenerator = terrainGenerator;
+    this.rng = rng; // Flux aléatoire dédié (placement, rotations, tailles)
     this.vegetation = [];
+    this.species = new Map(); // Espèces plantables et leurs règles (collectSpecies, à chaque peuplement)
+    this.report = null;       // Bilan du dernier peuplement (populate)
+    // Direction du soleil, pour le phototropisme (par défaut : au zénith)
+    this.lightDirection = config.lightDirection || new THREE.Vector3(0, 1, 0);
+
+    // Géométrie d'une variante : graine dérivée du flux, donc même monde = mêmes plantes.
+    // Niveau simplifié (mi-distance) : une itération de moins, tubes à 3 côtés
+    this.instances = new PlantInstances(scene, (preset, variant, growth, level) => {
+      const seed = this.rng.fork(`${preset}:${variant}`).int(0, 0xFFFFFFFF);
+      const settings = { ...VegetationPresets[preset], seed, lightDirection: this.lightDirection };
+      if (level > 0) {
+        settings.iterations = Math.max(1, (settings.iterations || 4) - 1);
+        settings.radialSegments = 3;
+      }
+      const lsystem = new LSystem(settings);
+      return lsystem.createGeometry(lsystem.generateGrowth(growth));
+    }, config);
+
+    this.growthInterval = config.growthInterval ?? 0.2; // Secondes entre deux pas de croissance
+    this.growthElapsed = 0;
   }
 
   /**
-   * Place de la végétation aléatoire dans les plaines uniquement.
-   * 
-   * Pour les arbres, on essaye de créer des "paquets" (forêts) en tirant
-   * d'abord quelques centres de forêt, puis en positionnant les arbres
-   * autour de ces centres.
+   * Peuple le terrain selon les règles écologiques des espèces
+   * (PlantPlacement.js). Chaque catégorie reçoit un nombre de plantes
+   * (`numTrees`...), réparti entre ses espèces selon la part d'habitat
+   * qui leur revient (surface pondérée par la densité des biomes, partagée
+   * selon `density` là où plusieurs espèces poussent) ; chaque espèce est
+   * ensuite placée par échantillonnage en disque de Poisson.
+   *
+   * Renvoie (et garde dans `this.report`) le bilan par espèce :
+   * `{ requested, placed, species: { [preset]: { category, requested, placed } } }`.
    */
   populate(config = {}) {
     const {
@@ -430,219 +696,169 @@ export class VegetationManager {
       numBushes = 150,
       numGrass = 300,
       numFlowers = 200,
-      minDistanceFromMountains = 10, // Distance minimale des montagnes
-      numForests = 4,                // Nombre de "taches" de forêt
-      forestRadius = 20,             // Rayon moyen d'une forêt
+      matureShare = 0.7, // Part de plantes adultes au départ (les autres poussent)
+      placement = {},    // Réglages de l'échantillonneur (PlacementSettings)
     } = config;
+    const counts = { trees: numTrees, bushes: numBushes, grass: numGrass, flowers: numFlowers };
 
     // Effacer la végétation existante
     this.clear();
+    this.species = collectSpecies(VegetationPresets);
+    const placer = new PlantPlacement(this.terrainGenerator, this.rng, placement);
+    const report = { requested: 0, placed: 0, species: {} };
+
+    for (const category of Object.keys(counts)) {
+      const species = [...this.species.values()].filter(entry => entry.category === category);
+      const habitats = species.map(entry => placer.habitat(entry.rules));
+      // Chaque cellule d'habitat est partagée entre les espèces qui s'y plaisent, selon leur abondance
+      const competition = new Map();
+      species.forEach((entry, i) => {
+        for (const cell of habitats[i].cells) competition.set(cell, (competition.get(cell) ?? 0) + entry.rules.density);
+      });
+      const weights = species.map((entry, i) => habitats[i].cells.reduce(
+        (sum, cell) => sum + cell.weight * entry.rules.density / competition.get(cell), 0));
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+      species.forEach((entry, i) => {
+        // Sans aucun habitat dans la catégorie, la demande est partagée (et signalée)
+        const share = totalWeight > 0 ? weights[i] / totalWeight : 1 / species.length;
+        const requested = Math.round(counts[category] * share);
+        const positions = placer.place(entry, requested, habitats[i]);
+        const [minSize, maxSize, height] = PlantSizes[category];
+
+        for (const { x, z } of positions) {
+          const position = new THREE.Vector3(x, this.terrainGenerator.getHeightAt(x, z), z);
+          const scale = this.rng.range(minSize, maxSize);
+          this.addPlant(this.createPlant(category, position, entry.name), scale, height ?? scale);
+        }
 
-    // --- Arbres : on génère d'abord des centres de "forêt" puis on
-    // place les arbres autour de ces centres pour obtenir des paquets. ---
-
-    // Centres de forêt (dans les plaines, loin de la montagne)
-    const forestCenters = [];
-    for (let i = 0; i < numForests; i++) {
-      const center = this.getRandomPlainsPosition(minDistanceFromMountains);
-      if (center) {
-        forestCenters.push(center);
-      }
-    }
-
-    // Placement des arbres autour des centres
-    for (let i = 0; i < numTrees; i++) {
-      let position = null;
-
-      if (forestCenters.length > 0) {
-        const center = forestCenters[Math.floor(Math.random() * forestCenters.length)];
-        position = this.getRandomPlainsPositionAround(center, forestRadius, minDistanceFromMountains);
-      }
-
-      // fallback : si on n'a pas réussi à placer autour d'un centre
-      if (!position) {
-        position = this.getRandomPlainsPosition(minDistanceFromMountains);
-      }
-
-      if (position) {
-        const tree = this.createRandomTree();
-        tree.position.copy(position);
-        
-        // Rotation aléatoire
-        tree.rotation.y = Math.random() * Math.PI * 2;
-        
-        // Variation de taille
-        const scale = 0.6 + Math.random() * 0.4;
-        tree.scale.set(scale, 0.5, scale);
-        
-        this.scene.add(tree);
-        this.vegetation.push(tree);
-      }
+        report.species[entry.name] = { category, requested, placed: positions.length };
+        report.requested += requested;
+        report.placed += positions.length;
+      });
     }
 
-    // Buissons
-    for (let i = 0; i < numBushes; i++) {
-      const position = this.getRandomPlainsPosition(minDistanceFromMountains);
-      if (position) {
-        const bush = this.createBush();
-        bush.position.copy(position);
-        bush.rotation.y = Math.random() * Math.PI * 2;
-        
-        const scale = 0.7 + Math.random() * 0.6;
-        bush.scale.set(scale, scale, scale);
-        
-        this.scene.add(bush);
-        this.vegetation.push(bush);
-      }
+    // Âges de départ : le reste de la végétation est encore en croissance
+    for (const plant of this.vegetation) {
+      const maturity = this.getMaturityDays(plant);
+      plant.age = this.rng.chance(matureShare) ? maturity : this.rng.range(0, maturity);
+      this.instances.setGrowth(plant, plant.age / maturity);
     }
 
-    // Herbe
-    for (let i = 0; i < numGrass; i++) {
-      const position = this.getRandomPlainsPosition(minDistanceFromMountains);
-      if (position) {
-        const grass = this.createGrass();
-        grass.position.copy(position);
-        grass.rotation.y = Math.random() * Math.PI * 2;
-        
-        const scale = 0.8 + Math.random() * 0.4;
-        grass.scale.set(scale, scale, scale);
-        
-        this.scene.add(grass);
-        this.vegetation.push(grass);
-      }
+    this.instances.update();
+    this.report = report;
+    console.log(`✅ ${this.vegetation.length} plantes générées sur ${report.requested} demandées (${this.instances.batches.size} lots instanciés)`);
+    for (const [name, { placed, requested }] of Object.entries(report.species)) {
+      if (placed < requested) console.warn(`⚠️ ${name} : ${placed} / ${requested} plantes (habitat trop petit ou trop dense)`);
     }
-
-    // Fleurs
-    for (let i = 0; i < numFlowers; i++) {
-      const position = this.getRandomPlainsPosition(minDistanceFromMountains);
-      if (position) {
-        const flower = this.createFlower();
-        flower.position.copy(position);
-        flower.rotation.y = Math.random() * Math.PI * 2;
-        
-        const scale = 0.6 + Math.random() * 0.4;
-        flower.scale.set(scale, scale, scale);
-        
-        this.scene.add(flower);
-        this.vegetation.push(flower);
-      }
-    }
-
-    console.log(`✅ ${this.vegetation.length} plantes générées dans les plaines`);
+    return report;
   }
 
   /**
-   * Obtient une position aléatoire dans les plaines (pas les montagnes)
+   * Oriente au hasard une plante, lui donne sa taille (adulte) et l'ajoute
+   * au rendu au stade de son âge : une plante neuve part de la pousse.
+   * Une plante phototrope est penchée vers le soleil dans sa géométrie :
+   * on ne la tourne qu'un peu, pour qu'elle le regarde encore
    */
-  getRandomPlainsPosition(minDistanceFromMountains = 10) {
-    const { size } = this.terrainGenerator.config;
-    const maxAttempts = 50;
-
-    for (let i = 0; i < maxAttempts; i++) {
-      const x = (Math.random() - 0.5) * size * 0.9;
-      const z = (Math.random() - 0.5) * size * 0.9;
-      
-      const biome = this.terrainGenerator.getBiomeAt(x, z);
-      
-      // Seulement dans les plaines, pas dans les montagnes ou transition
-      if (biome === 'plains') {
-        // Vérifier la distance des montagnes
-        const distanceFromCenter = Math.sqrt(x * x + z * z);
-        const centerRadius = size * 0.3; // Rayon approximatif de la zone montagneuse
-        
-        if (distanceFromCenter > centerRadius + minDistanceFromMountains) {
-          const y = this.terrainGenerator.getHeightAt(x, z);
-          return new THREE.Vector3(x, y, z);
-        }
-      }
-    }
+  addPlant(plant, scale, height = scale) {
+    plant.rotation = VegetationPresets[plant.preset].phototropism
+      ? this.rng.range(-0.2, 0.2)
+      : this.rng.next() * Math.PI * 2;
+    plant.scale.set(scale, height, scale);
+    this.instances.setGrowth(plant, plant.age / this.getMaturityDays(plant));
+    this.vegetation.push(plant);
+    return plant;
+  }
 
-    return null; // Impossible de trouver une position valide
+  getMaturityDays(plant) {
+    return PlantMaturityDays[plant.category] ?? PlantMaturityDays.trees;
   }
 
   /**
-   * Variante de getRandomPlainsPosition : essaie de rester dans un disque
-   * autour d'un centre donné (pour créer des "paquets" de végétation),
-   * tout en respectant la contrainte "plaines uniquement, pas montagne".
+   * Fait vieillir les plantes qui poussent encore. `dayDuration` : durée
+   * d'un jour du monde en secondes. Les pas de croissance sont espacés de
+   * `growthInterval` (réécrire les lots à chaque image ne se verrait pas).
+   * Les niveaux de détail, eux, sont suivis à chaque image.
    */
-  getRandomPlainsPositionAround(center, radius, minDistanceFromMountains = 10) {
-    const { size } = this.terrainGenerator.config;
-    const maxAttempts = 40;
-
-    for (let i = 0; i < maxAttempts; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const dist = Math.random() * radius;
-
-      const x = center.x + Math.cos(angle) * dist;
-      const z = center.z + Math.sin(angle) * dist;
-
-      const biome = this.terrainGenerator.getBiomeAt(x, z);
-
-      if (biome === 'plains') {
-        // Vérifier la distance des montagnes comme dans getRandomPlainsPosition
-        const distanceFromCenter = Math.sqrt(x * x + z * z);
-        const centerRadius = size * 0.3;
-
-        if (distanceFromCenter > centerRadius + minDistanceFromMountains) {
-          const y = this.terrainGenerator.getHeightAt(x, z);
-          return new THREE.Vector3(x, y, z);
-        }
-      }
+  update(delta, dayDuration = 60) {
+    this.instances.updateLod(delta);
+    this.growthElapsed += delta;
+    if (this.growthElapsed < this.growthInterval) return;
+
+    const days = this.growthElapsed / dayDuration;
+    this.growthElapsed = 0;
+
+    let growing = false;
+    for (const plant of this.vegetation) {
+      const maturity = this.getMaturityDays(plant);
+      if (plant.age >= maturity) continue;
+      plant.age = Math.min(maturity, plant.age + days);
+      this.instances.setGrowth(plant, plant.age / maturity);
+      growing = true;
     }
-
-    return null;
+    if (growing) this.instances.update();
   }
 
   /**
-   * Crée un arbre aléatoire
+   * Crée une plante d'une catégorie ('trees', 'bushes', 'grass', 'flowers')
+   * avec une de ses variantes et une teinte. Sans preset donné, il est
+   * tiré parmi ceux que le biome de la position autorise
    */
-  createRandomTree() {
-    const presets = ['simpleTree', 'bushyTree', 'largeTree', 'conifer'];
-    const preset = presets[Math.floor(Math.random() * presets.length)];
-    const config = VegetationPresets[preset];
-    
-    const lsystem = new LSystem(config);
-    return lsystem.createMesh();
-  }
+  createPlant(category, position, preset = null) {
+    if (!preset) {
+      const biome = this.terrainGenerator.getBiomeAt(position.x, position.z);
+      preset = this.rng.pick(getBiomeDefinition(biome).vegetation[category]);
+    }
 
-  /**
-   * Crée un buisson
-   */
-  createBush() {
-    const config = VegetationPresets.smallBush;
-    const lsystem = new LSystem(config);
-    return lsystem.createMesh();
+    return {
+      category, // Pour revalider la plante si le terrain change
+      preset,
+      variant: this.rng.int(0, this.instances.variants - 1),
+      position: position.clone(),
+      rotation: 0,
+      scale: new THREE.Vector3(1, 1, 1),
+      tint: this.instances.randomTint(this.rng),
+      age: 0, // En jours du monde
+    };
   }
 
   /**
-   * Crée de l'herbe
+   * Le terrain a été modifié dans un rectangle (sculpture) : les plantes de
+   * la zone se recalent sur le sol, ou disparaissent si le biome, l'eau,
+   * l'altitude ou la pente ne conviennent plus à leur espèce.
    */
-  createGrass() {
-    const config = VegetationPresets.tallGrass;
-    const lsystem = new LSystem(config);
-    return lsystem.createMesh();
-  }
+  onTerrainChanged({ minX, minZ, maxX, maxZ }) {
+    const kept = [];
+    const placer = new PlantPlacement(this.terrainGenerator, this.rng);
+
+    for (const plant of this.vegetation) {
+      const { x, z } = plant.position;
+      if (x < minX || x > maxX || z < minZ || z > maxZ) {
+        kept.push(plant);
+        continue;
+      }
 
-  /**
-   * Crée une fleur
-   */
-  createFlower() {
-    const config = VegetationPresets.flower;
-    const lsystem = new LSystem(config);
-    return lsystem.createMesh();
+      const species = this.species.get(plant.preset);
+      if (species && placer.suits(species.rules, x, z)) {
+        plant.position.y = this.terrainGenerator.getHeightAt(x, z);
+        this.instances.markDirty(plant);
+        kept.push(plant);
+      } else {
+        this.instances.remove(plant);
+      }
+    }
+
+    this.vegetation = kept;
+    this.instances.update();
   }
 
   /**
-   * Efface toute la végétation
+   * Efface toute la végétation (lots d'instances et géométries du cache)
    */
   clear() {
-    for (let plant of this.vegetation) {
-      this.scene.remove(plant);
-      plant.geometry.dispose();
-      plant.material.dispose();
-    }
+    this.instances.clear();
     this.vegetation = [];
   }
 }
 
-export default LSystem;
\ No newline at end of file
+export default LSystem;
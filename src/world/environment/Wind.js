@@ -0,0 +1,116 @@
+/**
+ * Vent global du monde.
+ *
+ * Une direction (horizontale), une force moyenne, et un champ de rafales :
+ * quelques ondes qui avancent dans le sens du vent, d'amplitudes et de
+ * longueurs d'onde différentes, ce qui donne des bouffées qui traversent
+ * le paysage. Le même champ est évalué :
+ *  - en JavaScript (`getVelocityAt`), pour ce qui bouge côté CPU (lucioles) ;
+ *  - en GLSL (`windGustGLSL`), dans le shader de la végétation.
+ * Les deux formules doivent rester identiques pour que les herbes ploient
+ * là où les lucioles sont poussées.
+ *
+ * Les uniforms (`uniforms`) sont partagés par tous les matériaux : `update`
+ * fait avancer le temps une fois pour toute la scène.
+ */
+import * as THREE from 'three';
+
+/**
+ * Paramètres par défaut
+ */
+export const WindDefaults = {
+  direction: 30,      // Degrés, dans le plan XZ (0 = vers +X)
+  strength: 1,        // Force moyenne (vitesse du vent, unités monde / s)
+  gust: 0.6,          // Amplitude des rafales (fraction de la force)
+  gustScale: 0.03,    // Nombre d'onde des rafales (1 / longueur, unités monde)
+  gustSpeed: 8,       // Vitesse d'avancée des rafales (unités monde / s)
+};
+
+/**
+ * Champ de rafales dans [-1, 1]. Copie exacte de `gust` ci-dessous.
+ */
+export const windGustGLSL = /* glsl */`
+uniform vec2 windDirection;
+uniform float windStrength;
+uniform float windGust;
+uniform float windGustScale;
+uniform float windGustSpeed;
+uniform float windTime;
+
+float windGustAt(vec2 p) {
+  float along = dot(p, windDirection) - windGustSpeed * windTime;
+  float across = dot(p, vec2(-windDirection.y, windDirection.x));
+  float k = windGustScale;
+  return (sin(along * k)
+    + 0.5 * sin(along * k * 2.3 + across * k * 1.7)
+    + 0.25 * sin(across * k * 3.1 - along * k * 0.7 - windTime * 0.9)) / 1.75;
+}
+
+// Vitesse du vent (plan XZ) au point p
+vec2 windVelocityAt(vec2 p) {
+  return windDirection * windStrength * (1.0 + windGust * windGustAt(p));
+}
+`;
+
+export class Wind {
+  constructor(config = {}) {
+    this.config = { ...WindDefaults, ...config };
+    this.time = 0;
+    this.direction = new THREE.Vector2();
+
+    this.uniforms = {
+      windDirection: { value: this.direction },
+      windStrength: { value: this.config.strength },
+      windGust: { value: this.config.gust },
+      windGustScale: { value: this.config.gustScale },
+      windGustSpeed: { value: this.config.gustSpeed },
+      windTime: { value: 0 },
+    };
+    this.setDirection(this.config.direction);
+  }
+
+  /**
+   * Oriente le vent (degrés dans le plan XZ)
+   */
+  setDirection(degrees) {
+    const angle = THREE.MathUtils.degToRad(degrees);
+    this.direction.set(Math.cos(angle), Math.sin(angle));
+  }
+
+  get strength() {
+    return this.uniforms.windStrength.value;
+  }
+
+  set strength(value) {
+    this.uniforms.windStrength.value = value;
+  }
+
+  update(delta) {
+    this.time += delta;
+    this.uniforms.windTime.value = this.time;
+  }
+
+  /**
+   * Rafale au point (x, z), dans [-1, 1]
+   */
+  gust(x, z) {
+    const { windGustScale, windGustSpeed } = this.uniforms;
+    const d = this.direction;
+    const along = x * d.x + z * d.y - windGustSpeed.value * this.time;
+    const across = -x * d.y + z * d.x;
+    const k = windGustScale.value;
+    return (Math.sin(along * k) +
+      0.5 * Math.sin(along * k * 2.3 + across * k * 1.7) +
+      0.25 * Math.sin(across * k * 3.1 - along * k * 0.7 - this.time * 0.9)) / 1.75;
+  }
+
+  /**
+   * Vitesse du vent au point (x, z) : Vector3 horizontal
+   */
+  getVelocityAt(x, z, target = new THREE.Vector3()) {
+    const speed = this.strength * (1 + this.uniforms.windGust.value * this.gust(x, z));
+    return target.set(this.direction.x * speed, 0, this.direction.y * speed);
+  }
+}
+
+export default Wind;
@@ -0,0 +1,390 @@
+/**
+ * Export de plantes, du terrain ou de toute la scène en glTF binaire (.glb)
+ * et en OBJ, pour les réutiliser dans d'autres outils (Blender, moteurs...).
+ *
+ * Les matériaux de Bloomfall n'existent que dans ses shaders : avant
+ * l'export, on en fait une copie "neutre" (`prepareForExport`) :
+ *  - végétation : couleurs de sommets gardées, attribut de vent retiré ;
+ *  - terrain : le splat mapping est cuit en couleurs de sommets
+ *    (TerrainMaterial.bakeVertexColors), `tint` et `splat` sont retirés ;
+ *  - les autres matériaux sont exportés tels quels.
+ *
+ * Les plantes instanciées gardent leur transformation et leur teinte :
+ *  - glTF : un nœud par lot avec l'extension EXT_mesh_gpu_instancing
+ *    (teinte dans `_COLOR_0`), ou une copie par plante (`instancing: false`)
+ *    pour les outils qui ne lisent pas l'extension ;
+ *  - OBJ : pas d'instances dans le format, chaque plante est recopiée à
+ *    l'écriture (la teinte multiplie ses couleurs de sommets, écrites en
+ *    `v x y z r g b`). Le texte est écrit par morceaux et ne tient jamais
+ *    en mémoire d'un bloc, mais une scène entière en OBJ pèse plusieurs Go :
+ *    le glTF instancié est bien plus léger.
+ *
+ * Rien ne dépend du DOM : les mêmes fonctions tournent dans un script Node
+ * (voir scripts/exportScene.js).
+ */
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * Options par défaut
+ */
+export const ExportDefaults = {
+  instancing: true,   // glTF : garder les instances (false : une copie par plante)
+  terrain: true,      // exportScene : terrain (maillage pleine résolution)
+  water: true,        // exportScene : lacs et rivières
+  vegetation: true,   // exportScene : plantes
+  creatures: false,   // exportScene : créatures et lucioles
+};
+
+// Attributs propres aux shaders de Bloomfall, sans équivalent hors du jeu
+const SHADER_ATTRIBUTES = ['wind', 'tint', 'splat', 'instanceFade'];
+
+const scratchMatrix = new THREE.Matrix4();
+const scratchNormalMatrix = new THREE.Matrix3();
+const scratchVector = new THREE.Vector3();
+const scratchColor = new THREE.Color();
+
+const OBJ_CHUNK_LINES = 100000; // Lignes par morceau de texte OBJ
+
+// ------------------------------------------------------------
+//  Préparation
+// ------------------------------------------------------------
+
+/**
+ * Copie exportable d'un ou plusieurs objets (non modifiés) : un groupe de
+ * meshes aux matériaux standard, positionnés en coordonnées monde.
+ * À libérer avec `disposeExport`.
+ */
+export function prepareForExport(source, options = {}) {
+  const { instancing } = { ...ExportDefaults, ...options };
+  const materials = new Map(); // Matériau d'origine -> matériau exporté
+  const group = new THREE.Group();
+  group.name = 'bloomfall';
+
+  for (const root of [source].flat()) {
+    root.updateWorldMatrix(true, true);
+    root.traverseVisible((object) => {
+      if (!object.isMesh) return;
+      const material = exportMaterial(object.material, materials);
+      const copy = object.isInstancedMesh
+        ? exportInstances(object, material, instancing)
+        : exportMesh(object, material);
+      if (!copy) return;
+      copy.name = object.name;
+      group.add(copy);
+    });
+  }
+  return group;
+}
+
+/**
+ * Mesh simple : géométrie copiée, transformation monde conservée
+ */
+function exportMesh(mesh, material) {
+  const geometry = exportGeometry(mesh.geometry);
+  const copy = new THREE.Mesh(geometry, material);
+
+  if (mesh.material.bakeVertexColors) {
+    // Terrain : la neige dépend de l'altitude monde, on cuit en coordonnées monde
+    geometry.applyMatrix4(mesh.matrixWorld);
+    mesh.material.bakeVertexColors(geometry);
+    stripShaderAttributes(geometry);
+  } else {
+    mesh.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+  }
+  return copy;
+}
+
+/**
+ * InstancedMesh : instances gardées (tableaux à la taille exacte, comme le
+ * demande l'extension glTF) ou recopiées dans une seule géométrie
+ */
+function exportInstances(mesh, material, instancing) {
+  const { count } = mesh;
+  if (count === 0) return null;
+
+  if (instancing) {
+    const copy = new THREE.InstancedMesh(exportGeometry(mesh.geometry), material, count);
+    for (let i = 0; i < count; i++) {
+      mesh.getMatrixAt(i, scratchMatrix);
+      copy.setMatrixAt(i, scratchMatrix.premultiply(mesh.matrixWorld));
+      if (mesh.instanceColor) {
+        mesh.getColorAt(i, scratchColor);
+        copy.setColorAt(i, scratchColor);
+      }
+    }
+    return copy;
+  }
+
+  const geometries = [];
+  for (let i = 0; i < count; i++) {
+    const geometry = exportGeometry(mesh.geometry);
+    mesh.getMatrixAt(i, scratchMatrix);
+    geometry.applyMatrix4(scratchMatrix.premultiply(mesh.matrixWorld));
+    if (mesh.instanceColor) {
+      mesh.getColorAt(i, scratchColor);
+      tintGeometry(geometry, scratchColor);
+    }
+    geometries.push(geometry);
+  }
+  const merged = mergeGeometries(geometries);
+  for (const geometry of geometries) geometry.dispose();
+  return new THREE.Mesh(merged, material);
+}
+
+/**
+ * Copie de la géométrie sans les attributs de shader (le terrain garde
+ * `tint` et `splat` le temps de cuire ses couleurs)
+ */
+function exportGeometry(geometry) {
+  const copy = geometry.clone();
+  if (!copy.attributes.splat) stripShaderAttributes(copy);
+  return copy;
+}
+
+function stripShaderAttributes(geometry) {
+  for (const name of SHADER_ATTRIBUTES) geometry.deleteAttribute(name);
+}
+
+/**
+ * Multiplie les couleurs de sommets par une teinte (ou les crée)
+ */
+function tintGeometry(geometry, tint) {
+  let colors = geometry.attributes.color;
+  if (!colors) {
+    colors = new THREE.Float32BufferAttribute(new Float32Array(geometry.attributes.position.count * 3).fill(1), 3);
+    geometry.setAttribute('color', colors);
+  }
+  for (let i = 0; i < colors.count; i++) {
+    colors.setXYZ(i, colors.getX(i) * tint.r, colors.getY(i) * tint.g, colors.getZ(i) * tint.b);
+  }
+}
+
+/**
+ * Matériau exporté : les matériaux à shader maison (onBeforeCompile)
+ * deviennent des MeshStandardMaterial à couleurs de sommets
+ */
+function exportMaterial(material, cache) {
+  if (Array.isArray(material)) return material.map(m => exportMaterial(m, cache));
+  if (cache.has(material)) return cache.get(material);
+
+  let copy = material;
+  if (material.onBeforeCompile !== THREE.Material.prototype.onBeforeCompile) {
+    copy = new THREE.MeshStandardMaterial({
+      name: material.type,
+      vertexColors: true,
+      roughness: material.roughness ?? 0.9,
+      metalness: material.metalness ?? 0,
+    });
+  }
+  cache.set(material, copy);
+  return copy;
+}
+
+/**
+ * Libère les géométries et matériaux créés par `prepareForExport` (les
+ * matériaux d'origine, partagés avec la scène, sont laissés intacts)
+ */
+export function disposeExport(group, sources = []) {
+  const kept = new Set();
+  for (const root of [sources].flat()) {
+    root.traverse((object) => {
+      if (object.material) [object.material].flat().forEach(m => kept.add(m));
+    });
+  }
+  group.traverse((object) => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    for (const material of [object.material].flat()) {
+      if (!kept.has(material)) material.dispose();
+    }
+    if (object.isInstancedMesh) object.dispose();
+  });
+}
+
+// ------------------------------------------------------------
+//  Scène complète
+// ------------------------------------------------------------
+
+/**
+ * Objets à exporter pour un monde Bloomfall. `world` porte les systèmes
+ * sous les mêmes noms que BloomfallScene :
+ * `{ terrainGenerator, vegetationManager, creatureSystem?, boidsSystem? }`.
+ * Le terrain est remaillé en pleine résolution (le rendu en tuiles ne
+ * couvre que ce que voit la caméra) et les plantes exportées en géométrie
+ * complète. `dispose()` libère ces meshes temporaires.
+ */
+export function collectScene(world, options = {}) {
+  const settings = { ...ExportDefaults, ...options };
+  const { terrainGenerator, vegetationManager, creatureSystem, boidsSystem } = world;
+  const objects = [];
+  const temporary = [];
+  let vegetation = null;
+
+  if (settings.terrain && terrainGenerator) {
+    const terrain = terrainGenerator.createTerrainMesh();
+    terrain.name = 'terrain';
+    objects.push(terrain);
+    temporary.push(terrain);
+  }
+  if (settings.water && terrainGenerator) {
+    const water = terrainGenerator.createWaterMesh();
+    if (water) {
+      water.name = 'water';
+      objects.push(water);
+      temporary.push(water);
+    }
+  }
+  if (settings.vegetation && vegetationManager) {
+    // Toutes les plantes en géométrie complète, quel que soit leur niveau de détail
+    vegetation = vegetationManager.instances.snapshot();
+    objects.push(vegetation);
+  }
+  if (settings.creatures) {
+    if (creatureSystem) objects.push(creatureSystem.mainGroup, creatureSystem.foodGroup);
+    if (boidsSystem) objects.push(...boidsSystem.creatures.map(boid => boid.mesh));
+  }
+
+  return {
+    objects,
+    dispose() {
+      for (const mesh of temporary) {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      }
+      // Géométries et matériau partagés avec le rendu : seuls les buffers d'instances
+      vegetation?.children.forEach(mesh => mesh.dispose());
+    },
+  };
+}
+
+// ------------------------------------------------------------
+//  Formats
+// ------------------------------------------------------------
+
+/**
+ * glTF binaire (.glb) d'un objet (ex. `LSystem.createMesh()`), d'un
+ * tableau d'objets ou d'une scène. Renvoie un ArrayBuffer.
+ */
+export async function exportGLB(source, options = {}) {
+  const group = prepareForExport(source, options);
+  try {
+    return await new GLTFExporter().parseAsync(group, { binary: true });
+  } finally {
+    disposeExport(group, source);
+  }
+}
+
+/**
+ * OBJ (texte) : instances toujours recopiées, couleurs de sommets en
+ * extension `v x y z r g b` (lue par Blender, MeshLab...).
+ * Le texte est produit par morceaux, passés à `write(texte)` au fur et à
+ * mesure (ex. écriture dans un fichier, voir scripts/exportScene.js) ou,
+ * sans `write`, réunis dans un Blob renvoyé (que le navigateur peut garder
+ * hors de la mémoire de la page).
+ */
+export function exportOBJ(source, options = {}, write = null) {
+  let blob = write ? null : new Blob([], { type: 'text/plain' });
+  const append = write ?? ((text) => { blob = new Blob([blob, text], { type: 'text/plain' }); });
+
+  // Lots gardés instanciés : chaque plante n'est recopiée qu'à l'écriture
+  const group = prepareForExport(source, { ...options, instancing: true });
+  try {
+    group.updateMatrixWorld(true);
+    writeOBJ(group, append);
+  } finally {
+    disposeExport(group, source);
+  }
+  return blob;
+}
+
+/**
+ * Écrit les meshes d'un groupe en OBJ, par morceaux de `OBJ_CHUNK_LINES`
+ * lignes. L'OBJExporter de Three.js n'écrit les couleurs que pour les
+ * nuages de points, et assemble tout le fichier en une chaîne : on fait le
+ * nôtre. Un InstancedMesh est écrit instance par instance (transformation
+ * et teinte appliquées sommet par sommet), sans géométrie fusionnée.
+ */
+function writeOBJ(group, write) {
+  let lines = ['# Bloomfall'];
+  const push = (line) => {
+    lines.push(line);
+    if (lines.length >= OBJ_CHUNK_LINES) {
+      write(lines.join('\n') + '\n');
+      lines = [];
+    }
+  };
+  let offset = 1; // Les indices OBJ commencent à 1
+
+  const writeGeometry = (geometry, matrix, tint) => {
+    const { position, normal, uv, color } = geometry.attributes;
+    scratchNormalMatrix.getNormalMatrix(matrix);
+
+    for (let i = 0; i < position.count; i++) {
+      const p = scratchVector.fromBufferAttribute(position, i).applyMatrix4(matrix);
+      let line = `v ${p.x} ${p.y} ${p.z}`;
+      if (color || tint) {
+        const c = color ? scratchColor.fromBufferAttribute(color, i) : scratchColor.setRGB(1, 1, 1);
+        if (tint) c.multiply(tint);
+        THREE.ColorManagement.workingToColorSpace(c, THREE.SRGBColorSpace);
+        line += ` ${c.r} ${c.g} ${c.b}`;
+      }
+      push(line);
+    }
+    if (uv) {
+      for (let i = 0; i < uv.count; i++) push(`vt ${uv.getX(i)} ${uv.getY(i)}`);
+    }
+    if (normal) {
+      for (let i = 0; i < normal.count; i++) {
+        const n = scratchVector.fromBufferAttribute(normal, i).applyMatrix3(scratchNormalMatrix).normalize();
+        push(`vn ${n.x} ${n.y} ${n.z}`);
+      }
+    }
+
+    // Même indice pour position, UV et normale (`v/vt/vn`)
+    const vertex = (i) => {
+      const k = i + offset;
+      return uv ? (normal ? `${k}/${k}/${k}` : `${k}/${k}`) : (normal ? `${k}//${k}` : `${k}`);
+    };
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i += 3) {
+      const [a, b, c] = index ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)] : [i, i + 1, i + 2];
+      push(`f ${vertex(a)} ${vertex(b)} ${vertex(c)}`);
+    }
+    offset += position.count;
+  };
+
+  group.traverse((mesh) => {
+    if (!mesh.isMesh) return;
+    push(`o ${mesh.name || 'mesh'}`);
+    if (!mesh.isInstancedMesh) {
+      writeGeometry(mesh.geometry, mesh.matrixWorld, null);
+      return;
+    }
+    const matrix = new THREE.Matrix4();
+    const tint = mesh.instanceColor ? new THREE.Color() : null;
+    for (let i = 0; i < mesh.count; i++) {
+      mesh.getMatrixAt(i, matrix);
+      matrix.premultiply(mesh.matrixWorld);
+      if (tint) mesh.getColorAt(i, tint);
+      writeGeometry(mesh.geometry, matrix, tint);
+    }
+  });
+
+  if (lines.length > 0) write(lines.join('\n') + '\n');
+}
+
+/**
+ * Monde entier (voir collectScene) au format demandé : 'glb' (ArrayBuffer)
+ * ou 'obj' (Blob, ou morceaux passés à `write`, voir exportOBJ)
+ */
+export async function exportScene(world, format = 'glb', options = {}, write = null) {
+  const { objects, dispose } = collectScene(world, options);
+  try {
+    return format === 'obj' ? exportOBJ(objects, options, write) : await exportGLB(objects, options);
+  } finally {
+    dispose();
+  }
+}
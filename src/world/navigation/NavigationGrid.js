@@ -0,0 +1,424 @@
+/**
+ * Couche de navigation au-dessus du terrain.
+ *
+ * Le monde est découpé en cases carrées ; chacune reçoit un coût de traversée
+ * tiré du terrain :
+ *  - le biome (`travelCost` dans le registre : marais et montagne coûtent cher) ;
+ *  - la pente (plus c'est raide, plus c'est lent) ;
+ *  - l'eau : gué peu profond toléré, au-delà la case est infranchissable.
+ * Entre deux cases voisines, une marche trop haute (falaise) coupe le passage,
+ * et monter coûte plus que descendre.
+ *
+ * Deux façons de s'en servir, pour n'importe quel système d'entités :
+ *  - `findPath(start, goal)` : chemin A* (liste de points) pour une entité ;
+ *  - `getFlowField(goal)` : champ de directions (Dijkstra depuis le but), pour
+ *    que toute une population converge vers le même point à moindre coût.
+ *
+ * Après une sculpture du terrain, `updateRegion` recalcule la zone touchée.
+ */
+import * as THREE from 'three';
+import { getBiomeDefinition } from '../biomes/biomeRegistry.js';
+import { MinHeap } from '../../utils/math.js';
+
+/**
+ * Paramètres par défaut
+ */
+export const NavigationDefaults = {
+  resolution: null,       // Cases par côté (null = même grille que le terrain)
+  maxSlope: 0.9,          // Pente max d'une case (radians, ~50°) avant d'être infranchissable
+  maxStep: 1.2,           // Dénivelé max / distance entre deux cases (falaise au-delà)
+  slopeCost: 3,           // Surcoût par unité de tan(pente)
+  uphillCost: 2,          // Surcoût par unité de hauteur gravie
+  maxWaterDepth: 0.6,     // Au-delà, l'eau est infranchissable
+  waterCost: 2,           // Surcoût d'un gué
+  smoothPaths: true,      // Raccourcit les chemins en ligne droite quand c'est possible
+  flowFieldCache: 8,      // Nombre de champs de flux gardés en mémoire
+};
+
+// Voisinage 8-connexe : [dx, dz, distance en cases]
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [-1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+/**
+ * Champ de flux vers un but : pour chaque case, la case suivante du plus
+ * court chemin et le coût restant
+ */
+export class FlowField {
+  constructor(grid, goal, distance, next) {
+    this.grid = grid;
+    this.goal = goal;         // Indice de la case but
+    this.distance = distance; // Coût restant jusqu'au but (Infinity = inaccessible)
+    this.next = next;         // Case suivante (-1 au but ou si inaccessible)
+  }
+
+  /**
+   * Coût restant depuis (x, z)
+   */
+  getDistance(x, z) {
+    const idx = this.grid.getCellIndex(x, z);
+    return idx < 0 ? Infinity : this.distance[idx];
+  }
+
+  /**
+   * Direction horizontale normalisée à suivre depuis (x, z) : vers le centre
+   * de la case suivante. Vecteur nul au but ou hors d'atteinte.
+   */
+  getDirection(x, z, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+    const idx = this.grid.getCellIndex(x, z);
+    if (idx < 0) return target;
+
+    const next = idx === this.goal ? this.goal : this.next[idx];
+    if (next < 0) return target;
+
+    this.grid.getCellCenter(next, target);
+    target.set(target.x - x, 0, target.z - z);
+    const length = target.length();
+    return length > 1e-6 ? target.divideScalar(length) : target.set(0, 0, 0);
+  }
+}
+
+export class NavigationGrid {
+  /**
+   * @param {TerrainGenerator} terrainGenerator
+   * @param {object} config  voir NavigationDefaults
+   */
+  constructor(terrainGenerator, config = {}) {
+    this.terrainGenerator = terrainGenerator;
+    this.config = { ...NavigationDefaults, ...config };
+
+    const { size, resolution } = terrainGenerator.config;
+    this.size = size;
+    this.resolution = this.config.resolution || resolution;
+    this.cellSize = size / this.resolution;
+
+    const count = this.resolution * this.resolution;
+    this.heights = new Float32Array(count);
+    this.costs = new Float32Array(count); // Multiplicateur de coût (Infinity = bloqué)
+    this.minCost = 1;                     // Pour garder l'heuristique A* admissible
+
+    this.flowFields = new Map();
+    this.build();
+  }
+
+  /**
+   * Calcule toutes les cases à partir du terrain
+   */
+  build() {
+    return this.updateRegion(-this.size / 2, -this.size / 2, this.size / 2, this.size / 2);
+  }
+
+  /**
+   * Recalcule les cases d'un rectangle du monde (après une sculpture par
+   * exemple). Les champs de flux en cache sont invalidés.
+   */
+  updateRegion(minX, minZ, maxX, maxZ) {
+    const tg = this.terrainGenerator;
+    const { maxSlope, slopeCost, maxWaterDepth, waterCost } = this.config;
+    const res = this.resolution;
+    const toCell = (v) => Math.min(res - 1, Math.max(0, Math.floor((v + this.size / 2) / this.cellSize)));
+    const center = new THREE.Vector3();
+
+    for (let cz = toCell(minZ); cz <= toCell(maxZ); cz++) {
+      for (let cx = toCell(minX); cx <= toCell(maxX); cx++) {
+        const idx = cz * res + cx;
+        const { x, z } = this.getCellCenter(idx, center);
+        const slope = tg.getSlopeAt(x, z);
+        const depth = tg.getWaterDepthAt(x, z);
+
+        this.heights[idx] = tg.getHeightAt(x, z);
+
+        let cost = getBiomeDefinition(tg.getBiomeAt(x, z)).travelCost ?? 1;
+        if (slope > maxSlope || depth > maxWaterDepth) {
+          cost = Infinity;
+        } else {
+          cost *= 1 + Math.tan(slope) * slopeCost;
+          if (depth > 0) cost *= 1 + waterCost;
+        }
+        this.costs[idx] = cost;
+      }
+    }
+
+    this.minCost = Infinity;
+    for (const cost of this.costs) {
+      if (cost < this.minCost) this.minCost = cost;
+    }
+    this.flowFields.clear();
+    return this;
+  }
+
+  /**
+   * Indice de la case contenant (x, z), ou -1 hors du monde
+   */
+  getCellIndex(x, z) {
+    const res = this.resolution;
+    const cx = Math.floor((x + this.size / 2) / this.cellSize);
+    const cz = Math.floor((z + this.size / 2) / this.cellSize);
+    if (cx < 0 || cx >= res || cz < 0 || cz >= res) return -1;
+    return cz * res + cx;
+  }
+
+  /**
+   * Centre d'une case, posé sur le sol
+   */
+  getCellCenter(idx, target = new THREE.Vector3()) {
+    const res = this.resolution;
+    return target.set(
+      ((idx % res) + 0.5) * this.cellSize - this.size / 2,
+      this.heights[idx],
+      (Math.floor(idx / res) + 0.5) * this.cellSize - this.size / 2
+    );
+  }
+
+  /**
+   * Vrai si une entité au sol peut se trouver en (x, z)
+   */
+  isWalkable(x, z) {
+    const idx = this.getCellIndex(x, z);
+    return idx >= 0 && this.costs[idx] !== Infinity;
+  }
+
+  /**
+   * Multiplicateur de coût en (x, z) (1 = plaine plate, Infinity = bloqué)
+   */
+  getCostAt(x, z) {
+    const idx = this.getCellIndex(x, z);
+    return idx < 0 ? Infinity : this.costs[idx];
+  }
+
+  /**
+   * Coût pour aller de la case `from` à sa voisine `to` (distance en cases
+   * `steps`), Infinity si le passage est bloqué
+   */
+  getEdgeCost(from, to, steps) {
+    const { maxStep, uphillCost } = this.config;
+    const costFrom = this.costs[from];
+    const costTo = this.costs[to];
+    if (costFrom === Infinity || costTo === Infinity) return Infinity;
+
+    const distance = steps * this.cellSize;
+    const rise = this.heights[to] - this.heights[from];
+    if (Math.abs(rise) / distance > maxStep) return Infinity; // Falaise
+
+    return distance * (costFrom + costTo) * 0.5 + Math.max(0, rise) * uphillCost;
+  }
+
+  /**
+   * Parcourt les voisins franchissables d'une case. Une diagonale n'est
+   * permise que si les deux cases qu'elle frôle sont libres (pas de coin coupé).
+   */
+  forEachNeighbor(idx, callback) {
+    const res = this.resolution;
+    const cx = idx % res;
+    const cz = Math.floor(idx / res);
+
+    for (const [dx, dz, steps] of NEIGHBORS) {
+      const nx = cx + dx;
+      const nz = cz + dz;
+      if (nx < 0 || nx >= res || nz < 0 || nz >= res) continue;
+      if (dx !== 0 && dz !== 0 &&
+          (this.costs[cz * res + nx] === Infinity || this.costs[nz * res + cx] === Infinity)) {
+        continue;
+      }
+      callback(nz * res + nx, steps);
+    }
+  }
+
+  /**
+   * Case franchissable la plus proche de (x, z) dans un rayon de `maxRadius`
+   * cases (-1 si aucune)
+   */
+  findNearestWalkable(x, z, maxRadius = 8) {
+    const res = this.resolution;
+    const cx = Math.min(res - 1, Math.max(0, Math.floor((x + this.size / 2) / this.cellSize)));
+    const cz = Math.min(res - 1, Math.max(0, Math.floor((z + this.size / 2) / this.cellSize)));
+
+    let best = -1;
+    let bestDist = Infinity;
+    for (let r = 0; r <= maxRadius && best < 0; r++) {
+      for (let dz = -r; dz <= r; dz++) {
+        for (let dx = -r; dx <= r; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== r) continue; // Anneau seulement
+          const nx = cx + dx;
+          const nz = cz + dz;
+          if (nx < 0 || nx >= res || nz < 0 || nz >= res) continue;
+          const idx = nz * res + nx;
+          const dist = dx * dx + dz * dz;
+          if (this.costs[idx] !== Infinity && dist < bestDist) {
+            best = idx;
+            bestDist = dist;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Plus court chemin (A*) entre deux positions du monde.
+   *
+   * @param {{x: number, z: number}} start
+   * @param {{x: number, z: number}} goal
+   * @returns {THREE.Vector3[] | null}  points posés sur le sol, du départ au
+   *   but ; null si le but est inaccessible
+   */
+  findPath(start, goal) {
+    const from = this.findNearestWalkable(start.x, start.z);
+    const to = this.findNearestWalkable(goal.x, goal.z);
+    if (from < 0 || to < 0) return null;
+
+    const res = this.resolution;
+    const count = res * res;
+    const gScore = new Float32Array(count).fill(Infinity);
+    const cameFrom = new Int32Array(count).fill(-1);
+    const closed = new Uint8Array(count);
+    const open = new MinHeap();
+
+    // Distance octile x coût minimal : ne surestime jamais le coût restant
+    const goalX = to % res;
+    const goalZ = Math.floor(to / res);
+    const heuristic = (idx) => {
+      const dx = Math.abs((idx % res) - goalX);
+      const dz = Math.abs(Math.floor(idx / res) - goalZ);
+      return (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) * this.cellSize * this.minCost;
+    };
+
+    gScore[from] = 0;
+    open.push(from, heuristic(from));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === to) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      this.forEachNeighbor(current, (neighbor, steps) => {
+        if (closed[neighbor]) return;
+        const tentative = gScore[current] + this.getEdgeCost(current, neighbor, steps);
+        if (tentative < gScore[neighbor]) {
+          gScore[neighbor] = tentative;
+          cameFrom[neighbor] = current;
+          open.push(neighbor, tentative + heuristic(neighbor));
+        }
+      });
+    }
+
+    if (gScore[to] === Infinity) return null;
+
+    const cells = [];
+    for (let idx = to; idx !== -1; idx = cameFrom[idx]) cells.push(idx);
+    cells.reverse();
+
+    const kept = this.config.smoothPaths ? this.smoothPath(cells) : cells;
+    return kept.map(idx => this.getCellCenter(idx));
+  }
+
+  /**
+   * Retire les étapes intermédiaires qu'une ligne droite peut remplacer sans
+   * traverser de case bloquée ni plus chère que ses extrémités
+   */
+  smoothPath(cells) {
+    if (cells.length <= 2) return cells;
+
+    const kept = [cells[0]];
+    let anchor = 0;
+    for (let i = 2; i < cells.length; i++) {
+      if (!this.hasClearLine(cells[anchor], cells[i])) {
+        anchor = i - 1;
+        kept.push(cells[anchor]);
+      }
+    }
+    kept.push(cells[cells.length - 1]);
+    return kept;
+  }
+
+  /**
+   * Ligne droite praticable entre deux cases (échantillonnée au quart de case)
+   */
+  hasClearLine(from, to) {
+    const res = this.resolution;
+    const { maxStep } = this.config;
+    const x0 = from % res;
+    const z0 = Math.floor(from / res);
+    const x1 = to % res;
+    const z1 = Math.floor(to / res);
+    const maxCost = Math.max(this.costs[from], this.costs[to]) * 1.01;
+    const samples = Math.ceil(Math.hypot(x1 - x0, z1 - z0) * 4);
+
+    let previous = from;
+    for (let s = 1; s <= samples; s++) {
+      const t = s / samples;
+      const idx = Math.round(z0 + (z1 - z0) * t) * res + Math.round(x0 + (x1 - x0) * t);
+      if (idx === previous) continue;
+      if (this.costs[idx] > maxCost) return false;
+      const rise = Math.abs(this.heights[idx] - this.heights[previous]);
+      if (rise / this.cellSize > maxStep) return false;
+      previous = idx;
+    }
+    return true;
+  }
+
+  /**
+   * Champ de flux vers un but (mis en cache : plusieurs entités qui visent
+   * la même case partagent le même champ)
+   *
+   * @param {{x: number, z: number}} goal
+   * @returns {FlowField | null}  null si aucune case franchissable près du but
+   */
+  getFlowField(goal) {
+    const target = this.findNearestWalkable(goal.x, goal.z);
+    if (target < 0) return null;
+
+    const cached = this.flowFields.get(target);
+    if (cached) {
+      // Remis en fin de Map : les plus anciens sont évincés en premier
+      this.flowFields.delete(target);
+      this.flowFields.set(target, cached);
+      return cached;
+    }
+
+    const field = this.computeFlowField(target);
+    this.flowFields.set(target, field);
+    if (this.flowFields.size > this.config.flowFieldCache) {
+      this.flowFields.delete(this.flowFields.keys().next().value);
+    }
+    return field;
+  }
+
+  /**
+   * Dijkstra à rebours depuis le but : le coût d'une arête est celui du
+   * trajet voisin -> case courante (monter reste plus cher que descendre)
+   */
+  computeFlowField(goal) {
+    const count = this.resolution * this.resolution;
+    const distance = new Float32Array(count).fill(Infinity);
+    const next = new Int32Array(count).fill(-1);
+    const done = new Uint8Array(count);
+    const open = new MinHeap();
+
+    distance[goal] = 0;
+    open.push(goal, 0);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (done[current]) continue;
+      done[current] = 1;
+
+      this.forEachNeighbor(current, (neighbor, steps) => {
+        if (done[neighbor]) return;
+        const candidate = distance[current] + this.getEdgeCost(neighbor, current, steps);
+        if (candidate < distance[neighbor]) {
+          distance[neighbor] = candidate;
+          next[neighbor] = current;
+          open.push(neighbor, candidate);
+        }
+      });
+    }
+
+    return new FlowField(this, goal, distance, next);
+  }
+}
+
+export default NavigationGrid;
@@ -0,0 +1,52 @@
+/**
+ * Réglages du monde Bloomfall partagés par la scène du navigateur
+ * (`main.js`) et les scripts Node (export) : avec la même graine, les deux
+ * construisent le même terrain et la même végétation.
+ *
+ * Les réglages propres au rendu (tuiles, LOD) restent dans `main.js`.
+ */
+
+/**
+ * Terrain (TerrainGenerator). `seed`, `resolution`, `noise` et `heightData`
+ * sont ajoutés par l'appelant.
+ */
+export const WorldTerrainConfig = {
+  size: 400,
+  resolution: 128,
+  heightScale: 100,
+  mountainOctaves: 7,
+  mountainPersistence: 0.5,
+  mountainLacunarity: 2.3,
+  mountainExponent: 2.2,
+  plainsOctaves: 4,
+  plainsPersistence: 0.6,
+  plainsLacunarity: 2.0,
+  plainsHeightScale: 0.25,
+  transitionWidth: 40,
+  erosion: {
+    enabled: true,
+    droplets: 20000,
+    thermalIterations: 10,
+  },
+  water: {
+    enabled: true,
+    seaCoverage: 0.05,
+    riverCount: 5,
+  },
+};
+
+/**
+ * Peuplement (VegetationManager.populate)
+ */
+export const WorldVegetationConfig = {
+  numTrees: 400,
+  numBushes: 500,
+  numGrass: 2000,
+  numFlowers: 800,
+};
+
+/**
+ * Position du soleil (lumière directionnelle visant l'origine) : éclairage
+ * et phototropisme des plantes
+ */
+export const SunPosition = { x: 50, y: 100, z: 50 };